@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * HEADLESS SIMULATION CLI
+ * Usage: npm run simulate -- --generations 500 --population 100 --mutation 0.05 --seed 42
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import '../src/Extensions.js';
+import { runHeadless, recordsToCSV, DEFAULT_RUN_CONFIG } from '../src/HeadlessRunner.js';
+import { MODE } from '../src/SimulationEngine.js';
+import { SELECTION_STRATEGIES } from '../src/Selection.js';
+import { DEFAULT_FITNESS_WEIGHTS, FITNESS_FUNCTIONS } from '../src/Fitness.js';
+import { BOUNDARY } from '../src/Terrain.js';
+
+const HELP = `Run the evolution simulation without a browser.
+
+Options:
+  --mode <mode>            generational or continuous (default ${DEFAULT_RUN_CONFIG.mode})
+  --brains                 Steer organisms with evolvable neural networks
+  --generations <n>        Generations to simulate (default ${DEFAULT_RUN_CONFIG.generations})
+  --frames <n>             Continuous mode: frames to simulate (default generations * generation length)
+  --population <n>         Population size (default ${DEFAULT_RUN_CONFIG.population})
+  --predators <n>          Extra carnivores in the starting population (default ${DEFAULT_RUN_CONFIG.predators})
+  --mutation <rate>        Mutation rate, 0-1 (default ${DEFAULT_RUN_CONFIG.mutationRate})
+  --selection <fraction>   Selection pressure, 0-1 (default ${DEFAULT_RUN_CONFIG.selectionPressure})
+  --strategy <name>        ${Object.keys(SELECTION_STRATEGIES).join(', ')} (default ${DEFAULT_RUN_CONFIG.selectionStrategy})
+  --tournament-size <n>    Contestants per tournament (default ${DEFAULT_RUN_CONFIG.tournamentSize})
+  --elitism <n>            Best genomes copied unchanged each generation (default ${DEFAULT_RUN_CONFIG.elitism})
+  --fitness <name>         ${Object.keys(FITNESS_FUNCTIONS).join(', ')} (default ${DEFAULT_RUN_CONFIG.fitnessFunction})
+  --weights <list>         Weights for --fitness weighted, e.g. food=10,survival=0.1
+                           (keys: ${Object.keys(DEFAULT_FITNESS_WEIGHTS).join(', ')})
+  --species-threshold <d>  Genetic distance that splits species, 0-1 (default ${DEFAULT_RUN_CONFIG.speciesThreshold})
+  --assortative            Only mate with partners of the same species
+  --food <percent>         Food abundance, 10-100 (default ${DEFAULT_RUN_CONFIG.foodAbundance})
+  --generation-length <n>  Frames per generation (default ${DEFAULT_RUN_CONFIG.generationLength})
+  --timeline <file>        JSON timeline: seasons, drift and scheduled events
+  --boundary <mode>        ${Object.values(BOUNDARY).join(', ')} (default ${DEFAULT_RUN_CONFIG.boundary})
+  --width <px>             World width (default ${DEFAULT_RUN_CONFIG.width})
+  --height <px>            World height (default ${DEFAULT_RUN_CONFIG.height})
+  --seed <seed>            Seed for a reproducible run (default: random)
+  --format <json|csv>      Output format (default: from --output extension, else json)
+  --output, -o <file>      Write results to a file instead of stdout
+  --quiet                  Do not print progress to stderr
+  --help                   Show this message
+`;
+
+// Command-line flag -> [config key, parser]
+const NUMBER_OPTIONS = {
+  generations: ['generations', parseInt],
+  frames: ['frames', parseInt],
+  population: ['population', parseInt],
+  predators: ['predators', parseInt],
+  mutation: ['mutationRate', parseFloat],
+  selection: ['selectionPressure', parseFloat],
+  'tournament-size': ['tournamentSize', parseInt],
+  elitism: ['elitism', parseInt],
+  'species-threshold': ['speciesThreshold', parseFloat],
+  food: ['foodAbundance', parseFloat],
+  'generation-length': ['generationLength', parseInt],
+  width: ['width', parseInt],
+  height: ['height', parseInt]
+};
+
+// "food=10,survival=0.1" -> { food: 10, survival: 0.1 }
+function parseWeights(list) {
+  const weights = {};
+  for (let pair of list.split(',')) {
+    const [key, raw] = pair.split('=').map(part => part.trim());
+    if (!(key in DEFAULT_FITNESS_WEIGHTS)) throw new Error(`Unknown fitness weight: ${key}`);
+    const weight = parseFloat(raw);
+    if (Number.isNaN(weight)) throw new Error(`Invalid weight for ${key}: ${raw}`);
+    weights[key] = weight;
+  }
+  return weights;
+}
+
+function parseArgs(argv) {
+  const config = {};
+  const options = { format: null, output: null, quiet: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value = null;
+
+    if (arg.startsWith('--') && arg.includes('=')) {
+      [arg, value] = [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)];
+    }
+
+    const name = arg === '-o' ? 'output' : arg.replace(/^--/, '');
+    const takeValue = () => {
+      if (value !== null) return value;
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    if (name === 'help' || arg === '-h') {
+      options.help = true;
+    } else if (name === 'quiet') {
+      options.quiet = true;
+    } else if (name === 'brains') {
+      config.brains = true;
+    } else if (name === 'assortative') {
+      config.assortativeMating = true;
+    } else if (name === 'seed') {
+      config.seed = takeValue();
+    } else if (name === 'strategy') {
+      config.selectionStrategy = takeValue().toLowerCase();
+      if (!SELECTION_STRATEGIES[config.selectionStrategy]) {
+        throw new Error(`Unknown selection strategy: ${config.selectionStrategy}`);
+      }
+    } else if (name === 'fitness') {
+      config.fitnessFunction = takeValue().toLowerCase();
+      if (!FITNESS_FUNCTIONS[config.fitnessFunction]) {
+        throw new Error(`Unknown fitness function: ${config.fitnessFunction}`);
+      }
+    } else if (name === 'weights') {
+      config.fitnessWeights = parseWeights(takeValue());
+    } else if (name === 'timeline') {
+      const file = takeValue();
+      try {
+        config.timeline = JSON.parse(readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read timeline ${file}: ${error.message}`);
+      }
+    } else if (name === 'boundary') {
+      config.boundary = takeValue().toLowerCase();
+      if (!Object.values(BOUNDARY).includes(config.boundary)) {
+        throw new Error(`Unknown boundary mode: ${config.boundary}`);
+      }
+    } else if (name === 'mode') {
+      config.mode = takeValue().toLowerCase();
+      if (!Object.values(MODE).includes(config.mode)) throw new Error(`Unknown mode: ${config.mode}`);
+    } else if (name === 'format') {
+      options.format = takeValue().toLowerCase();
+    } else if (name === 'output') {
+      options.output = takeValue();
+    } else if (NUMBER_OPTIONS[name]) {
+      const [key, parse] = NUMBER_OPTIONS[name];
+      const raw = takeValue();
+      const parsed = parse(raw);
+      if (Number.isNaN(parsed)) throw new Error(`Invalid number for ${arg}: ${raw}`);
+      config[key] = parsed;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!options.format) {
+    options.format = options.output?.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+  }
+  if (!['json', 'csv'].includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format}`);
+  }
+
+  return { config, options };
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${HELP}`);
+    process.exit(1);
+  }
+
+  const { config, options } = parsed;
+  if (options.help) {
+    process.stdout.write(HELP);
+    return;
+  }
+
+  const totalGenerations = config.generations ?? DEFAULT_RUN_CONFIG.generations;
+  const continuous = config.mode === MODE.CONTINUOUS;
+  const startTime = Date.now();
+  const result = runHeadless(config, {
+    onSample: (record) => {
+      if (options.quiet) return;
+      const progress = continuous
+        ? `Frame ${record.frame} (generation ${record.generation})`
+        : `Generation ${record.generation + 1}/${totalGenerations}`;
+      process.stderr.write(
+        `\r${progress}  best ${record.bestFitness.toFixed(2)}  avg ${record.avgFitness.toFixed(2)}`
+      );
+    }
+  });
+
+  const output = options.format === 'csv'
+    ? recordsToCSV(result.records)
+    : JSON.stringify({
+      seed: result.seed,
+      config: result.config,
+      records: result.records,
+      events: result.simulation.stats.events
+    }, null, 2) + '\n';
+
+  if (options.output) {
+    writeFileSync(options.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  if (!options.quiet) {
+    const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+    process.stderr.write(`\nDone in ${seconds}s (seed ${result.seed})\n`);
+  }
+}
+
+main();
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * PARAMETER SWEEP CLI
+ * Usage: npm run sweep -- --mutation 0.05:0.25:0.05 --food 20,50,80 --replicates 5 -o sweep.json
+ */
+
+import { writeFileSync } from 'node:fs';
+import '../src/Extensions.js';
+import { DEFAULT_RUN_CONFIG } from '../src/HeadlessRunner.js';
+import { DEFAULT_REPLICATES, parseRange, runSweep, sweepToCSV } from '../src/Sweep.js';
+import { MODE } from '../src/SimulationEngine.js';
+
+const HELP = `Run an experiment for every combination of parameter values, several times each.
+
+Numeric options take one value, a list (20,50,80) or a range (start:end:step).
+Options given more than one value are swept; the rest are shared by every run.
+
+Options:
+  --mutation <values>         Mutation rate, 0-1 (default ${DEFAULT_RUN_CONFIG.mutationRate})
+  --selection <values>        Selection pressure, 0-1 (default ${DEFAULT_RUN_CONFIG.selectionPressure})
+  --food <values>             Food abundance, 10-100 (default ${DEFAULT_RUN_CONFIG.foodAbundance})
+  --population <values>       Population size (default ${DEFAULT_RUN_CONFIG.population})
+  --predators <values>        Extra carnivores in the starting population (default ${DEFAULT_RUN_CONFIG.predators})
+  --elitism <values>          Best genomes copied unchanged each generation (default ${DEFAULT_RUN_CONFIG.elitism})
+  --tournament-size <values>  Contestants per tournament (default ${DEFAULT_RUN_CONFIG.tournamentSize})
+  --generations <n>           Generations per run (default ${DEFAULT_RUN_CONFIG.generations})
+  --generation-length <n>     Frames per generation (default ${DEFAULT_RUN_CONFIG.generationLength})
+  --width <px>                World width (default ${DEFAULT_RUN_CONFIG.width})
+  --height <px>               World height (default ${DEFAULT_RUN_CONFIG.height})
+  --mode <mode>               generational or continuous (default ${DEFAULT_RUN_CONFIG.mode})
+  --replicates <n>            Runs per combination, each with its own seed (default ${DEFAULT_REPLICATES})
+  --seed <seed>               Seed the replicate seeds are drawn from (default: random)
+  --format <json|csv>         Output format (default: from --output extension, else json)
+  --output, -o <file>         Write results to a file instead of stdout
+  --quiet                     Do not print progress to stderr
+  --help                      Show this message
+
+JSON output keeps every run and can be opened in the simulation's sweep panel;
+CSV output has one row per combination with the mean and 95% interval of each outcome.
+`;
+
+// Command-line flag -> run config key; each takes values as described above
+const VALUE_OPTIONS = {
+  mutation: 'mutationRate',
+  selection: 'selectionPressure',
+  food: 'foodAbundance',
+  population: 'population',
+  predators: 'predators',
+  elitism: 'elitism',
+  'tournament-size': 'tournamentSize',
+  generations: 'generations',
+  'generation-length': 'generationLength',
+  width: 'width',
+  height: 'height'
+};
+
+function parseArgs(argv) {
+  const config = {};
+  const ranges = {};
+  const options = { replicates: DEFAULT_REPLICATES, seed: undefined, format: null, output: null, quiet: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value = null;
+
+    if (arg.startsWith('--') && arg.includes('=')) {
+      [arg, value] = [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)];
+    }
+
+    const name = arg === '-o' ? 'output' : arg.replace(/^--/, '');
+    const takeValue = () => {
+      if (value !== null) return value;
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    if (name === 'help' || arg === '-h') {
+      options.help = true;
+    } else if (name === 'quiet') {
+      options.quiet = true;
+    } else if (name === 'seed') {
+      options.seed = takeValue();
+    } else if (name === 'replicates') {
+      const raw = takeValue();
+      options.replicates = parseInt(raw);
+      if (!(options.replicates >= 1)) throw new Error(`Invalid number for ${arg}: ${raw}`);
+    } else if (name === 'mode') {
+      config.mode = takeValue().toLowerCase();
+      if (!Object.values(MODE).includes(config.mode)) throw new Error(`Unknown mode: ${config.mode}`);
+    } else if (name === 'format') {
+      options.format = takeValue().toLowerCase();
+    } else if (name === 'output') {
+      options.output = takeValue();
+    } else if (VALUE_OPTIONS[name]) {
+      const values = parseRange(takeValue());
+      if (values.length > 1) {
+        ranges[VALUE_OPTIONS[name]] = values;
+      } else {
+        config[VALUE_OPTIONS[name]] = values[0];
+      }
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!options.format) {
+    options.format = options.output?.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+  }
+  if (!['json', 'csv'].includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format}`);
+  }
+
+  return { config, ranges, options };
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${HELP}`);
+    process.exit(1);
+  }
+
+  const { config, ranges, options } = parsed;
+  if (options.help) {
+    process.stdout.write(HELP);
+    return;
+  }
+
+  const startTime = Date.now();
+  const result = runSweep({ config, ranges, replicates: options.replicates, seed: options.seed }, {
+    onRun: (run, { cell, replicate, total }) => {
+      if (options.quiet) return;
+      const done = cell * options.replicates + replicate + 1;
+      process.stderr.write(`\rRun ${done}/${total}  final fitness ${run.metrics.finalFitness?.toFixed(2) ?? '-'}`);
+    }
+  });
+
+  const output = options.format === 'csv'
+    ? sweepToCSV(result)
+    : JSON.stringify(result, null, 2) + '\n';
+
+  if (options.output) {
+    writeFileSync(options.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  if (!options.quiet) {
+    const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+    process.stderr.write(`\nDone in ${seconds}s (seed ${result.seed})\n`);
+  }
+}
+
+main();
@@ -1,10 +1,17 @@
 import { useState } from 'react';
 import HomePage from './HomePage';
 import SimulationPage from './SimulationPage';
+import { hasScenario } from './Scenario';
 import './index.css';
 
 function App() {
-  const [currentPage, setCurrentPage] = useState('home');
+  // Scenario links open straight into the simulation
+  const [currentPage, setCurrentPage] = useState(() => hasScenario(window.location.search) ? 'simulation' : 'home');
+
+  const handleExit = () => {
+    window.history.replaceState(null, '', window.location.pathname);
+    setCurrentPage('home');
+  };
 
   return (
     <div className="App">
@@ -12,7 +19,7 @@ function App() {
         <HomePage onEnterSimulation={() => setCurrentPage('simulation')} />
       )}
       {currentPage === 'simulation' && (
-        <SimulationPage onExit={() => setCurrentPage('home')} />
+        <SimulationPage onExit={handleExit} />
       )}
     </div>
   );
@@ -0,0 +1,198 @@
+/**
+ * ISLAND MODEL
+ * Several Simulations run side by side, each with its own environment and
+ * population. Every generation a share of each island's organisms migrates
+ * to its neighbours, so islands can drift apart or be held together by
+ * gene flow.
+ */
+
+import { Random } from './Random.js';
+import { MODE, Simulation } from './SimulationEngine.js';
+import { GENE_NAMES } from './Genes.js';
+import { geneticDistance } from './Species.js';
+
+// Which islands migrants can reach
+export const TOPOLOGY = {
+  RING: 'ring', // Each island sends to the next one around the ring
+  FULL: 'full'  // Each island sends to every other island in turn
+};
+
+export class Archipelago {
+  constructor(width, height, islandCount = 3, populationSize = 30, options = {}) {
+    this.width = width;
+    this.height = height;
+    this.populationSize = populationSize;
+    this.options = options; // Passed to every island's Simulation
+    this.topology = options.topology || TOPOLOGY.RING;
+    this.migrationRate = options.migrationRate ?? 0.1; // Share of each island that leaves per migration
+
+    this.rng = new Random(options.seed);
+    this.seed = this.rng.seed;
+    this.islands = [];
+    for (let i = 0; i < islandCount; i++) {
+      this.islands.push(this.createIsland(i, islandCount));
+    }
+
+    this.frame = 0;
+    this.migratedGeneration = 0; // Generation every island had reached at the last migration
+    this.migrations = []; // { frame, from, to, count }
+  }
+
+  // Islands take their seeds from the archipelago's generator, so one seed
+  // replays them all. Island i numbers its organisms i + 1, i + 1 + count, ...
+  // so no two islands hand out the same id.
+  createIsland(index, count) {
+    return new Simulation(this.width, this.height, this.populationSize, {
+      ...this.options,
+      seed: this.rng.int(0x100000000),
+      firstOrganismId: index + 1,
+      organismIdStep: count
+    });
+  }
+
+  get running() {
+    return this.islands.some(island => island.running);
+  }
+
+  start() {
+    this.islands.forEach(island => island.start());
+  }
+
+  pause() {
+    this.islands.forEach(island => island.pause());
+  }
+
+  update() {
+    if (!this.running) return;
+
+    for (let island of this.islands) {
+      island.update();
+    }
+    this.frame++;
+
+    if (this.migrationDue()) {
+      this.migrate();
+    }
+  }
+
+  // Advance every island to its next generation at once (generational mode)
+  nextGeneration() {
+    for (let island of this.islands) {
+      island.nextGeneration();
+    }
+    if (this.migrationDue()) {
+      this.migrate();
+    }
+  }
+
+  // Generational islands migrate once all of them have started a new generation;
+  // continuous ones every generationLength frames
+  migrationDue() {
+    if (this.islands.length < 2) return false;
+    if (this.islands.some(island => island.mode === MODE.CONTINUOUS)) {
+      return this.frame % this.islands[0].generationLength === 0;
+    }
+    return Math.min(...this.islands.map(island => island.generation)) > this.migratedGeneration;
+  }
+
+  // Island that the index-th migrant from island `from` moves to
+  destination(from, index) {
+    const count = this.islands.length;
+    if (this.topology === TOPOLOGY.FULL) {
+      return (from + 1 + index % (count - 1)) % count;
+    }
+    return (from + 1) % count;
+  }
+
+  // Move a random share of every island's living organisms to its neighbours.
+  // All emigrants leave before anyone arrives, so nobody migrates twice.
+  migrate() {
+    const departures = this.islands.map((island, from) => {
+      const alive = island.population.filter(o => o.alive);
+      const count = Math.round(alive.length * this.migrationRate);
+
+      // Partial shuffle: the first `count` entries are the emigrants
+      for (let i = 0; i < count; i++) {
+        const j = i + this.rng.int(alive.length - i);
+        [alive[i], alive[j]] = [alive[j], alive[i]];
+      }
+      const emigrants = alive.slice(0, count);
+      island.population = island.population.filter(o => !emigrants.includes(o));
+      return emigrants.map((organism, index) => ({ organism, from, to: this.destination(from, index) }));
+    });
+
+    const moved = new Map(); // "from-to" -> entry in this.migrations
+    for (let { organism, from, to } of departures.flat()) {
+      this.arrive(organism, this.islands[to], this.islands[from]);
+
+      const key = `${from}-${to}`;
+      if (!moved.has(key)) {
+        moved.set(key, { frame: this.frame, from, to, count: 0 });
+      }
+      moved.get(key).count++;
+    }
+    this.migrations.push(...moved.values());
+    this.migratedGeneration = Math.min(...this.islands.map(island => island.generation));
+  }
+
+  // Land a migrant somewhere open on its new island. Species are per island,
+  // so it is classified again at the island's next stats sample; its ancestry
+  // comes along, so its family tree still resolves there.
+  arrive(organism, island, home) {
+    const { x, y } = island.environment.randomOpenPosition();
+    organism.x = x;
+    organism.y = y;
+    organism.rng = island.rng;
+    organism.genome.rng = island.rng;
+    organism.speciesId = null;
+    organism.target = null;
+    organism.detour = 0;
+    island.population.push(organism);
+    island.genealogy.copyAncestry(organism.id, home.genealogy);
+    island.genealogy.add(organism);
+  }
+
+  // Restart every island with its own settings and terrain, and as many
+  // organisms as it was created with, however many migration has left on it;
+  // passing a seed replays that seed from the beginning
+  reset(seed = this.seed) {
+    this.rng = new Random(seed);
+    this.seed = this.rng.seed;
+    for (let island of this.islands) {
+      island.startingPopulation = { herbivores: this.populationSize, predators: this.options.predators || 0 };
+      island.reset(this.rng.int(0x100000000));
+    }
+    this.frame = 0;
+    this.migratedGeneration = 0;
+    this.migrations = [];
+  }
+
+  // Average genes of one island's living organisms, or null if it is empty
+  meanGenes(island) {
+    const alive = island.population.filter(o => o.alive);
+    if (alive.length === 0) return null;
+    return Object.fromEntries(GENE_NAMES.map(name => [
+      name,
+      alive.reduce((sum, o) => sum + o.genome.genes[name], 0) / alive.length
+    ]));
+  }
+
+  // Mean genetic distance between the average genomes of every pair of
+  // inhabited islands, 0-1. Rises as the islands diverge.
+  getDivergence() {
+    const means = this.islands.map(island => this.meanGenes(island)).filter(Boolean);
+    let total = 0;
+    let pairs = 0;
+    for (let i = 0; i < means.length; i++) {
+      for (let j = i + 1; j < means.length; j++) {
+        total += geneticDistance(means[i], means[j]);
+        pairs++;
+      }
+    }
+    return pairs > 0 ? total / pairs : 0;
+  }
+
+  getIslandStats() {
+    return this.islands.map(island => island.getStats());
+  }
+}
@@ -0,0 +1,111 @@
+import { describe, expect, test } from 'vitest';
+import { Archipelago, TOPOLOGY } from './Archipelago';
+import { MODE } from './SimulationEngine';
+
+const runGenerations = (archipelago, generations) => {
+  archipelago.start();
+  while (Math.min(...archipelago.islands.map(island => island.generation)) < generations) {
+    archipelago.update();
+  }
+};
+
+const create = (options = {}) => {
+  const archipelago = new Archipelago(300, 200, 3, 20, { seed: 1, ...options });
+  archipelago.islands.forEach(island => { island.generationLength = 50; });
+  return archipelago;
+};
+
+describe('Archipelago', () => {
+  test('ring migration moves organisms to the next island once per generation', () => {
+    const archipelago = create({ migrationRate: 0.2 });
+    const fromFirst = new Set(archipelago.islands[0].population.map(o => o.id));
+    archipelago.start();
+    archipelago.migrate();
+
+    expect(archipelago.migrations.map(({ from, to, count }) => [from, to, count]))
+      .toEqual([[0, 1, 4], [1, 2, 4], [2, 0, 4]]);
+    expect(archipelago.islands.map(island => island.population.length)).toEqual([20, 20, 20]);
+
+    const arrivals = archipelago.islands[1].population.filter(o => fromFirst.has(o.id));
+    expect(arrivals).toHaveLength(4);
+    expect(arrivals.every(o => o.rng === archipelago.islands[1].rng)).toBe(true);
+
+    runGenerations(archipelago, 3);
+    expect(archipelago.migrations).toHaveLength(12);
+
+    // Islands number their organisms apart, so migrants never share an id
+    const ids = archipelago.islands.flatMap(island => island.population.map(o => o.id));
+    expect(new Set(ids).size).toBe(ids.length);
+
+    // Migrants' parents, recorded on their home island, came along with them
+    for (let island of archipelago.islands) {
+      for (let organism of island.population) {
+        expect(organism.parentIds.length).toBeGreaterThan(0);
+        const tree = island.genealogy.getTree(organism.id, 1);
+        expect(tree.parents.every(parent => parent !== null)).toBe(true);
+      }
+    }
+  });
+
+  test('a fully connected archipelago spreads migrants over every other island', () => {
+    const archipelago = new Archipelago(300, 200, 4, 30, { seed: 2, topology: TOPOLOGY.FULL, migrationRate: 0.2 });
+    archipelago.start();
+    archipelago.migrate();
+
+    const routes = archipelago.migrations.filter(({ from }) => from === 0);
+    expect(routes.map(({ to, count }) => [to, count])).toEqual([[1, 2], [2, 2], [3, 2]]);
+    expect(archipelago.islands.map(island => island.population.length)).toEqual([30, 30, 30, 30]);
+  });
+
+  test('islands keep their own environment settings', () => {
+    const archipelago = create();
+    archipelago.islands[0].environment.foodAbundance = 10;
+    archipelago.islands[2].environment.paintTerrain(150, 100, 60, 'wall');
+    archipelago.reset();
+
+    expect(archipelago.islands[0].environment.foodAbundance).toBe(10);
+    expect(archipelago.islands[1].environment.foodAbundance).toBe(50);
+    expect(archipelago.islands[2].environment.terrain.get(150, 100)).toBe('wall');
+  });
+
+  test('the same seed replays every island and every migration', () => {
+    const run = () => {
+      const archipelago = create({ migrationRate: 0.1 });
+      runGenerations(archipelago, 3);
+      return archipelago;
+    };
+    const a = run();
+    const b = run();
+
+    expect(b.migrations).toEqual(a.migrations);
+    expect(b.islands.map(island => island.stats.avgFitness)).toEqual(a.islands.map(island => island.stats.avgFitness));
+    expect(b.getDivergence()).toBe(a.getDivergence());
+  });
+
+  test('reset restarts every island at its configured size, as a fresh archipelago would', () => {
+    const fingerprint = archipelago => archipelago.islands.map(island =>
+      island.population.map(o => [o.id, o.x, o.y, o.diet, { ...o.genome.genes }]));
+    const options = { seed: 5, mode: MODE.CONTINUOUS, migrationRate: 0.3, predators: 2 };
+
+    const archipelago = new Archipelago(300, 200, 3, 20, options);
+    archipelago.islands.forEach(island => { island.generationLength = 50; });
+    archipelago.start();
+    for (let frame = 0; frame < 600; frame++) {
+      archipelago.update();
+    }
+    expect(archipelago.migrations.length).toBeGreaterThan(0);
+    expect(archipelago.islands.map(island => island.population.length)).not.toEqual([22, 22, 22]);
+
+    archipelago.reset();
+    expect(archipelago.islands.map(island => island.population.length)).toEqual([22, 22, 22]);
+    expect(fingerprint(archipelago)).toEqual(fingerprint(new Archipelago(300, 200, 3, 20, options)));
+  });
+
+  test('without migration islands do not exchange anyone', () => {
+    const archipelago = create({ migrationRate: 0 });
+    runGenerations(archipelago, 2);
+
+    expect(archipelago.migrations).toHaveLength(0);
+    expect(archipelago.getDivergence()).toBeGreaterThan(0);
+  });
+});
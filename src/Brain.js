@@ -0,0 +1,138 @@
+/**
+ * NEURAL NETWORK BRAINS
+ * Small feed-forward networks that steer organisms in brain mode.
+ * One hidden layer whose size evolves along with the weights.
+ */
+
+// What the organism senses, all scaled to roughly -1..1
+export const BRAIN_INPUTS = [
+  'Food angle',      // Direction of the nearest food (prey for carnivores), relative to heading
+  'Food near',       // 1 when touching it, 0 at the edge of vision or when none is seen
+  'Neighbour angle', // Direction of the nearest other organism
+  'Neighbour near',
+  'Threat',          // 1 if the neighbour can eat us, -1 if we can eat it
+  'Energy'
+];
+
+// What it decides: turn left/right and how hard to push forward
+export const BRAIN_OUTPUTS = ['Turn', 'Thrust'];
+
+export const DEFAULT_HIDDEN_NEURONS = 6;
+export const MAX_HIDDEN_NEURONS = 12;
+
+const WEIGHT_MUTATION = 0.5;   // Standard deviation of a weight mutation
+const TOPOLOGY_MUTATION = 0.2; // Share of the mutation rate used to add or remove a neuron
+
+const randomWeights = (count, rng) => Array.from({ length: count }, () => rng.range(-1, 1));
+
+export class Brain {
+  // inputWeights[j]:  weights into hidden neuron j from each input, then its bias
+  // outputWeights[k]: weights into output k from each hidden neuron, then its bias
+  constructor(inputWeights, outputWeights) {
+    this.inputWeights = inputWeights;
+    this.outputWeights = outputWeights;
+    this.activations = null; // Last { inputs, hidden, outputs }, for the visualisation
+  }
+
+  static random(rng, hidden = DEFAULT_HIDDEN_NEURONS) {
+    return new Brain(
+      Array.from({ length: hidden }, () => randomWeights(BRAIN_INPUTS.length + 1, rng)),
+      BRAIN_OUTPUTS.map(() => randomWeights(hidden + 1, rng))
+    );
+  }
+
+  get hiddenSize() {
+    return this.inputWeights.length;
+  }
+
+  // Forward pass; outputs are in -1..1
+  think(inputs) {
+    const layer = (weights, values) => weights.map(row => {
+      let sum = row[row.length - 1];
+      for (let i = 0; i < values.length; i++) {
+        sum += row[i] * values[i];
+      }
+      return Math.tanh(sum);
+    });
+
+    const hidden = layer(this.inputWeights, inputs);
+    const outputs = layer(this.outputWeights, hidden);
+    this.activations = { inputs: [...inputs], hidden, outputs };
+    return outputs;
+  }
+
+  clone() {
+    return new Brain(
+      this.inputWeights.map(row => [...row]),
+      this.outputWeights.map(row => [...row])
+    );
+  }
+
+  mutate(mutationRate, rng) {
+    const nudge = row => {
+      for (let i = 0; i < row.length; i++) {
+        if (rng.next() < mutationRate) {
+          row[i] += rng.normal(0, WEIGHT_MUTATION);
+        }
+      }
+    };
+    this.inputWeights.forEach(nudge);
+    this.outputWeights.forEach(nudge);
+
+    // Topology: a new neuron starts with no outgoing weight, so it changes
+    // nothing until later mutations make use of it
+    if (this.hiddenSize < MAX_HIDDEN_NEURONS && rng.next() < mutationRate * TOPOLOGY_MUTATION) {
+      this.inputWeights.push(randomWeights(BRAIN_INPUTS.length + 1, rng));
+      for (let row of this.outputWeights) {
+        row.splice(row.length - 1, 0, 0);
+      }
+    }
+    if (this.hiddenSize > 1 && rng.next() < mutationRate * TOPOLOGY_MUTATION) {
+      const neuron = rng.int(this.hiddenSize);
+      this.inputWeights.splice(neuron, 1);
+      for (let row of this.outputWeights) {
+        row.splice(neuron, 1);
+      }
+    }
+  }
+
+  // Hidden neurons are inherited whole (incoming and outgoing weights together).
+  // The child takes its size from one parent; neurons only that parent has come from it.
+  static crossover(brain1, brain2, rng) {
+    const sizeParent = rng.next() < 0.5 ? brain1 : brain2;
+    const hidden = sizeParent.hiddenSize;
+    const inputWeights = [];
+    const sources = [];
+
+    for (let j = 0; j < hidden; j++) {
+      const source = j < brain1.hiddenSize && j < brain2.hiddenSize
+        ? (rng.next() < 0.5 ? brain1 : brain2)
+        : sizeParent;
+      sources.push(source);
+      inputWeights.push([...source.inputWeights[j]]);
+    }
+
+    const outputWeights = BRAIN_OUTPUTS.map((_, k) => {
+      const row = sources.map((source, j) => source.outputWeights[k][j]);
+      const biasSource = rng.next() < 0.5 ? brain1 : brain2;
+      row.push(biasSource.outputWeights[k][biasSource.hiddenSize]);
+      return row;
+    });
+
+    return new Brain(inputWeights, outputWeights);
+  }
+
+  toJSON() {
+    return {
+      inputWeights: this.inputWeights.map(row => [...row]),
+      outputWeights: this.outputWeights.map(row => [...row])
+    };
+  }
+
+  static fromJSON(data) {
+    return new Brain(
+      data.inputWeights.map(row => [...row]),
+      data.outputWeights.map(row => [...row])
+    );
+  }
+}
@@ -0,0 +1,87 @@
+import { describe, expect, test } from 'vitest';
+import { BRAIN_INPUTS, BRAIN_OUTPUTS, Brain, MAX_HIDDEN_NEURONS } from './Brain';
+import { Simulation } from './SimulationEngine';
+import { Random } from './Random';
+
+// Every hidden neuron has one weight per input plus a bias, and feeds every output
+const expectConsistent = (brain) => {
+  expect(brain.hiddenSize).toBeGreaterThanOrEqual(1);
+  expect(brain.hiddenSize).toBeLessThanOrEqual(MAX_HIDDEN_NEURONS);
+  for (let row of brain.inputWeights) {
+    expect(row).toHaveLength(BRAIN_INPUTS.length + 1);
+  }
+  expect(brain.outputWeights).toHaveLength(BRAIN_OUTPUTS.length);
+  for (let row of brain.outputWeights) {
+    expect(row).toHaveLength(brain.hiddenSize + 1);
+  }
+};
+
+describe('Brain', () => {
+  test('thinks in range and records its activations', () => {
+    const brain = Brain.random(new Random(1));
+    const outputs = brain.think([0.5, 0.2, -0.3, 0, 1, 0.8]);
+
+    expect(outputs).toHaveLength(BRAIN_OUTPUTS.length);
+    expect(outputs.every(v => v >= -1 && v <= 1)).toBe(true);
+    expect(brain.activations.hidden).toHaveLength(brain.hiddenSize);
+    expect(brain.activations.outputs).toEqual(outputs);
+  });
+
+  test('topology mutations keep the network well-formed', () => {
+    const rng = new Random(2);
+    const brain = Brain.random(rng);
+    const sizes = new Set();
+    for (let i = 0; i < 300; i++) {
+      brain.mutate(0.5, rng);
+      sizes.add(brain.hiddenSize);
+      expectConsistent(brain);
+    }
+    expect(sizes.size).toBeGreaterThan(1);
+  });
+
+  test('crossover of different sizes produces a working child', () => {
+    const rng = new Random(3);
+    const small = Brain.random(rng, 2);
+    const large = Brain.random(rng, 9);
+
+    for (let i = 0; i < 20; i++) {
+      const child = Brain.crossover(small, large, rng);
+      expectConsistent(child);
+      expect([2, 9]).toContain(child.hiddenSize);
+      expect(child.think(BRAIN_INPUTS.map(() => 0.5))).toHaveLength(BRAIN_OUTPUTS.length);
+    }
+  });
+});
+
+describe('Brain mode', () => {
+  const run = (seed) => {
+    const simulation = new Simulation(300, 200, 12, { seed, brains: true });
+    simulation.generationLength = 100;
+    simulation.start();
+    for (let i = 0; i < 250; i++) {
+      simulation.update();
+    }
+    return simulation;
+  };
+
+  test('every organism gets a brain and brains evolve across generations', () => {
+    const simulation = run(5);
+    expect(simulation.generation).toBe(2);
+    for (let organism of simulation.population) {
+      expectConsistent(organism.genome.brain);
+    }
+  });
+
+  test('brains survive snapshots and replay deterministically', () => {
+    const simulation = run(6);
+    const restored = Simulation.fromJSON(JSON.parse(JSON.stringify(simulation.toJSON())));
+    expect(restored.brains).toBe(true);
+
+    restored.start();
+    for (let i = 0; i < 50; i++) {
+      simulation.update();
+      restored.update();
+    }
+    expect(restored.population.map(o => [o.x, o.y])).toEqual(simulation.population.map(o => [o.x, o.y]));
+  });
+});
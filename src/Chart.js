@@ -0,0 +1,174 @@
+/**
+ * CHART MODEL
+ * Series that can be plotted from a run's stats, plus the scale, tick and
+ * zoom arithmetic the stats chart uses. Kept free of the DOM so it can be
+ * tested on its own; drawing lives in StatsChart.jsx.
+ */
+
+import { DIET } from './SimulationEngine.js';
+import { GENE_SCHEMA, traitStatKey } from './Genes.js';
+
+const TRAIT_COLORS = ['#ffc457', '#c792ea', '#ff9e64', '#7dcfff', '#e0af68', '#9ece6a'];
+
+// Sum of two series, null where either is unknown
+const addSeries = (a, b) => a.map((value, i) => value === null || b[i] === null ? null : value + b[i]);
+
+// Everything the chart can plot: key -> { label, color, precision, values(stats) }.
+// values returns one entry per stats sample, null where unknown.
+export const CHART_SERIES = {
+  bestFitness: {
+    label: 'Best fitness',
+    color: 'rgba(111, 255, 176, 0.9)',
+    precision: 1,
+    values: stats => stats.bestFitness
+  },
+  avgFitness: {
+    label: 'Avg fitness',
+    color: 'rgba(74, 168, 255, 0.9)',
+    precision: 1,
+    values: stats => stats.avgFitness
+  },
+  // Trait means, one series per gene
+  ...Object.fromEntries(GENE_SCHEMA.map((gene, i) => [traitStatKey(gene.name), {
+    label: gene.label,
+    color: TRAIT_COLORS[i % TRAIT_COLORS.length],
+    precision: gene.precision,
+    values: stats => stats[traitStatKey(gene.name)]
+  }])),
+  population: {
+    label: 'Population',
+    color: 'rgba(230, 230, 234, 0.9)',
+    precision: 0,
+    values: stats => addSeries(stats.trophic[DIET.HERBIVORE].population, stats.trophic[DIET.CARNIVORE].population)
+  },
+  herbivores: {
+    label: 'Herbivores',
+    color: 'rgba(111, 255, 176, 0.6)',
+    precision: 0,
+    values: stats => stats.trophic[DIET.HERBIVORE].population
+  },
+  carnivores: {
+    label: 'Carnivores',
+    color: 'rgba(255, 111, 97, 0.9)',
+    precision: 0,
+    values: stats => stats.trophic[DIET.CARNIVORE].population
+  },
+  foodConsumed: {
+    label: 'Food eaten',
+    color: 'rgba(155, 230, 120, 0.9)',
+    precision: 0,
+    values: stats => stats.foodConsumed
+  },
+  diversity: {
+    label: 'Diversity %',
+    color: 'rgba(255, 121, 198, 0.9)',
+    precision: 1,
+    values: stats => stats.diversity.map(value => value === null ? null : value * 100)
+  },
+  speciesCount: {
+    label: 'Species',
+    color: 'rgba(187, 154, 247, 0.9)',
+    precision: 0,
+    values: stats => stats.speciesCount
+  }
+};
+
+export const DEFAULT_CHART_SERIES = ['bestFitness', 'avgFitness'];
+
+// Fewest samples a zoomed chart shows
+export const MIN_CHART_SAMPLES = 5;
+
+// At most count + 1 round tick values inside min-max (steps of 1, 2 or 5 x 10^n)
+export function niceTicks(min, max, count = 4) {
+  if (!(max > min)) return [min];
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => (max - min) / s <= count + 1);
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  return ticks;
+}
+
+// Vertical scale over the visible values: linear from 0 (or the lowest
+// negative value), or logarithmic over the positive values.
+// Returns { min, max, log, position(value) -> 0-1 or null, ticks }.
+export function valueScale(values, log = false) {
+  const known = values.filter(value => value !== null && Number.isFinite(value));
+
+  // Log scale: whole powers of ten around the positive values; the rest is not drawn
+  if (log) {
+    const exponents = known.filter(value => value > 0).map(Math.log10);
+    const low = exponents.length > 0 ? Math.floor(Math.min(...exponents)) : 0;
+    const high = Math.max(low + 1, exponents.length > 0 ? Math.ceil(Math.max(...exponents)) : 1);
+    const ticks = [];
+    for (let exponent = low; exponent <= high; exponent++) ticks.push(10 ** exponent);
+    return {
+      min: 10 ** low,
+      max: 10 ** high,
+      log,
+      position: value => value > 0 ? (Math.log10(value) - low) / (high - low) : null,
+      ticks
+    };
+  }
+
+  const min = Math.min(0, ...known);
+  const max = Math.max(min + 1, ...known);
+  return {
+    min,
+    max,
+    log,
+    position: value => value === null ? null : (value - min) / (max - min),
+    ticks: niceTicks(min, max)
+  };
+}
+
+// Visible sample range { start, end } (inclusive); a null window shows every sample
+export function chartWindow(range, length) {
+  if (!range) return { start: 0, end: Math.max(0, length - 1) };
+  const end = Math.min(range.end, length - 1);
+  return { start: Math.max(0, Math.min(range.start, end - 1)), end };
+}
+
+// Zoom in (factor < 1) or out (factor > 1) around the sample at `anchor`
+// (0-1 across the chart). Zooming out past the whole run returns null.
+export function zoomWindow(range, length, factor, anchor = 0.5) {
+  const { start, end } = chartWindow(range, length);
+  const span = end - start;
+  const zoomed = Math.max(Math.min(MIN_CHART_SAMPLES, length) - 1, Math.round(span * factor));
+  if (zoomed >= length - 1) return null;
+
+  const center = start + span * anchor;
+  const newStart = Math.round(Math.min(Math.max(0, center - zoomed * anchor), length - 1 - zoomed));
+  return { start: newStart, end: newStart + zoomed };
+}
+
+// Shift a zoomed window by `samples`, staying inside the run
+export function panWindow(range, length, samples) {
+  if (!range) return null;
+  const { start, end } = chartWindow(range, length);
+  const shift = Math.max(-start, Math.min(length - 1 - end, Math.round(samples)));
+  return { start: start + shift, end: end + shift };
+}
+
+// Sample index under a horizontal position (0-1 across the chart)
+export function sampleAt(range, length, fraction) {
+  const { start, end } = chartWindow(range, length);
+  return Math.min(end, Math.max(start, Math.round(start + fraction * (end - start))));
+}
+
+// Fractional sample index at which a frame falls, between the samples taken
+// around it (stats.time); null if it is past the last sample or unplaceable
+export function frameToSample(time, frame) {
+  const i = time.findIndex(t => t !== null && t >= frame);
+  if (i < 0) return null;
+  if (i === 0 || time[i - 1] === null) return i;
+  return i - 1 + (frame - time[i - 1]) / (time[i] - time[i - 1]);
+}
+
+// Short axis label: 1500 -> '1.5k', 0.25 -> '0.25'
+export function formatTick(value) {
+  if (Math.abs(value) >= 1000) return `${Number((value / 1000).toFixed(1))}k`;
+  return String(Number(value.toFixed(2)));
+}
@@ -0,0 +1,75 @@
+import { describe, expect, test } from 'vitest';
+import {
+  CHART_SERIES, chartWindow, formatTick, frameToSample, niceTicks, panWindow, sampleAt, valueScale, zoomWindow
+} from './Chart';
+import { Simulation } from './SimulationEngine';
+
+describe('Chart series', () => {
+  test('every series has one value per stats sample', () => {
+    const simulation = new Simulation(300, 200, 10, { seed: 1 });
+    simulation.nextGeneration();
+    simulation.nextGeneration();
+
+    for (let [key, { values }] of Object.entries(CHART_SERIES)) {
+      expect(values(simulation.stats), key).toHaveLength(2);
+    }
+    expect(CHART_SERIES.population.values(simulation.stats)).toEqual([10, 10]);
+    expect(simulation.stats.generation).toEqual([0, 1]);
+  });
+});
+
+describe('Scales', () => {
+  test('ticks are round numbers inside the range', () => {
+    expect(niceTicks(0, 100)).toEqual([0, 20, 40, 60, 80, 100]);
+    expect(niceTicks(3, 17)).toEqual([5, 10, 15]);
+    expect(niceTicks(0, 0.3)).toEqual([0, 0.1, 0.2, 0.3]);
+  });
+
+  test('linear scales start at zero and skip unknown values', () => {
+    const scale = valueScale([null, 20, 50]);
+    expect(scale.min).toBe(0);
+    expect(scale.position(25)).toBe(0.5);
+    expect(scale.position(null)).toBeNull();
+  });
+
+  test('log scales span whole powers of ten and leave out values that are not positive', () => {
+    const scale = valueScale([0, 3, 450], true);
+    expect(scale.ticks).toEqual([1, 10, 100, 1000]);
+    expect(scale.position(10)).toBeCloseTo(1 / 3);
+    expect(scale.position(0)).toBeNull();
+  });
+
+  test('labels stay short', () => {
+    expect(formatTick(1500)).toBe('1.5k');
+    expect(formatTick(0.25)).toBe('0.25');
+    expect(formatTick(40)).toBe('40');
+  });
+});
+
+describe('Zoom and pan', () => {
+  test('zooming narrows the window around the anchor and zooming out restores the whole run', () => {
+    const zoomed = zoomWindow(null, 101, 0.5, 1);
+    expect(zoomed).toEqual({ start: 50, end: 100 });
+    expect(zoomWindow(zoomed, 101, 4)).toBeNull();
+    expect(zoomWindow({ start: 10, end: 14 }, 101, 0.5)).toEqual({ start: 10, end: 14 });
+  });
+
+  test('panning stays inside the run', () => {
+    const range = { start: 50, end: 100 };
+    expect(panWindow(range, 101, -20)).toEqual({ start: 30, end: 80 });
+    expect(panWindow(range, 101, 20)).toEqual(range);
+    expect(panWindow(null, 101, 20)).toBeNull();
+  });
+
+  test('positions map to samples inside the visible window', () => {
+    expect(sampleAt(null, 11, 0.5)).toBe(5);
+    expect(sampleAt({ start: 4, end: 8 }, 11, 1)).toBe(8);
+    expect(chartWindow({ start: 4, end: 20 }, 11)).toEqual({ start: 4, end: 10 });
+  });
+
+  test('events are placed between the samples around them', () => {
+    expect(frameToSample([100, 200, 300], 250)).toBe(1.5);
+    expect(frameToSample([100, 200, 300], 50)).toBe(0);
+    expect(frameToSample([100, 200, 300], 400)).toBeNull();
+  });
+});
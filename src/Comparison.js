@@ -0,0 +1,81 @@
+/**
+ * COMPARISON
+ * Two or more configurations of one experiment run side by side. Every run
+ * starts from the same settings, terrain and seed, differing only in the
+ * parameters its configuration names, and all of them are stepped together
+ * so their stats line up sample for sample.
+ */
+
+import { Simulation } from './SimulationEngine.js';
+import { applyIntervention } from './Interventions.js';
+
+// First stats sample at which the best fitness reached `target`, or null
+export function targetReached(stats, target) {
+  if (target === null) return null;
+  const sample = stats.bestFitness.findIndex(value => value !== null && value >= target);
+  if (sample === -1) return null;
+  return { sample, frame: stats.time[sample], generation: stats.generation[sample] };
+}
+
+export class Comparison {
+  // configs: [{ label, parameters: { name: value } }], parameters as for setParameter
+  constructor(base, configs, { targetFitness = null } = {}) {
+    this.seed = base.seed;
+    this.targetFitness = targetFitness; // Best fitness the runs race to, null for none
+    this.runs = configs.map(config => this.createRun(base, config));
+  }
+
+  // A fresh copy of `base` with the configuration's parameters applied
+  createRun(base, { label, parameters = {} }) {
+    const simulation = Simulation.fromJSON(base.toJSON());
+    for (let [name, value] of Object.entries(parameters)) {
+      applyIntervention(simulation, { type: 'setParameter', name, value });
+    }
+    simulation.reset(this.seed);
+    return { label, parameters: { ...parameters }, simulation };
+  }
+
+  get simulations() {
+    return this.runs.map(run => run.simulation);
+  }
+
+  get running() {
+    return this.simulations.some(simulation => simulation.running);
+  }
+
+  start() {
+    this.simulations.forEach(simulation => simulation.start());
+  }
+
+  pause() {
+    this.simulations.forEach(simulation => simulation.pause());
+  }
+
+  update() {
+    this.simulations.forEach(simulation => simulation.update());
+  }
+
+  nextGeneration() {
+    this.simulations.forEach(simulation => simulation.nextGeneration());
+  }
+
+  // Start every run over; they keep sharing one seed
+  reset(seed = this.seed) {
+    for (let simulation of this.simulations) {
+      simulation.reset(seed);
+    }
+    this.seed = this.simulations[0].seed;
+  }
+
+  // Where each run reached the target, and which runs got there first
+  // (several when they reached it at the same frame)
+  getResults() {
+    const reached = this.runs.map(run => targetReached(run.simulation.stats, this.targetFitness));
+    const frames = reached.filter(Boolean).map(result => result.frame);
+    const first = frames.length > 0 ? Math.min(...frames) : null;
+    return {
+      reached,
+      leaders: reached.flatMap((result, index) => result && result.frame === first ? [index] : [])
+    };
+  }
+}
@@ -0,0 +1,58 @@
+import { describe, expect, test } from 'vitest';
+import { Comparison, targetReached } from './Comparison';
+import { Simulation } from './SimulationEngine';
+
+const CONFIGS = [
+  { label: 'Mutation 5%', parameters: { mutationRate: 0.05 } },
+  { label: 'Mutation 20%', parameters: { mutationRate: 0.2 } }
+];
+
+const createComparison = (options) => {
+  const base = new Simulation(300, 200, 12, { seed: 9 });
+  base.generationLength = 100;
+  base.environment.foodAbundance = 30;
+  return new Comparison(base, CONFIGS, options);
+};
+
+describe('Comparison', () => {
+  test('runs start from the same seed and settings, differing only in their parameters', () => {
+    const comparison = createComparison();
+    const [a, b] = comparison.simulations;
+
+    expect(a.seed).toBe(b.seed);
+    expect(a.population.map(o => o.genome.genes)).toEqual(b.population.map(o => o.genome.genes));
+    expect([a.mutationRate, b.mutationRate]).toEqual([0.05, 0.2]);
+    expect(b.environment.foodAbundance).toBe(30);
+    expect(b.generationLength).toBe(100);
+  });
+
+  test('runs are stepped together, so their samples line up', () => {
+    const comparison = createComparison();
+    comparison.start();
+    for (let i = 0; i < 250; i++) comparison.update();
+    comparison.nextGeneration();
+
+    const [a, b] = comparison.simulations;
+    expect(a.stats.time).toEqual(b.stats.time);
+    expect(a.stats.generation).toEqual([0, 1, 2]);
+    expect(a.stats.avgSpeed).not.toEqual(b.stats.avgSpeed);
+  });
+
+  test('the runs that reached the target first lead', () => {
+    const comparison = createComparison({ targetFitness: 100 });
+    const [a, b] = comparison.simulations;
+    Object.assign(a.stats, { time: [100, 200, 300], generation: [0, 1, 2], bestFitness: [50, 90, 120] });
+    Object.assign(b.stats, { time: [100, 200, 300], generation: [0, 1, 2], bestFitness: [null, 110, 150] });
+
+    expect(comparison.getResults()).toEqual({
+      reached: [{ sample: 2, frame: 300, generation: 2 }, { sample: 1, frame: 200, generation: 1 }],
+      leaders: [1]
+    });
+
+    comparison.targetFitness = 85;
+    expect(comparison.getResults().leaders).toEqual([0, 1]);
+    comparison.targetFitness = 500;
+    expect(comparison.getResults().leaders).toEqual([]);
+    expect(targetReached(a.stats, null)).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+import { useEffect, useRef, useState } from 'react';
+import { CHART_SERIES, formatTick, niceTicks, valueScale } from './Chart';
+
+const MARGIN = { left: 34, right: 8, top: 10, bottom: 18 };
+
+// One stats series from every compared run, overlaid on shared axes (runs are
+// stepped together, so sample i is the same moment in each). The target
+// fitness is drawn across the best fitness chart.
+function ComparisonChart({ runs, stats, targetFitness, width = 268, height = 160 }) {
+  const canvasRef = useRef(null);
+  const [seriesKey, setSeriesKey] = useState('bestFitness');
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    const length = Math.max(0, ...stats.map(s => s.time.length));
+    if (length < 2) return;
+
+    const lines = stats.map(s => CHART_SERIES[seriesKey].values(s));
+    const target = seriesKey === 'bestFitness' ? targetFitness : null;
+    const scale = valueScale([...lines.flat(), ...(target !== null ? [target] : [])]);
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const xAt = i => MARGIN.left + (i / (length - 1)) * plotWidth;
+    const yAt = value => MARGIN.top + (1 - scale.position(value)) * plotHeight;
+
+    // Axes: value ticks, and sample positions labelled with their generation
+    ctx.font = '9px sans-serif';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    for (let tick of scale.ticks) {
+      ctx.strokeStyle = 'rgba(230, 230, 234, 0.08)';
+      ctx.beginPath();
+      ctx.moveTo(MARGIN.left, yAt(tick));
+      ctx.lineTo(width - MARGIN.right, yAt(tick));
+      ctx.stroke();
+      ctx.fillStyle = 'rgba(230, 230, 234, 0.5)';
+      ctx.fillText(formatTick(tick), MARGIN.left - 4, yAt(tick) + 3);
+    }
+    ctx.textAlign = 'center';
+    for (let i of niceTicks(0, length - 1).filter(Number.isInteger)) {
+      ctx.fillText(String(stats[0].generation[i] ?? i), xAt(i), height - 5);
+    }
+
+    if (target !== null) {
+      ctx.strokeStyle = 'rgba(255, 196, 87, 0.7)';
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(MARGIN.left, yAt(target));
+      ctx.lineTo(width - MARGIN.right, yAt(target));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // One line per run, broken where a value is unknown
+    lines.forEach((data, index) => {
+      ctx.strokeStyle = runs[index].color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      let drawing = false;
+      data.forEach((value, i) => {
+        if (value === null) {
+          drawing = false;
+        } else if (drawing) {
+          ctx.lineTo(xAt(i), yAt(value));
+        } else {
+          ctx.moveTo(xAt(i), yAt(value));
+          drawing = true;
+        }
+      });
+      ctx.stroke();
+    });
+  }, [runs, stats, targetFitness, seriesKey, width, height]);
+
+  return (
+    <div className="chart">
+      <select className="select compact" value={seriesKey} onChange={e => setSeriesKey(e.target.value)}>
+        {Object.entries(CHART_SERIES).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <canvas ref={canvasRef} className="data-canvas chart-canvas" width={width} height={height}></canvas>
+    </div>
+  );
+}
+
+export default ComparisonChart;
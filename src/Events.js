@@ -0,0 +1,119 @@
+/**
+ * ENVIRONMENTAL EVENTS
+ * Registered event types. Each event runs for a number of frames with an
+ * intensity and, optionally, an area of effect, and has hooks for when it
+ * starts, on every frame while it lasts, and when it ends.
+ */
+
+// Hooks get (simulation, event). The event is plain data:
+// { id, type, intensity, duration, remaining, x, y, radius, frame, generation, source }
+// radius is null for events that affect the whole world.
+export const EVENT_TYPES = {
+  meteor: {
+    label: 'Meteor Strike',
+    icon: '☄️',
+    duration: 90, // The crater stays visible for a while
+    intensity: 1, // Chance that an organism inside the impact radius dies
+    radius: 120,
+    start(simulation, event) {
+      // Each organism inside the crater is hit at most once
+      const { environment } = simulation;
+      for (let organism of simulation.population) {
+        if (!organism.alive) continue;
+        if (environment.distance(event.x, event.y, organism.x, organism.y) > event.radius) continue;
+        if (simulation.rng.chance(event.intensity)) {
+          organism.alive = false;
+        }
+      }
+      for (let food of environment.foodWithin(event.x, event.y, event.radius)) {
+        environment.removeFood(food);
+      }
+    }
+  },
+
+  'ice-age': {
+    label: 'Ice Age',
+    icon: '❄️',
+    duration: 1500,
+    intensity: 0.5, // Extra share of energy spent moving
+    radius: null,
+    start(simulation, event) {
+      simulation.environment.movementCostModifier += event.intensity;
+    },
+    end(simulation, event) {
+      simulation.environment.movementCostModifier -= event.intensity;
+    }
+  },
+
+  abundance: {
+    label: 'Resource Boom',
+    icon: '🌱',
+    duration: 600,
+    intensity: 1, // Extra food growth while it lasts (1 = double)
+    radius: null,
+    start(simulation, event) {
+      simulation.environment.spawnFood(Math.round(100 * event.intensity));
+      simulation.environment.eventFoodModifier += event.intensity;
+    },
+    end(simulation, event) {
+      simulation.environment.eventFoodModifier -= event.intensity;
+    }
+  },
+
+  plague: {
+    label: 'Plague',
+    icon: '☣️',
+    duration: 300,
+    intensity: 0.5, // Energy lost per frame is intensity * 0.2
+    radius: null,
+    update(simulation, event) {
+      const { environment } = simulation;
+      for (let organism of simulation.population) {
+        if (!organism.alive) continue;
+        if (event.radius !== null &&
+            environment.distance(event.x, event.y, organism.x, organism.y) > event.radius) continue;
+        organism.energy -= event.intensity * 0.2;
+        if (organism.energy <= 0) {
+          organism.alive = false;
+        }
+      }
+    }
+  }
+};
+
+// Add a custom event type, available to the UI, timelines and triggerEvent.
+// Call it from Extensions.js so it is also registered where the engine runs.
+export function registerEventType(name, {
+  label = name,
+  icon = '•',
+  duration = 0,
+  intensity = 1,
+  radius = null,
+  start,
+  update,
+  end
+} = {}) {
+  if (EVENT_TYPES[name]) {
+    throw new Error(`Event type already registered: ${name}`);
+  }
+  if (![start, update, end].some(hook => typeof hook === 'function')) {
+    throw new Error(`Event type "${name}" needs at least one of start, update or end`);
+  }
+  EVENT_TYPES[name] = { label, icon, duration, intensity, radius, start, update, end, custom: true };
+  return EVENT_TYPES[name];
+}
+
+// Remove a custom event type; the built-in ones cannot be removed
+export function unregisterEventType(name) {
+  if (!EVENT_TYPES[name]?.custom) return false;
+  delete EVENT_TYPES[name];
+  return true;
+}
+
+export function getEventType(name) {
+  const eventType = EVENT_TYPES[name];
+  if (!eventType) {
+    throw new Error(`Unknown event type: ${name}`);
+  }
+  return eventType;
+}
@@ -0,0 +1,96 @@
+import { afterEach, describe, expect, test } from 'vitest';
+import { EVENT_TYPES, registerEventType, unregisterEventType } from './Events';
+import { Simulation } from './SimulationEngine';
+import { Timeline } from './Timeline';
+
+const running = (seed, size = 40) => {
+  const simulation = new Simulation(400, 300, size, { seed });
+  simulation.generationLength = 10000;
+  simulation.start();
+  return simulation;
+};
+
+const step = (simulation, frames) => {
+  for (let i = 0; i < frames; i++) {
+    simulation.update();
+  }
+};
+
+describe('Environmental events', () => {
+  afterEach(() => {
+    unregisterEventType('test-heatwave');
+  });
+
+  test('a meteor only hits organisms inside its crater', () => {
+    const simulation = running(1);
+    const { environment } = simulation;
+    const inside = (o) => environment.distance(200, 150, o.x, o.y) <= 80;
+    const targets = simulation.population.filter(inside);
+
+    simulation.triggerEvent('meteor', { x: 200, y: 150, radius: 80 });
+
+    expect(targets.length).toBeGreaterThan(0);
+    expect(targets.every(o => !o.alive)).toBe(true);
+    expect(simulation.population.filter(o => !inside(o)).every(o => o.alive)).toBe(true);
+    expect(environment.foodWithin(200, 150, 80)).toHaveLength(0);
+  });
+
+  test('ice age raises movement costs for a while without touching genes', () => {
+    const simulation = running(2);
+    const efficiency = simulation.population.map(o => o.genome.genes.efficiency);
+
+    const event = simulation.triggerEvent('ice-age', { duration: 20, intensity: 0.5 });
+    expect(simulation.environment.movementCostModifier).toBe(1.5);
+
+    step(simulation, 10);
+    expect(event.remaining).toBe(10);
+    expect(simulation.activeEvents).toContain(event);
+
+    step(simulation, 10);
+    expect(simulation.activeEvents).toHaveLength(0);
+    expect(simulation.environment.movementCostModifier).toBe(1);
+    expect(simulation.population.map(o => o.genome.genes.efficiency)).toEqual(efficiency);
+  });
+
+  test('custom event types can be registered and scheduled', () => {
+    const log = [];
+    registerEventType('test-heatwave', {
+      label: 'Heatwave',
+      duration: 5,
+      start: (simulation, event) => log.push(['start', event.intensity]),
+      update: () => log.push(['update']),
+      end: () => log.push(['end'])
+    });
+    expect(EVENT_TYPES['test-heatwave'].label).toBe('Heatwave');
+    expect(() => registerEventType('meteor', { start: () => {} })).toThrow(/already registered/);
+
+    const simulation = running(3, 10);
+    simulation.timeline = new Timeline({ events: [{ type: 'test-heatwave', frame: 2, intensity: 3 }] });
+    step(simulation, 10);
+
+    expect(log[0]).toEqual(['start', 3]);
+    expect(log.filter(([hook]) => hook === 'update')).toHaveLength(5);
+    expect(log[log.length - 1]).toEqual(['end']);
+  });
+
+  test('unknown event types are rejected', () => {
+    expect(() => running(4, 5).triggerEvent('volcano')).toThrow(/Unknown event type/);
+    expect(unregisterEventType('meteor')).toBe(false);
+  });
+
+  test('active events are saved and resume identically', () => {
+    const simulation = running(5);
+    simulation.triggerEvent('plague', { duration: 50 });
+    simulation.triggerEvent('ice-age', { duration: 80 });
+    step(simulation, 20);
+
+    const restored = Simulation.fromJSON(JSON.parse(JSON.stringify(simulation.toJSON())));
+    restored.start();
+    step(simulation, 70);
+    step(restored, 70);
+
+    expect(restored.activeEvents).toEqual(simulation.activeEvents);
+    expect(restored.environment.movementCostModifier).toBe(simulation.environment.movementCostModifier);
+    expect(restored.population.map(o => o.energy)).toEqual(simulation.population.map(o => o.energy));
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * ENGINE EXTENSIONS
+ * The place to register custom fitness functions (see Fitness.js) and event
+ * types (see Events.js). Registries belong to each copy of the engine, and in
+ * the app the engine runs in a Web Worker with its own copy, so a function
+ * registered from page code is never seen by the run. This module is loaded
+ * by the worker, by the page (through SimulationClient.js, so the controls
+ * list the same names) and by the command-line scripts. For example:
+ *
+ *   import { registerFitnessFunction } from './Fitness.js';
+ *
+ *   registerFitnessFunction('wanderer', {
+ *     label: 'Wanderer',
+ *     evaluate: (organism) => organism.age * organism.genome.genes.speed
+ *   });
+ *
+ * Functions cannot be sent in host messages, so there is no command for this.
+ */
@@ -0,0 +1,89 @@
+/**
+ * FITNESS FUNCTIONS
+ * What a run is selecting for: named presets plus custom registered functions
+ */
+
+// Weights of the weighted preset. The defaults reproduce the classic score.
+export const DEFAULT_FITNESS_WEIGHTS = {
+  food: 10,      // Per food item (or prey) eaten
+  survival: 0.1, // Per frame lived
+  energy: 1,     // Per unit of energy left
+  efficiency: 0  // Per unit of energy gained for each unit spent
+};
+
+// Energy gained per unit of energy spent moving
+function energyEfficiency(organism) {
+  return organism.energyGained / Math.max(1, organism.energySpent);
+}
+
+// Each function gets the organism and { weights } and returns its score
+export const FITNESS_FUNCTIONS = {
+  classic: {
+    label: 'Classic (food + survival + energy)',
+    evaluate(organism) {
+      const foodScore = organism.foodCollected * 10;
+      const survivalBonus = organism.age * 0.1;
+      const efficiencyScore = organism.energy > 0 ? organism.energy : 0;
+      return foodScore + survivalBonus + efficiencyScore;
+    }
+  },
+
+  food: {
+    label: 'Food gathered',
+    evaluate: organism => organism.foodCollected
+  },
+
+  survival: {
+    label: 'Survival time',
+    evaluate: organism => organism.age
+  },
+
+  efficiency: {
+    label: 'Energy efficiency',
+    evaluate: energyEfficiency
+  },
+
+  weighted: {
+    label: 'Weighted combination',
+    usesWeights: true,
+    evaluate(organism, { weights = DEFAULT_FITNESS_WEIGHTS } = {}) {
+      const w = { ...DEFAULT_FITNESS_WEIGHTS, ...weights };
+      return w.food * organism.foodCollected +
+        w.survival * organism.age +
+        w.energy * Math.max(0, organism.energy) +
+        w.efficiency * energyEfficiency(organism);
+    }
+  }
+};
+
+export const DEFAULT_FITNESS_FUNCTION = 'classic';
+
+// Add a custom fitness function, selectable by name like the presets. Call it
+// from Extensions.js so it is also registered where the engine runs.
+export function registerFitnessFunction(name, { label = name, evaluate, usesWeights = false } = {}) {
+  if (typeof evaluate !== 'function') {
+    throw new Error(`Fitness function "${name}" needs an evaluate(organism, options) function`);
+  }
+  if (FITNESS_FUNCTIONS[name]) {
+    throw new Error(`Fitness function already registered: ${name}`);
+  }
+  FITNESS_FUNCTIONS[name] = { label, evaluate, usesWeights, custom: true };
+  return FITNESS_FUNCTIONS[name];
+}
+
+// Remove a custom fitness function; the presets cannot be removed
+export function unregisterFitnessFunction(name) {
+  const fitness = FITNESS_FUNCTIONS[name];
+  if (!fitness?.custom) return false;
+  delete FITNESS_FUNCTIONS[name];
+  return true;
+}
+
+export function evaluateFitness(name, organism, options = {}) {
+  const fitness = FITNESS_FUNCTIONS[name];
+  if (!fitness) {
+    throw new Error(`Unknown fitness function: ${name}`);
+  }
+  const score = fitness.evaluate(organism, options);
+  return Number.isFinite(score) ? score : 0;
+}
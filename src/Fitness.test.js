@@ -0,0 +1,63 @@
+import { afterEach, describe, expect, test } from 'vitest';
+import {
+  DEFAULT_FITNESS_WEIGHTS,
+  FITNESS_FUNCTIONS,
+  evaluateFitness,
+  registerFitnessFunction,
+  unregisterFitnessFunction
+} from './Fitness';
+import { Simulation } from './SimulationEngine';
+
+const organism = (fields) => ({
+  foodCollected: 0,
+  age: 0,
+  energy: 0,
+  energyGained: 0,
+  energySpent: 0,
+  ...fields
+});
+
+describe('fitness functions', () => {
+  afterEach(() => {
+    unregisterFitnessFunction('test-size');
+  });
+
+  test('presets score what their names say', () => {
+    const forager = organism({ foodCollected: 5, age: 100, energy: 50 });
+    const survivor = organism({ foodCollected: 1, age: 900, energy: 10 });
+
+    expect(evaluateFitness('food', forager)).toBeGreaterThan(evaluateFitness('food', survivor));
+    expect(evaluateFitness('survival', survivor)).toBeGreaterThan(evaluateFitness('survival', forager));
+    expect(evaluateFitness('efficiency', organism({ energyGained: 60, energySpent: 20 }))).toBe(3);
+  });
+
+  test('default weights reproduce the classic score', () => {
+    const o = organism({ foodCollected: 3, age: 420, energy: 75 });
+    expect(evaluateFitness('weighted', o, { weights: DEFAULT_FITNESS_WEIGHTS }))
+      .toBeCloseTo(evaluateFitness('classic', o));
+    expect(evaluateFitness('weighted', o, { weights: { food: 1, survival: 0, energy: 0 } })).toBe(3);
+  });
+
+  test('custom functions can be registered and drive selection', () => {
+    registerFitnessFunction('test-size', {
+      label: 'Bigger is better',
+      evaluate: o => o.genome.genes.size
+    });
+    expect(FITNESS_FUNCTIONS['test-size'].label).toBe('Bigger is better');
+    expect(() => registerFitnessFunction('test-size', { evaluate: () => 0 })).toThrow(/already registered/);
+
+    const simulation = new Simulation(400, 300, 20, { seed: 3 });
+    simulation.fitnessFunction = 'test-size';
+    const largest = Math.max(...simulation.population.map(o => o.genome.genes.size));
+    simulation.nextGeneration();
+
+    expect(simulation.stats.bestFitness).toEqual([largest]);
+    expect(simulation.stats.fitnessFunction).toEqual(['test-size']);
+  });
+
+  test('presets cannot be unregistered and unknown names are rejected', () => {
+    expect(unregisterFitnessFunction('classic')).toBe(false);
+    expect(() => evaluateFitness('nope', organism())).toThrow(/Unknown fitness function/);
+    expect(() => registerFitnessFunction('broken', {})).toThrow(/evaluate/);
+  });
+});
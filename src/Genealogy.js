@@ -0,0 +1,121 @@
+/**
+ * GENEALOGY
+ * Who descended from whom. Keeps a plain-data record per organism and prunes
+ * everything that is no longer an ancestor of the living population.
+ */
+
+// Everything the family tree needs once the organism itself is gone
+function createRecord(organism) {
+  return {
+    id: organism.id,
+    parentIds: [...organism.parentIds],
+    generation: organism.generation,
+    diet: organism.genome.diet,
+    genes: { ...organism.genome.genes },
+    color: { ...organism.genome.color },
+    inheritance: organism.genome.inheritance ? { ...organism.genome.inheritance } : null,
+    fitness: organism.fitness
+  };
+}
+
+export class Genealogy {
+  constructor(depth = 10) {
+    this.depth = depth; // Generations of ancestry kept behind the living population
+    this.records = new Map(); // id -> record
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  // Register a newborn (or refresh an organism whose genes or fitness changed)
+  add(organism) {
+    this.records.set(organism.id, createRecord(organism));
+  }
+
+  update(organism) {
+    const record = this.records.get(organism.id);
+    if (!record) {
+      this.add(organism);
+      return;
+    }
+    record.genes = { ...organism.genome.genes };
+    record.fitness = organism.fitness;
+  }
+
+  // Copy an organism's recorded ancestry over from another genealogy, so its
+  // family tree still resolves once it lives somewhere else (an island it
+  // migrated to). Ancestors already known here are kept as they are.
+  copyAncestry(id, source) {
+    const stack = [...(source.get(id)?.parentIds ?? [])];
+    while (stack.length > 0) {
+      const record = source.get(stack.pop());
+      if (!record || this.records.has(record.id)) continue;
+      this.records.set(record.id, JSON.parse(JSON.stringify(record)));
+      stack.push(...record.parentIds);
+    }
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  // Nested { record, parents } tree, up to depth generations back.
+  // Parents that were pruned or never recorded come back as null.
+  getTree(id, depth = 3) {
+    const record = this.get(id);
+    if (!record) return null;
+
+    return {
+      record,
+      parents: depth > 0
+        ? record.parentIds.map(parentId => this.getTree(parentId, depth - 1))
+        : []
+    };
+  }
+
+  // Forget records that are neither living nor recent ancestors of the living
+  prune(population, generation) {
+    const oldest = generation - this.depth;
+    const keep = new Set();
+    const stack = [];
+
+    for (let organism of population) {
+      keep.add(organism.id);
+      stack.push(organism.id);
+    }
+
+    while (stack.length > 0) {
+      const record = this.records.get(stack.pop());
+      if (!record) continue;
+      for (let parentId of record.parentIds) {
+        const parent = this.records.get(parentId);
+        if (parent && !keep.has(parentId) && parent.generation >= oldest) {
+          keep.add(parentId);
+          stack.push(parentId);
+        }
+      }
+    }
+
+    for (let id of this.records.keys()) {
+      if (!keep.has(id)) {
+        this.records.delete(id);
+      }
+    }
+  }
+
+  toJSON() {
+    return {
+      depth: this.depth,
+      records: [...this.records.values()].map(record => JSON.parse(JSON.stringify(record)))
+    };
+  }
+
+  static fromJSON(data) {
+    const genealogy = new Genealogy(data.depth);
+    for (let record of data.records) {
+      genealogy.records.set(record.id, JSON.parse(JSON.stringify(record)));
+    }
+    return genealogy;
+  }
+}
@@ -0,0 +1,74 @@
+import { describe, expect, test } from 'vitest';
+import { Genealogy } from './Genealogy';
+import { MODE, Simulation } from './SimulationEngine';
+
+const runGenerations = (seed, generations) => {
+  const simulation = new Simulation(400, 300, 20, { seed });
+  for (let i = 0; i < generations; i++) {
+    simulation.nextGeneration();
+  }
+  return simulation;
+};
+
+describe('Lineage', () => {
+  test('children remember their parents and which parent each gene came from', () => {
+    const simulation = runGenerations(1, 1);
+    const child = simulation.population[0];
+    const [parentA, parentB] = child.parentIds.map(id => simulation.genealogy.get(id));
+
+    expect(child.generation).toBe(1);
+    expect(parentA.generation).toBe(0);
+    expect(parentB.generation).toBe(0);
+
+    // Genes equal the chosen parent's value unless a mutation changed them
+    const parents = [parentA, parentB];
+    const unmutated = Object.keys(child.genome.genes).filter(gene =>
+      child.genome.genes[gene] === parents[child.genome.inheritance[gene]].genes[gene]
+    );
+    expect(unmutated.length).toBeGreaterThan(0);
+  });
+
+  test('family tree reaches back through previous generations', () => {
+    const simulation = runGenerations(2, 3);
+    const tree = simulation.getFamilyTree(simulation.population[0].id, 3);
+
+    expect(tree.record.generation).toBe(3);
+    expect(tree.parents).toHaveLength(2);
+    expect(tree.parents[0].record.generation).toBe(2);
+    expect(tree.parents[0].parents[0].parents[0].record.generation).toBe(0);
+  });
+
+  test('prunes records that are old or no longer ancestors of the living', () => {
+    const simulation = runGenerations(3, 15);
+    const { genealogy } = simulation;
+    const oldest = Math.min(...[...genealogy.records.values()].map(r => r.generation));
+
+    expect(oldest).toBeGreaterThanOrEqual(simulation.generation - genealogy.depth);
+    // Never more than the living plus depth generations of ancestors
+    expect(genealogy.size).toBeLessThanOrEqual(20 * (genealogy.depth + 1));
+    for (let organism of simulation.population) {
+      expect(genealogy.get(organism.id)).not.toBeNull();
+    }
+  });
+
+  test('continuous births record both parents', () => {
+    const simulation = new Simulation(200, 200, 10, { seed: 4, mode: MODE.CONTINUOUS });
+    const [parent, mate] = simulation.population;
+    mate.x = parent.x;
+    mate.y = parent.y;
+    simulation.environment.indexOrganisms(simulation.population);
+
+    const child = simulation.reproduce(parent);
+    expect(child.parentIds).toContain(parent.id);
+    expect(simulation.genealogy.get(child.id).parentIds).toEqual(child.parentIds);
+  });
+
+  test('survives a snapshot round trip', () => {
+    const simulation = runGenerations(5, 2);
+    const restored = Simulation.fromJSON(JSON.parse(JSON.stringify(simulation.toJSON())));
+    const id = simulation.population[0].id;
+
+    expect(restored.getFamilyTree(id)).toEqual(simulation.getFamilyTree(id));
+    expect(Genealogy.fromJSON(simulation.genealogy.toJSON()).size).toBe(simulation.genealogy.size);
+  });
+});
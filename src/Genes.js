@@ -0,0 +1,106 @@
+/**
+ * GENE SCHEMA
+ * Every heritable trait, declared once. Genome creation, mutation, clamping,
+ * statistics and the trait bars are all driven by this list, so a new trait
+ * is one more entry here (plus whatever behaviour uses it).
+ */
+
+// name:          key in genome.genes
+// label, unit:   how the UI shows it
+// min, max:      hard limits, applied after every mutation
+// initial:       distribution of founder values ('uniform' min-max, or 'normal' mean/sd)
+// mutationScale: width of the uniform change a mutation applies
+// precision:     decimals shown in the UI
+export const GENE_SCHEMA = [
+  {
+    name: 'speed',
+    label: 'Speed',
+    unit: 'px/frame',
+    min: 0.5,
+    max: 10,
+    initial: { distribution: 'uniform', min: 1, max: 6 },
+    mutationScale: 1.5,
+    precision: 2
+  },
+  {
+    name: 'vision',
+    label: 'Vision',
+    unit: 'px',
+    min: 30,
+    max: 300,
+    initial: { distribution: 'uniform', min: 50, max: 150 },
+    mutationScale: 30,
+    precision: 0
+  },
+  {
+    name: 'size',
+    label: 'Size',
+    unit: 'px',
+    min: 3,
+    max: 40,
+    initial: { distribution: 'uniform', min: 5, max: 20 },
+    mutationScale: 4.5,
+    precision: 2
+  },
+  {
+    name: 'efficiency',
+    label: 'Efficiency',
+    unit: '',
+    min: 0.3,
+    max: 1.5,
+    initial: { distribution: 'uniform', min: 0.5, max: 1 },
+    mutationScale: 0.15,
+    precision: 2
+  }
+];
+
+export const GENES = Object.fromEntries(GENE_SCHEMA.map(gene => [gene.name, gene]));
+
+export const GENE_NAMES = GENE_SCHEMA.map(gene => gene.name);
+
+export function clampGene(name, value) {
+  const { min, max } = GENES[name];
+  return Math.min(max, Math.max(min, value));
+}
+
+// Hand-entered gene values, clamped to each gene's limits. Unknown genes
+// and values that are not finite numbers are rejected.
+export function checkGenes(genes) {
+  return Object.fromEntries(Object.entries(genes).map(([name, value]) => {
+    if (!GENES[name]) {
+      throw new Error(`Unknown gene: ${name}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Invalid value for ${name}: ${value}`);
+    }
+    return [name, clampGene(name, value)];
+  }));
+}
+
+// Founder value drawn from the gene's initial distribution
+export function randomGeneValue(name, rng) {
+  const { initial } = GENES[name];
+  if (initial.distribution === 'normal') {
+    return clampGene(name, rng.normal(initial.mean, initial.sd));
+  }
+  return rng.range(initial.min, initial.max);
+}
+
+// Value for genomes saved before the gene existed: the centre of its founder range
+export function defaultGeneValue(name) {
+  const { initial } = GENES[name];
+  return initial.distribution === 'normal' ? initial.mean : (initial.min + initial.max) / 2;
+}
+
+// Position of a value between the gene's limits, 0-1 (for bars)
+export function geneFraction(name, value) {
+  const { min, max } = GENES[name];
+  return (value - min) / (max - min);
+}
+
+// Stats series holding the population average, e.g. 'avgSpeed'
+export function traitStatKey(name) {
+  return `avg${name[0].toUpperCase()}${name.slice(1)}`;
+}
+
+export const TRAIT_STATS = GENE_NAMES.map(traitStatKey);
@@ -0,0 +1,61 @@
+import { describe, expect, test } from 'vitest';
+import { GENE_NAMES, GENE_SCHEMA, GENES, TRAIT_STATS, checkGenes, clampGene, defaultGeneValue } from './Genes';
+import { Genome, Simulation } from './SimulationEngine';
+import { Random } from './Random';
+
+describe('Gene schema', () => {
+  test('every gene declares what the engine and UI need', () => {
+    for (let gene of GENE_SCHEMA) {
+      expect(gene.min).toBeLessThan(gene.max);
+      expect(gene.mutationScale).toBeGreaterThan(0);
+      expect(typeof gene.label).toBe('string');
+    }
+  });
+
+  test('founders start inside their initial distribution', () => {
+    const rng = new Random(1);
+    for (let i = 0; i < 200; i++) {
+      const { genes } = new Genome(null, rng);
+      expect(Object.keys(genes)).toEqual(GENE_NAMES);
+      for (let name of GENE_NAMES) {
+        expect(genes[name]).toBeGreaterThanOrEqual(GENES[name].initial.min);
+        expect(genes[name]).toBeLessThan(GENES[name].initial.max);
+      }
+    }
+  });
+
+  test('mutation never pushes a gene past its limits', () => {
+    const genome = new Genome(null, new Random(2));
+    for (let i = 0; i < 2000; i++) {
+      genome.mutate(1);
+      for (let name of GENE_NAMES) {
+        expect(genome.genes[name]).toBe(clampGene(name, genome.genes[name]));
+      }
+    }
+  });
+
+  test('genomes saved without a gene get its default value', () => {
+    const { genes } = new Genome(null, new Random(3)).toJSON();
+    const { efficiency, ...older } = genes;
+
+    const restored = Genome.fromJSON({ genes: older, color: { h: 0, s: 50, l: 50 } });
+    expect(restored.genes.efficiency).toBe(defaultGeneValue('efficiency'));
+  });
+
+  test('hand-entered values are clamped, and unknown genes or bad values rejected', () => {
+    expect(checkGenes({ speed: 1e6, size: 1 })).toEqual({ speed: GENES.speed.max, size: clampGene('size', 1) });
+    expect(() => checkGenes({ wings: 1 })).toThrow('Unknown gene: wings');
+    expect(() => checkGenes({ speed: NaN })).toThrow('Invalid value for speed');
+    expect(() => checkGenes({ speed: '3' })).toThrow('Invalid value for speed');
+  });
+
+  test('stats keep one average series per gene', () => {
+    const simulation = new Simulation(300, 200, 10, { seed: 4 });
+    simulation.nextGeneration();
+
+    for (let key of TRAIT_STATS) {
+      expect(simulation.stats[key]).toHaveLength(1);
+      expect(simulation.getStats()).toHaveProperty(key);
+    }
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * HEADLESS RUNNER
+ * Drives a Simulation without canvas or React, as fast as the CPU allows
+ */
+
+import { DIET, MODE, Simulation } from './SimulationEngine.js';
+import { DEFAULT_FITNESS_FUNCTION, DEFAULT_FITNESS_WEIGHTS } from './Fitness.js';
+import { GENE_NAMES, TRAIT_STATS } from './Genes.js';
+import { BOUNDARY } from './Terrain.js';
+import { Timeline } from './Timeline.js';
+import { DEFAULT_SPECIES_THRESHOLD } from './Species.js';
+import { DISTRIBUTION_STATS } from './Statistics.js';
+
+// Default experiment configuration (same defaults as the UI)
+export const DEFAULT_RUN_CONFIG = {
+  mode: MODE.GENERATIONAL,
+  brains: false, // Neural-network steering instead of the built-in behaviour
+  generations: 100,
+  frames: null, // Continuous mode length; defaults to generations * generationLength
+  population: 30,
+  predators: 0,
+  mutationRate: 0.1,
+  selectionPressure: 0.5,
+  selectionStrategy: 'truncation',
+  tournamentSize: 3,
+  elitism: 0,
+  fitnessFunction: DEFAULT_FITNESS_FUNCTION,
+  fitnessWeights: DEFAULT_FITNESS_WEIGHTS,
+  speciesThreshold: DEFAULT_SPECIES_THRESHOLD,
+  assortativeMating: false, // Only mate within a species
+  foodAbundance: 50,
+  boundary: BOUNDARY.WRAP,
+  timeline: null, // Seasons, drift and scheduled events (see Timeline.js)
+  generationLength: 1000,
+  width: 800,
+  height: 600,
+  seed: undefined
+};
+
+const TROPHIC_FIELDS = ['herbivores', 'carnivores', 'herbivoreAvgFitness', 'carnivoreAvgFitness'];
+const SPECIES_FIELDS = ['speciesCount', 'speciesBorn', 'speciesExtinct'];
+const TURNOVER_FIELDS = ['births', 'deaths', 'foodConsumed', 'diversity'];
+
+// Gene spread columns: speedMin, speedMax, speedMedian, speedStddev, visionMin, ...
+const distributionField = (name, key) => `${name}${key[0].toUpperCase()}${key.slice(1)}`;
+const DISTRIBUTION_FIELDS = GENE_NAMES.flatMap(name => DISTRIBUTION_STATS.map(key => distributionField(name, key)));
+
+export const RECORD_FIELDS = [
+  'generation', 'frame', 'fitnessFunction', 'avgFitness', 'bestFitness', ...TRAIT_STATS,
+  ...TROPHIC_FIELDS, ...SPECIES_FIELDS, ...TURNOVER_FIELDS, ...DISTRIBUTION_FIELDS
+];
+
+// Build a Simulation from a run configuration
+export function createSimulation(config = {}) {
+  const settings = { ...DEFAULT_RUN_CONFIG, ...config };
+  const simulation = new Simulation(settings.width, settings.height, settings.population, {
+    seed: settings.seed,
+    predators: settings.predators,
+    mode: settings.mode,
+    brains: settings.brains,
+    speciesThreshold: settings.speciesThreshold
+  });
+
+  simulation.mutationRate = settings.mutationRate;
+  simulation.selectionPressure = settings.selectionPressure;
+  simulation.selectionStrategy = settings.selectionStrategy;
+  simulation.tournamentSize = settings.tournamentSize;
+  simulation.elitism = settings.elitism;
+  simulation.fitnessFunction = settings.fitnessFunction;
+  simulation.fitnessWeights = { ...DEFAULT_FITNESS_WEIGHTS, ...settings.fitnessWeights };
+  simulation.assortativeMating = settings.assortativeMating;
+  simulation.generationLength = settings.generationLength;
+  simulation.environment.foodAbundance = settings.foodAbundance;
+  simulation.environment.setBoundary(settings.boundary);
+  if (settings.timeline) {
+    simulation.timeline = Timeline.fromJSON(settings.timeline);
+  }
+
+  return simulation;
+}
+
+// Run the experiment and return one record per stats sample: one per generation,
+// or one every sampleInterval frames in continuous mode
+export function runHeadless(config = {}, { onSample } = {}) {
+  const settings = { ...DEFAULT_RUN_CONFIG, ...config };
+  const simulation = createSimulation(settings);
+  const records = [];
+
+  const continuous = settings.mode === MODE.CONTINUOUS;
+  const frameLimit = settings.frames ?? settings.generations * settings.generationLength;
+  const finished = () => continuous
+    ? simulation.frame >= frameLimit || simulation.population.length === 0
+    : simulation.generation >= settings.generations;
+
+  simulation.start();
+
+  while (!finished()) {
+    const before = simulation.generation;
+    const samples = simulation.stats.avgFitness.length;
+
+    simulation.update();
+
+    if (simulation.stats.avgFitness.length > samples) {
+      const { stats } = simulation;
+      const last = series => series[series.length - 1];
+      const record = {
+        generation: continuous ? simulation.generation : before,
+        frame: last(stats.time),
+        fitnessFunction: last(stats.fitnessFunction),
+        avgFitness: last(stats.avgFitness),
+        bestFitness: last(stats.bestFitness)
+      };
+
+      // Trait means are null when nobody was left to measure
+      for (let key of TRAIT_STATS) {
+        record[key] = last(stats[key]);
+      }
+
+      const herbivore = stats.trophic[DIET.HERBIVORE];
+      const carnivore = stats.trophic[DIET.CARNIVORE];
+      record.herbivores = last(herbivore.population);
+      record.carnivores = last(carnivore.population);
+      record.herbivoreAvgFitness = last(herbivore.avgFitness);
+      record.carnivoreAvgFitness = last(carnivore.avgFitness);
+      for (let key of [...SPECIES_FIELDS, ...TURNOVER_FIELDS]) {
+        record[key] = last(stats[key]);
+      }
+      for (let name of GENE_NAMES) {
+        for (let key of DISTRIBUTION_STATS) {
+          record[distributionField(name, key)] = last(stats.genes[name][key]);
+        }
+      }
+
+      records.push(record);
+      if (onSample) onSample(record, simulation);
+    }
+  }
+
+  return { seed: simulation.seed, config: settings, records, simulation };
+}
+
+// Serialize records as CSV with a header row
+export function recordsToCSV(records, fields = RECORD_FIELDS) {
+  const lines = [fields.join(',')];
+  for (let record of records) {
+    lines.push(fields.map(field => record[field] ?? '').join(','));
+  }
+  return lines.join('\n') + '\n';
+}
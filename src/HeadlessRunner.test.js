@@ -0,0 +1,24 @@
+import { expect, test } from 'vitest';
+import { runHeadless, recordsToCSV, RECORD_FIELDS } from './HeadlessRunner';
+
+const config = { generations: 3, population: 12, generationLength: 60, width: 300, height: 200, seed: 5 };
+
+test('records one row per generation', () => {
+  const { records, seed } = runHeadless(config);
+
+  expect(seed).toBe(5);
+  expect(records.map(r => r.generation)).toEqual([0, 1, 2]);
+  expect(Object.keys(records[0])).toEqual(RECORD_FIELDS);
+});
+
+test('seeded runs are reproducible', () => {
+  expect(runHeadless(config).records).toEqual(runHeadless(config).records);
+});
+
+test('CSV output has a header and one line per record', () => {
+  const { records } = runHeadless(config);
+  const lines = recordsToCSV(records).trim().split('\n');
+
+  expect(lines[0]).toBe(RECORD_FIELDS.join(','));
+  expect(lines).toHaveLength(records.length + 1);
+});
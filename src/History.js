@@ -0,0 +1,130 @@
+/**
+ * RUN HISTORY
+ * Compact record of a run for scrubbing back in time: a keyframe snapshot
+ * every few hundred frames plus a log of every intervention. Runs are
+ * deterministic, so any earlier frame is rebuilt by restoring the keyframe
+ * before it and replaying the interventions logged since.
+ */
+
+import { Simulation } from './SimulationEngine.js';
+import { applyIntervention } from './Interventions.js';
+
+export const KEYFRAME_INTERVAL = 250; // Frames between keyframes
+export const MAX_KEYFRAMES = 200; // Beyond this every other keyframe is dropped
+
+// Stats series only grow, so a keyframe's stats are the first `samples`
+// entries of the latest stats (and the first `events` events)
+function sliceStats(stats, { samples, events }) {
+  const slice = (value, key) => {
+    if (Array.isArray(value)) return value.slice(0, key === 'events' ? events : samples);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, slice(v, k)]));
+  };
+  return slice(stats, null);
+}
+
+export class RunHistory {
+  // Starts recording `simulation` from its current frame
+  constructor(simulation, { keyframeInterval = KEYFRAME_INTERVAL, maxKeyframes = MAX_KEYFRAMES } = {}) {
+    this.keyframeInterval = keyframeInterval;
+    this.maxKeyframes = maxKeyframes;
+    this.startFrame = simulation.frame;
+    this.frame = simulation.frame; // Latest frame recorded
+    this.keyframes = [];       // { frame, interventions, samples, events, snapshot }
+    this.interventions = [];   // { frame, type, ...fields }, in the order they happened
+    this.next = 0;             // First logged intervention the run has not reached yet
+    this.stats = simulation.stats; // Stats of the furthest point reached
+    this.addKeyframe(simulation);
+  }
+
+  // True while a run rebuilt from the past has not caught up with the recording
+  isReplaying(simulation) {
+    return simulation.frame < this.frame || this.next < this.interventions.length;
+  }
+
+  // Call after every update. At new frames this records keyframes; behind the
+  // latest frame it replays the interventions logged for the frame reached.
+  afterUpdate(simulation) {
+    if (simulation.frame > this.frame) {
+      this.frame = simulation.frame;
+      this.stats = simulation.stats;
+      if ((simulation.frame - this.startFrame) % this.keyframeInterval === 0) {
+        this.addKeyframe(simulation);
+      }
+      return;
+    }
+    while (this.next < this.interventions.length && this.interventions[this.next].frame <= simulation.frame) {
+      applyIntervention(simulation, this.interventions[this.next++]);
+    }
+  }
+
+  // Apply an intervention and log it. Changing a replayed run branches it:
+  // the recorded future is dropped.
+  intervene(simulation, intervention) {
+    applyIntervention(simulation, intervention);
+    if (this.isReplaying(simulation)) {
+      this.branch(simulation);
+    }
+    this.interventions.push({ ...intervention, frame: simulation.frame });
+    this.next = this.interventions.length;
+  }
+
+  // Make the run's current point the end of the recording
+  branch(simulation) {
+    this.keyframes = this.keyframes.filter(keyframe => keyframe.frame <= simulation.frame);
+    this.interventions = this.interventions.slice(0, this.next);
+    this.frame = simulation.frame;
+    this.stats = simulation.stats;
+  }
+
+  addKeyframe(simulation) {
+    const { stats, ...snapshot } = simulation.toJSON();
+    this.keyframes.push({
+      frame: simulation.frame,
+      interventions: this.interventions.length,
+      samples: stats.time.length,
+      events: stats.events.length,
+      snapshot: JSON.stringify(snapshot)
+    });
+
+    // Long runs: keep the first keyframe and every other one after it, twice as far apart
+    if (this.keyframes.length > this.maxKeyframes) {
+      this.keyframeInterval *= 2;
+      this.keyframes = this.keyframes.filter(keyframe =>
+        keyframe.frame === this.startFrame || (keyframe.frame - this.startFrame) % this.keyframeInterval === 0
+      );
+    }
+  }
+
+  // Rebuild the run as it was at `frame` (clamped to the recording), paused,
+  // with every intervention logged up to that frame applied
+  seek(frame) {
+    const target = Math.min(this.frame, Math.max(this.startFrame, Math.round(frame)));
+    const keyframe = this.keyframes.filter(k => k.frame <= target).pop();
+
+    const simulation = Simulation.fromJSON({
+      ...JSON.parse(keyframe.snapshot),
+      stats: sliceStats(this.stats, keyframe)
+    });
+    this.next = keyframe.interventions;
+
+    simulation.start();
+    this.afterUpdate(simulation);
+    while (simulation.frame < target) {
+      simulation.update();
+      this.afterUpdate(simulation);
+    }
+    simulation.pause();
+    return simulation;
+  }
+
+  // Frame at which generation `generation` was under way, from the recorded
+  // stats samples (the start of the recording if it is not known)
+  frameOfGeneration(generation) {
+    const { time, generation: generations } = this.stats;
+    let frame = this.startFrame;
+    for (let i = 0; i < time.length && generations[i] !== null && generations[i] < generation; i++) {
+      frame = time[i];
+    }
+    return Math.max(frame, this.startFrame);
+  }
+}
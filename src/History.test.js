@@ -0,0 +1,107 @@
+import { describe, expect, test } from 'vitest';
+import { RunHistory } from './History';
+import { MODE, Simulation } from './SimulationEngine';
+
+// Everything about a run that replay must reproduce
+const fingerprint = (simulation) => ({
+  frame: simulation.frame,
+  generation: simulation.generation,
+  rng: simulation.rng.state,
+  population: simulation.population.map(o => [o.id, o.x, o.y, o.energy, o.genome.genes]),
+  food: simulation.environment.food.map(f => [f.x, f.y]),
+  stats: simulation.stats
+});
+
+// Record a run, stepping it and applying interventions at the given frames
+const record = (options, frames, interventions = {}) => {
+  const simulation = new Simulation(300, 200, 15, { seed: 3, ...options });
+  simulation.generationLength = 120;
+  const history = new RunHistory(simulation, { keyframeInterval: 50 });
+  const seen = {};
+
+  simulation.start();
+  for (let frame = 0; frame <= frames; frame++) {
+    for (let intervention of interventions[frame] || []) {
+      history.intervene(simulation, typeof intervention === 'function' ? intervention(simulation) : intervention);
+    }
+    seen[simulation.frame] = JSON.parse(JSON.stringify(fingerprint(simulation)));
+    if (frame < frames) {
+      simulation.update();
+      history.afterUpdate(simulation);
+    }
+  }
+  return { simulation, history, seen };
+};
+
+const INTERVENTIONS = {
+  30: [{ type: 'addFood', x: 100, y: 100 }, { type: 'setParameter', name: 'mutationRate', value: 0.4 }],
+  75: [simulation => ({ type: 'mutate', id: simulation.population[0].id })],
+  140: [{ type: 'triggerEvent', eventType: 'meteor' }, simulation => ({ type: 'clone', id: simulation.population[2].id })]
+};
+
+describe('RunHistory', () => {
+  test('seeking rebuilds any earlier frame exactly, interventions included', () => {
+    const { history, seen } = record({}, 300, INTERVENTIONS);
+
+    for (let frame of [0, 30, 74, 75, 140, 211, 300]) {
+      expect(fingerprint(history.seek(frame))).toEqual(seen[frame]);
+    }
+    expect(history.keyframes.map(k => k.frame)).toEqual([0, 50, 100, 150, 200, 250, 300]);
+  });
+
+  test('continuous runs replay births and deaths', () => {
+    const { history, seen } = record({ mode: MODE.CONTINUOUS }, 260, INTERVENTIONS);
+    expect(fingerprint(history.seek(230))).toEqual(seen[230]);
+  });
+
+  test('playing on from the past follows the recording until it branches', () => {
+    const { history, seen } = record({}, 300, INTERVENTIONS);
+    const replay = history.seek(60);
+    expect(history.isReplaying(replay)).toBe(true);
+
+    replay.start();
+    while (replay.frame < 200) {
+      replay.update();
+      history.afterUpdate(replay);
+    }
+    expect(fingerprint(replay)).toEqual(seen[200]);
+
+    // A change here drops everything recorded after it
+    history.intervene(replay, { type: 'addFood', x: 10, y: 10 });
+    expect(history.frame).toBe(200);
+    expect(history.isReplaying(replay)).toBe(false);
+    expect(history.keyframes.map(k => k.frame)).toEqual([0, 50, 100, 150, 200]);
+    expect(history.interventions.map(i => i.frame)).toEqual([30, 30, 75, 140, 140, 200]);
+  });
+
+  test('hand-edited genes and designed organisms are replayed', () => {
+    const { history, seen } = record({}, 200, {
+      40: [simulation => ({ type: 'editGenes', id: simulation.population[0].id, genes: { speed: 4.5, vision: 999 } })],
+      90: [{ type: 'placeOrganism', x: 150, y: 100, genes: { size: 12 }, diet: 'carnivore' }]
+    });
+
+    const replay = history.seek(100);
+    expect(fingerprint(replay)).toEqual(seen[100]);
+    expect(history.interventions.map(i => i.type)).toEqual(['editGenes', 'placeOrganism']);
+  });
+
+  test('long recordings keep fewer, evenly spaced keyframes', () => {
+    const simulation = new Simulation(300, 200, 10, { seed: 4 });
+    const history = new RunHistory(simulation, { keyframeInterval: 10, maxKeyframes: 8 });
+    simulation.start();
+    for (let i = 0; i < 100; i++) {
+      simulation.update();
+      history.afterUpdate(simulation);
+    }
+
+    expect(history.keyframes.length).toBeLessThanOrEqual(8);
+    expect(history.keyframes.map(k => k.frame)).toEqual([0, 20, 40, 60, 80, 100]);
+  });
+
+  test('generations map to the frame they were under way', () => {
+    const { history } = record({}, 300);
+    expect(history.frameOfGeneration(0)).toBe(0);
+    expect(history.frameOfGeneration(2)).toBe(240);
+    expect(history.seek(history.frameOfGeneration(2)).generation).toBe(2);
+  });
+});
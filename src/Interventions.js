@@ -0,0 +1,94 @@
+/**
+ * INTERVENTIONS
+ * Every way a run can be changed from outside while it plays: the user's
+ * tools, organism edits, events and parameter changes. Each one is plain
+ * data ({ type, ...fields }), so a run's history can log them and replay
+ * them at the same frames (see History.js).
+ */
+
+import { DIET, Food } from './SimulationEngine.js';
+
+// Settings that live on the Simulation itself
+export const SIMULATION_PARAMETERS = [
+  'mutationRate', 'selectionPressure', 'selectionStrategy', 'tournamentSize', 'elitism',
+  'fitnessFunction', 'assortativeMating'
+];
+
+// How each parameter name is applied to a run
+const PARAMETERS = {
+  ...Object.fromEntries(SIMULATION_PARAMETERS.map(name => [name, (simulation, value) => {
+    simulation[name] = value;
+  }])),
+  fitnessWeights: (simulation, value) => { simulation.fitnessWeights = { ...value }; },
+  foodAbundance: (simulation, value) => { simulation.environment.foodAbundance = value; },
+  boundary: (simulation, value) => simulation.environment.setBoundary(value),
+  seasonAmplitude: (simulation, value) => { simulation.timeline.seasons.amplitude = value; },
+  seasonPeriod: (simulation, value) => { simulation.timeline.seasons.period = value; },
+  driftRate: (simulation, value) => { simulation.timeline.drift.rate = value; },
+  speciesThreshold: (simulation, value) => { simulation.species.threshold = value; }
+};
+
+// Organism edits name their target by id, which stays the same on replay
+const withOrganism = (edit) => (simulation, { id, ...fields }) => {
+  const organism = simulation.population.find(o => o.id === id);
+  if (organism) edit(simulation, organism, fields);
+};
+
+export const INTERVENTIONS = {
+  setParameter(simulation, { name, value }) {
+    const apply = PARAMETERS[name];
+    if (!apply) {
+      throw new Error(`Unknown parameter: ${name}`);
+    }
+    apply(simulation, value);
+  },
+
+  addFood(simulation, { x, y }) {
+    simulation.environment.addFood(new Food(x, y));
+  },
+
+  releasePredator(simulation, { x, y }) {
+    simulation.spawnOrganism(x, y, DIET.CARNIVORE);
+  },
+
+  paintTerrain(simulation, { x, y, radius, brush }) {
+    simulation.environment.paintTerrain(x, y, radius, brush);
+  },
+
+  clone: withOrganism((simulation, organism) => simulation.cloneOrganism(organism)),
+
+  mutate: withOrganism((simulation, organism, { intensity = 0.5 }) => simulation.mutateOrganism(organism, intensity)),
+
+  eliminate: withOrganism((simulation, organism) => simulation.eliminateOrganism(organism)),
+
+  editGenes: withOrganism((simulation, organism, { genes }) => simulation.editGenes(organism, genes)),
+
+  placeOrganism(simulation, { x, y, genes, diet }) {
+    simulation.placeOrganism(x, y, { genes, diet });
+  },
+
+  triggerEvent(simulation, { eventType }) {
+    simulation.triggerEvent(eventType);
+  },
+
+  addTimelineEvent(simulation, { event }) {
+    simulation.timeline.addEvent(event);
+  },
+
+  removeTimelineEvent(simulation, { id }) {
+    simulation.timeline.removeEvent(id);
+  },
+
+  // Ending a generation early (generational mode)
+  nextGeneration(simulation) {
+    simulation.nextGeneration();
+  }
+};
+
+export function applyIntervention(simulation, intervention) {
+  const apply = INTERVENTIONS[intervention.type];
+  if (!apply) {
+    throw new Error(`Unknown intervention: ${intervention.type}`);
+  }
+  apply(simulation, intervention);
+}
@@ -0,0 +1,96 @@
+/**
+ * SCENARIO PRESETS
+ * Built-in scenarios offered when entering the simulation, written in the
+ * scenario file format (see ScenarioFile.js). Each has an id for links.
+ * All of them use an 800 x 600 world so their positions line up.
+ */
+
+import { SCENARIO_FORMAT, SCENARIO_VERSION } from './ScenarioFile.js';
+
+const preset = (id, scenario) => ({
+  id,
+  format: SCENARIO_FORMAT,
+  version: SCENARIO_VERSION,
+  ...scenario,
+  world: { width: 800, height: 600, ...scenario.world }
+});
+
+export const SCENARIO_PRESETS = [
+  preset('random-start', {
+    name: 'Random start',
+    description: '30 random herbivores and 50 food items scattered over an open world.',
+    population: { groups: [{ count: 30 }] },
+    food: { initial: 50, abundance: 50 }
+  }),
+
+  preset('food-desert', {
+    name: 'Food desert',
+    description: 'Food is scarce except at two oases, and dry seasons come and go. ' +
+      'Finding the oases and staying near them matters more than speed.',
+    world: {
+      areas: [
+        { type: 'soil', x: 200, y: 300, radius: 60 },
+        { type: 'soil', x: 600, y: 300, radius: 60 }
+      ]
+    },
+    population: { groups: [{ count: 30 }] },
+    food: {
+      initial: 10,
+      abundance: 10,
+      spawners: [
+        { x: 200, y: 300, radius: 60, rate: 0.1, initial: 8, max: 15 },
+        { x: 600, y: 300, radius: 60, rate: 0.1, initial: 8, max: 15 }
+      ]
+    },
+    environment: { seasons: { amplitude: 0.5, period: 3000 } }
+  }),
+
+  preset('speed-vs-efficiency', {
+    name: 'Speed vs. Efficiency',
+    description: 'Two founding groups compete for the same food: fast sprinters that burn ' +
+      'energy, and slow foragers that make the most of every meal.',
+    population: {
+      groups: [
+        { count: 15, genes: { speed: [5, 6], efficiency: [0.4, 0.6] } },
+        { count: 15, genes: { speed: [1, 2], efficiency: [1.1, 1.4] } }
+      ]
+    },
+    food: { initial: 40, abundance: 40 }
+  }),
+
+  preset('bottleneck', {
+    name: 'Bottleneck',
+    description: 'A large, varied population is struck by a plague and a meteor in generation 5. ' +
+      'Watch diversity collapse and slowly recover from the few survivors.',
+    population: { groups: [{ count: 60 }] },
+    food: { initial: 60, abundance: 60 },
+    events: [
+      { type: 'plague', generation: 5, intensity: 2, duration: 400 },
+      { type: 'meteor', generation: 5, x: 400, y: 300, radius: 250 }
+    ]
+  }),
+
+  preset('predators-and-prey', {
+    name: 'Predators and prey',
+    description: 'Four identical carnivores start in the middle of a herd of herbivores. ' +
+      'Prey must outrun or outsee them; the hunters must keep up.',
+    population: {
+      groups: [{ count: 30 }],
+      genomes: [
+        { x: 370, y: 270 }, { x: 430, y: 270 }, { x: 370, y: 330 }, { x: 430, y: 330 }
+      ].map(position => ({
+        ...position,
+        diet: 'carnivore',
+        genes: { speed: 4, vision: 160, size: 18, efficiency: 0.8 }
+      }))
+    }
+  })
+];
+
+export function getPreset(id) {
+  const found = SCENARIO_PRESETS.find(scenario => scenario.id === id);
+  if (!found) {
+    throw new Error(`Unknown preset: ${id}`);
+  }
+  return found;
+}
@@ -0,0 +1,22 @@
+import { describe, expect, test } from 'vitest';
+import { SCENARIO_PRESETS, getPreset } from './Presets';
+import { createScenarioSimulation, readScenario } from './ScenarioFile';
+
+describe('Scenario presets', () => {
+  test('every preset is a valid scenario that runs', () => {
+    for (let preset of SCENARIO_PRESETS) {
+      const simulation = createScenarioSimulation(readScenario(preset), { seed: 5 });
+      expect(simulation.population.length).toBeGreaterThan(0);
+      simulation.start();
+      for (let i = 0; i < 20; i++) {
+        simulation.update();
+      }
+    }
+    expect(new Set(SCENARIO_PRESETS.map(preset => preset.id)).size).toBe(SCENARIO_PRESETS.length);
+  });
+
+  test('presets are looked up by id', () => {
+    expect(getPreset('bottleneck').name).toBe('Bottleneck');
+    expect(() => getPreset('atlantis')).toThrow('Unknown preset: atlantis');
+  });
+});
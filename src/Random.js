@@ -0,0 +1,81 @@
+/**
+ * SEEDED RANDOM NUMBER GENERATOR
+ * Small deterministic PRNG (mulberry32) so a run can be reproduced from its seed
+ */
+
+// Turn any seed (number or string) into an unsigned 32-bit integer
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  // Numeric text ("42") means the same seed as the number
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  // FNV-1a hash for any other string seed
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Pick a fresh seed when the caller did not ask for one
+export function randomSeed() {
+  return Math.floor(Math.random() * 0xffffffff) >>> 0;
+}
+
+export class Random {
+  constructor(seed = randomSeed()) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Float in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Normally distributed float (Box-Muller)
+  normal(mean = 0, sd = 1) {
+    const u = 1 - this.next(); // (0, 1], keeps log() finite
+    const v = this.next();
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  // Integer in [0, max)
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  // True with the given probability
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  // Random element of an array
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  // Seed and position in the sequence, enough to resume exactly
+  toJSON() {
+    return { seed: this.seed, state: this.state };
+  }
+}
+
+// Shared generator for objects created outside a Simulation
+export const defaultRandom = new Random();
@@ -0,0 +1,103 @@
+/**
+ * SCENARIO LINKS
+ * The setup of a run as URL query parameters, so a link opens the simulation
+ * exactly as it was configured: seed, population, world size, mutation rate,
+ * selection pressure, food abundance, speed and the scheduled events.
+ *
+ *   ?seed=42&population=30&mutation=0.1&selection=0.5&food=50&speed=1
+ *    &width=800&height=600&event=meteor.g10.r80&event=plague.f5000.i1.5
+ *
+ * Rates are fractions, as in the engine. Each event is its type, when it
+ * fires (g<generation> or f<frame>) and any options that differ from the
+ * type's defaults: i<intensity>, d<duration>, r<radius>, x<x> and y<y>. A run started from a preset (see
+ * Presets.js) names it, as in ?preset=bottleneck&seed=42, and its founders
+ * take the place of the population size. Links are read leniently: values
+ * out of range are clamped and anything unreadable is left out.
+ */
+
+import { EVENT_TYPES } from './Events.js';
+import { SCENARIO_PRESETS } from './Presets.js';
+
+// Query key -> scenario setting, with the values the simulation accepts
+const NUMBER_PARAMS = {
+  population: { key: 'population', min: 1, max: 500, integer: true },
+  mutation: { key: 'mutationRate', min: 0, max: 1 },
+  selection: { key: 'selectionPressure', min: 0, max: 1 },
+  food: { key: 'foodAbundance', min: 10, max: 100 },
+  speed: { key: 'speed', min: 1, max: 10, integer: true },
+  width: { key: 'width', min: 100, max: 4000, integer: true },
+  height: { key: 'height', min: 100, max: 4000, integer: true }
+};
+
+const EVENT_UNITS = { g: 'generation', f: 'frame' };
+const EVENT_OPTIONS = { i: 'intensity', d: 'duration', r: 'radius', x: 'x', y: 'y' };
+
+// True when the query string describes a scenario
+export function hasScenario(search) {
+  const params = new URLSearchParams(search);
+  return params.has('seed') || params.has('preset') || Object.keys(NUMBER_PARAMS).some(name => params.has(name));
+}
+
+// Settings found in a query string; missing or unreadable ones are absent
+export function parseScenario(search) {
+  const params = new URLSearchParams(search);
+  const scenario = {};
+
+  const seed = params.get('seed')?.trim();
+  if (seed) scenario.seed = seed;
+
+  const preset = params.get('preset');
+  if (SCENARIO_PRESETS.some(({ id }) => id === preset)) scenario.preset = preset;
+
+  for (let [name, { key, min, max, integer }] of Object.entries(NUMBER_PARAMS)) {
+    const raw = params.get(name);
+    const value = raw === null || raw.trim() === '' ? NaN : Number(raw);
+    if (Number.isFinite(value)) {
+      const clamped = Math.min(max, Math.max(min, value));
+      scenario[key] = integer ? Math.round(clamped) : clamped;
+    }
+  }
+
+  const events = params.getAll('event').flatMap(spec => {
+    // Options are split at dots followed by a letter, so values keep their decimals
+    const [head, ...options] = spec.trim().split(/\.(?=[a-z])/);
+    const match = /^(\w+)\.([gf])(\d+)$/.exec([head, options.shift()].join('.'));
+    if (!match || !EVENT_TYPES[match[1]]) return [];
+    const event = { type: match[1], [EVENT_UNITS[match[2]]]: parseInt(match[3]) };
+    for (let option of options) {
+      const value = Number(option.slice(1));
+      if (EVENT_OPTIONS[option[0]] && option.length > 1 && Number.isFinite(value) && value >= 0) {
+        event[EVENT_OPTIONS[option[0]]] = value;
+      }
+    }
+    return [event];
+  });
+  if (events.length > 0) scenario.events = events;
+
+  return scenario;
+}
+
+// Query string for a scenario (without the leading "?")
+export function scenarioToQuery(scenario) {
+  const params = new URLSearchParams();
+  if (scenario.preset) params.set('preset', scenario.preset);
+  if (scenario.seed !== undefined && scenario.seed !== null) {
+    params.set('seed', String(scenario.seed));
+  }
+  for (let [name, { key }] of Object.entries(NUMBER_PARAMS)) {
+    if (Number.isFinite(scenario[key])) params.set(name, String(scenario[key]));
+  }
+  for (let event of scenario.events ?? []) {
+    const defaults = EVENT_TYPES[event.type] ?? {};
+    const parts = [event.type, event.generation !== null && event.generation !== undefined
+      ? `g${event.generation}`
+      : `f${event.frame}`];
+    for (let [letter, option] of Object.entries(EVENT_OPTIONS)) {
+      if (Number.isFinite(event[option]) && event[option] !== defaults[option]) {
+        parts.push(`${letter}${event[option]}`);
+      }
+    }
+    params.append('event', parts.join('.'));
+  }
+  return params.toString();
+}
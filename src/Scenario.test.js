@@ -0,0 +1,63 @@
+import { describe, expect, test } from 'vitest';
+import { hasScenario, parseScenario, scenarioToQuery } from './Scenario';
+import { EVENT_TYPES } from './Events';
+
+const scenario = {
+  seed: '42',
+  population: 40,
+  mutationRate: 0.05,
+  selectionPressure: 0.3,
+  foodAbundance: 70,
+  speed: 3,
+  width: 800,
+  height: 500,
+  events: [{ type: 'meteor', generation: 10 }, { type: 'plague', frame: 5000 }]
+};
+
+describe('Scenario links', () => {
+  test('a scenario survives a round trip through the query string', () => {
+    const query = scenarioToQuery(scenario);
+    expect(query).toBe(
+      'seed=42&population=40&mutation=0.05&selection=0.3&food=70&speed=3&width=800&height=500' +
+      '&event=meteor.g10&event=plague.f5000'
+    );
+    expect(parseScenario(`?${query}`)).toEqual(scenario);
+    expect(hasScenario(`?${query}`)).toBe(true);
+  });
+
+  test('timeline events keep only their type and time', () => {
+    const events = [{ id: 3, type: 'meteor', generation: null, frame: 200, fired: true }];
+    expect(parseScenario(scenarioToQuery({ events })).events).toEqual([{ type: 'meteor', frame: 200 }]);
+  });
+
+  test('event options that differ from the type defaults are part of the link', () => {
+    const events = [
+      { id: 1, type: 'meteor', generation: 40, frame: null, fired: false, radius: 80, x: 120, y: 340.5 },
+      { id: 2, type: 'plague', generation: null, frame: 900, fired: false, intensity: 1.5, duration: 250 }
+    ];
+    const query = scenarioToQuery({ events });
+    expect(new URLSearchParams(query).getAll('event')).toEqual(['meteor.g40.r80.x120.y340.5', 'plague.f900.i1.5.d250']);
+    expect(parseScenario(`?${query}`).events).toEqual([
+      { type: 'meteor', generation: 40, radius: 80, x: 120, y: 340.5 },
+      { type: 'plague', frame: 900, intensity: 1.5, duration: 250 }
+    ]);
+
+    const defaults = [{ type: 'meteor', generation: 5, radius: EVENT_TYPES.meteor.radius }];
+    expect(scenarioToQuery({ events: defaults })).toBe('event=meteor.g5');
+    expect(parseScenario('?event=meteor.g5.r.q3.i-2.d7').events).toEqual([{ type: 'meteor', generation: 5, duration: 7 }]);
+  });
+
+  test('hand-edited links are clamped and unreadable values left out', () => {
+    const parsed = parseScenario('?mutation=3&food=abc&population=12.6&width=&event=comet.g3&event=meteor.x1&event=plague.g2');
+    expect(parsed).toEqual({ mutationRate: 1, population: 13, events: [{ type: 'plague', generation: 2 }] });
+    expect(hasScenario('?utm_source=mail')).toBe(false);
+    expect(parseScenario('')).toEqual({});
+  });
+
+  test('links name the preset a run started from; unknown presets are left out', () => {
+    expect(scenarioToQuery({ preset: 'bottleneck', seed: 7 })).toBe('preset=bottleneck&seed=7');
+    expect(parseScenario('?preset=bottleneck')).toEqual({ preset: 'bottleneck' });
+    expect(hasScenario('?preset=bottleneck')).toBe(true);
+    expect(parseScenario('?preset=atlantis&seed=7')).toEqual({ seed: '7' });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * SCENARIO FILES
+ * The starting setup of a run as a JSON document: the world, its founders,
+ * food, evolution settings and scheduled events. The preset library
+ * (Presets.js) is written in this format, and users can import and export
+ * their own files. Every section and field is optional; whatever is left
+ * out takes the usual default.
+ *
+ * {
+ *   "format": "evolution-simulation-scenario",
+ *   "version": 1,
+ *   "name": "Food desert",
+ *   "description": "Scarce food around two oases",
+ *   "seed": 42,                           // Omit for a new random seed every time
+ *   "world": {
+ *     "width": 800, "height": 600,        // Default: the size of the canvas
+ *     "boundary": "wrap",                 // wrap, walls or lethal
+ *     "terrain": { "cellSize": 20, "runs": [["plain", 1200]] },  // A whole map, as in snapshots
+ *     "areas": [                          // Circles painted over it, in order
+ *       { "type": "soil", "x": 200, "y": 300, "radius": 60 }
+ *     ]
+ *   },
+ *   "population": {                       // Default: 30 random herbivores
+ *     "groups": [                         // Random founders; a gene is a value or a [min, max]
+ *       { "count": 30, "diet": "herbivore", "genes": { "speed": [1, 3] } }
+ *     ],
+ *     "genomes": [                        // Exact founders; genes left out start mid-range,
+ *       { "diet": "carnivore", "genes": { "speed": 4 }, "x": 400, "y": 300 }
+ *     ]                                   // and without x and y they start anywhere
+ *   },
+ *   "food": {
+ *     "initial": 50,                      // Scattered at the start of the run and of every generation
+ *     "abundance": 50,                    // Level food grows back to, 10-100
+ *     "spawners": [                       // Sources dropping `rate` items per frame within `radius`,
+ *       { "x": 200, "y": 300, "radius": 60, "rate": 0.1, "initial": 10, "max": 20 }
+ *     ]                                   // up to `max` at once; `initial` are laid out with the rest
+ *   },
+ *   "environment": {                      // As in timelines (see Timeline.js)
+ *     "seasons": { "amplitude": 0.5, "period": 2000, "phase": 0 },
+ *     "drift": { "rate": -0.1 }
+ *   },
+ *   "evolution": { "mutationRate": 0.1 }, // Any of EVOLUTION_SETTINGS, in engine units
+ *   "events": [                           // A generation or a frame, plus any event options
+ *     { "type": "meteor", "generation": 10, "x": 400, "y": 300 }
+ *   ]
+ * }
+ */
+
+import { DIET, DIETS, MODE, Simulation } from './SimulationEngine.js';
+import { DEFAULT_FITNESS_WEIGHTS, FITNESS_FUNCTIONS } from './Fitness.js';
+import { SELECTION_STRATEGIES } from './Selection.js';
+import { GENES, checkGenes } from './Genes.js';
+import { BOUNDARY, TERRAIN_TYPES, TerrainMap } from './Terrain.js';
+import { Timeline } from './Timeline.js';
+import { getEventType } from './Events.js';
+import { SIMULATION_PARAMETERS } from './Interventions.js';
+
+export const SCENARIO_FORMAT = 'evolution-simulation-scenario';
+export const SCENARIO_VERSION = 1;
+
+// Settings a scenario's "evolution" section may hold
+export const EVOLUTION_SETTINGS = [
+  'mode', 'brains', 'generationLength', ...SIMULATION_PARAMETERS, 'fitnessWeights', 'speciesThreshold',
+  'reproductionThreshold', 'reproductionCost', 'maturityAge', 'maxAge'
+];
+
+// Values each evolution setting accepts: one of a list of names (read when a
+// file is checked, since fitness functions can be registered later),
+// 'boolean', or the limits of a number
+const EVOLUTION_VALUES = {
+  mode: { oneOf: () => Object.values(MODE) },
+  brains: 'boolean',
+  generationLength: { min: 1, integer: true },
+  mutationRate: { min: 0, max: 1 },
+  selectionPressure: { min: 0, max: 1 },
+  selectionStrategy: { oneOf: () => Object.keys(SELECTION_STRATEGIES) },
+  tournamentSize: { min: 1, integer: true },
+  elitism: { min: 0, integer: true },
+  fitnessFunction: { oneOf: () => Object.keys(FITNESS_FUNCTIONS) },
+  fitnessWeights: 'weights',
+  assortativeMating: 'boolean',
+  speciesThreshold: { min: 0, max: 1 },
+  reproductionThreshold: { min: 0 },
+  reproductionCost: { min: 0 },
+  maturityAge: { min: 0 },
+  maxAge: { min: 1 }
+};
+
+// A spawner only needs a position
+const SPAWNER_DEFAULTS = { radius: 50, rate: 0.05, initial: 0, max: 20 };
+const SPAWNER_VALUES = { radius: { min: 0 }, rate: { min: 0 }, initial: { min: 0, integer: true }, max: { min: 0, integer: true } };
+
+// Limits of the other numbers a scenario holds
+const WORLD_SIZE = { min: 100, max: 4000, integer: true };
+const SEASON_VALUES = { amplitude: { min: 0 }, period: { min: 0 }, phase: {} };
+const EVENT_OPTIONS = { intensity: { min: 0 }, duration: { min: 0, integer: true }, radius: { min: 0 }, x: {}, y: {} };
+
+// Throws unless value is a finite number within the limits
+function checkNumber(name, value, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max ||
+      (integer && !Number.isInteger(value))) {
+    throw new Error(`Invalid value for ${name}: ${JSON.stringify(value)}`);
+  }
+}
+
+const DEFAULT_POPULATION = 30;
+
+// Check that parsed JSON is a scenario this build can set up, before the run
+// on screen is replaced by it
+export function readScenario(data) {
+  if (!data || typeof data !== 'object' || data.format !== SCENARIO_FORMAT) {
+    throw new Error('Not a scenario file');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error(`Invalid scenario version: ${data.version}`);
+  }
+  if (data.version > SCENARIO_VERSION) {
+    throw new Error(`Scenario version ${data.version} is newer than this build supports (${SCENARIO_VERSION})`);
+  }
+
+  const { world = {}, population = {}, food = {}, environment = {}, evolution = {}, events = [] } = data;
+  const checkDiet = (diet = DIET.HERBIVORE) => {
+    if (!DIETS.includes(diet)) throw new Error(`Unknown diet: ${diet}`);
+  };
+
+  for (let side of ['width', 'height']) {
+    if (world[side] !== undefined) checkNumber(`world ${side}`, world[side], WORLD_SIZE);
+  }
+  if (world.boundary !== undefined && !Object.values(BOUNDARY).includes(world.boundary)) {
+    throw new Error(`Unknown boundary mode: ${world.boundary}`);
+  }
+  if (world.terrain !== undefined) {
+    checkNumber('terrain cellSize', world.terrain?.cellSize, { min: 1, integer: true });
+    if (!Array.isArray(world.terrain.runs)) throw new Error('Invalid value for terrain runs');
+    for (let run of world.terrain.runs) {
+      const [type, count] = Array.isArray(run) ? run : [];
+      if (!TERRAIN_TYPES[type]) throw new Error(`Unknown terrain type: ${type}`);
+      checkNumber('terrain run length', count, { min: 0, integer: true });
+    }
+  }
+  for (let { type, x, y, radius } of world.areas ?? []) {
+    if (!TERRAIN_TYPES[type]) throw new Error(`Unknown terrain type: ${type}`);
+    checkNumber('area x', x);
+    checkNumber('area y', y);
+    checkNumber('area radius', radius, { min: 0 });
+  }
+  for (let { count, diet, genes = {} } of population.groups ?? []) {
+    if (!Number.isInteger(count) || count < 0) throw new Error(`Invalid founder count: ${count}`);
+    checkDiet(diet);
+    for (let [name, spec] of Object.entries(genes)) {
+      if (!GENES[name]) throw new Error(`Unknown gene: ${name}`);
+      const [min, max] = Array.isArray(spec) ? spec : [spec, spec];
+      if (![min, max].every(value => typeof value === 'number' && Number.isFinite(value)) || min > max) {
+        throw new Error(`Invalid value for ${name}: ${JSON.stringify(spec)}`);
+      }
+    }
+  }
+  for (let { diet, genes = {}, x, y } of population.genomes ?? []) {
+    checkDiet(diet);
+    checkGenes(genes);
+    if (x !== undefined) checkNumber('founder x', x);
+    if (y !== undefined) checkNumber('founder y', y);
+  }
+  if (food.initial !== undefined) checkNumber('initial food', food.initial, { min: 0, integer: true });
+  if (food.abundance !== undefined) checkNumber('food abundance', food.abundance, { min: 10, max: 100 });
+  for (let spawner of food.spawners ?? []) {
+    if (![spawner.x, spawner.y].every(Number.isFinite)) {
+      throw new Error(`Food spawner needs a position: ${JSON.stringify(spawner)}`);
+    }
+    for (let [field, limits] of Object.entries(SPAWNER_VALUES)) {
+      if (spawner[field] !== undefined) checkNumber(`spawner ${field}`, spawner[field], limits);
+    }
+  }
+  for (let [name, value] of Object.entries(evolution)) {
+    if (!EVOLUTION_SETTINGS.includes(name)) throw new Error(`Unknown evolution setting: ${name}`);
+    const accepted = EVOLUTION_VALUES[name];
+    if (accepted.oneOf) {
+      if (!accepted.oneOf().includes(value)) throw new Error(`Unknown ${name}: ${value}`);
+    } else if (accepted === 'boolean') {
+      if (typeof value !== 'boolean') throw new Error(`Invalid value for ${name}: ${JSON.stringify(value)}`);
+    } else if (accepted === 'weights') {
+      if (!value || typeof value !== 'object') throw new Error(`Invalid value for ${name}: ${JSON.stringify(value)}`);
+      for (let [key, weight] of Object.entries(value)) {
+        if (!(key in DEFAULT_FITNESS_WEIGHTS)) throw new Error(`Unknown fitness weight: ${key}`);
+        checkNumber(`fitness weight ${key}`, weight);
+      }
+    } else {
+      checkNumber(name, value, accepted);
+    }
+  }
+  for (let [name, limits] of Object.entries(SEASON_VALUES)) {
+    const value = environment.seasons?.[name];
+    if (value !== undefined) checkNumber(`seasons ${name}`, value, limits);
+  }
+  if (environment.drift?.rate !== undefined) checkNumber('drift rate', environment.drift.rate);
+  for (let event of events) {
+    getEventType(event.type);
+    const { generation = null, frame = null } = event;
+    if ((generation === null) === (frame === null)) {
+      throw new Error('A timeline event needs either a generation or a frame');
+    }
+    checkNumber(generation !== null ? 'event generation' : 'event frame', generation ?? frame, { min: 0, integer: true });
+    for (let [name, limits] of Object.entries(EVENT_OPTIONS)) {
+      // A radius of null makes an area event cover the whole world
+      if (event[name] !== undefined && !(name === 'radius' && event[name] === null)) {
+        checkNumber(`event ${name}`, event[name], limits);
+      }
+    }
+  }
+  return data;
+}
+
+// Build the run a scenario describes. The world size defaults to width and
+// height; a seed given here takes the place of the scenario's own.
+export function createScenarioSimulation(scenario, { width, height, seed } = {}) {
+  const { world = {}, population = null, food = {}, environment = {}, evolution = {}, events = [] } = scenario;
+  const worldWidth = world.width ?? width;
+  const worldHeight = world.height ?? height;
+
+  const { mode, brains, speciesThreshold, fitnessWeights, ...settings } = evolution;
+  const simulation = new Simulation(worldWidth, worldHeight, DEFAULT_POPULATION, {
+    seed: seed ?? scenario.seed,
+    mode,
+    brains,
+    speciesThreshold
+  });
+  Object.assign(simulation, settings);
+  simulation.fitnessWeights = { ...DEFAULT_FITNESS_WEIGHTS, ...fitnessWeights };
+
+  const { environment: env } = simulation;
+  env.foodAbundance = food.abundance ?? env.foodAbundance;
+  env.initialFood = food.initial ?? env.initialFood;
+  env.spawners = (food.spawners ?? []).map(spawner => ({ ...SPAWNER_DEFAULTS, ...spawner }));
+  if (world.boundary) env.setBoundary(world.boundary);
+  if (world.terrain) env.terrain = TerrainMap.fromJSON(world.terrain, worldWidth, worldHeight);
+  for (let { type, x, y, radius } of world.areas ?? []) {
+    env.terrain.paint(x, y, radius, type);
+  }
+
+  simulation.timeline = new Timeline({ seasons: environment.seasons, drift: environment.drift, events });
+  simulation.founders = population && JSON.parse(JSON.stringify(population));
+
+  // Founders and food placed on the finished world, from the start of the seed
+  simulation.reset(simulation.seed);
+  return simulation;
+}
+
+// The setup a run started from, as a scenario: its founders (for a run with
+// random founders, as many of each diet as it started with), world, food,
+// settings and timeline
+export function scenarioFromSimulation(simulation, { name = 'Custom scenario', description = '' } = {}) {
+  const { environment, timeline } = simulation;
+  const { herbivores, predators } = simulation.startingPopulation;
+  const founders = simulation.founders ?? {
+    groups: [{ count: herbivores, diet: DIET.HERBIVORE }, { count: predators, diet: DIET.CARNIVORE }]
+      .filter(group => group.count > 0)
+  };
+
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name,
+    description,
+    seed: simulation.seed,
+    world: {
+      width: environment.width,
+      height: environment.height,
+      boundary: environment.boundary,
+      ...(environment.terrain.painted > 0 ? { terrain: environment.terrain.toJSON() } : {})
+    },
+    population: JSON.parse(JSON.stringify(founders)),
+    food: {
+      initial: environment.initialFood,
+      abundance: environment.foodAbundance,
+      spawners: environment.spawners.map(spawner => ({ ...spawner }))
+    },
+    environment: { seasons: { ...timeline.seasons }, drift: { ...timeline.drift } },
+    evolution: Object.fromEntries(EVOLUTION_SETTINGS.map(name => [name, name === 'speciesThreshold'
+      ? simulation.species.threshold
+      : JSON.parse(JSON.stringify(simulation[name]))])),
+    events: timeline.events.map(({ id, fired, type, generation, frame, ...options }) => ({
+      type,
+      ...(generation !== null ? { generation } : { frame }),
+      ...options
+    }))
+  };
+}
+
+// File name used when exporting a scenario
+export function scenarioFileName(scenario) {
+  const slug = String(scenario.name ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `scenario-${slug || 'custom'}.json`;
+}
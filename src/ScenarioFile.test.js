@@ -0,0 +1,99 @@
+import { describe, expect, test } from 'vitest';
+import {
+  SCENARIO_FORMAT, SCENARIO_VERSION, createScenarioSimulation, readScenario, scenarioFileName, scenarioFromSimulation
+} from './ScenarioFile';
+import { DIET, Simulation } from './SimulationEngine';
+
+const scenario = {
+  format: SCENARIO_FORMAT,
+  version: SCENARIO_VERSION,
+  name: 'Walled garden',
+  seed: 11,
+  world: { width: 400, height: 300, boundary: 'walls', areas: [{ type: 'soil', x: 200, y: 150, radius: 40 }] },
+  population: {
+    groups: [{ count: 6, genes: { speed: [1, 2] } }],
+    genomes: [{ diet: DIET.CARNIVORE, genes: { vision: 250 } }]
+  },
+  food: { initial: 20, abundance: 30, spawners: [{ x: 200, y: 150, initial: 4 }] },
+  environment: { seasons: { amplitude: 0.4 } },
+  evolution: { mutationRate: 0.2, elitism: 1 },
+  events: [{ type: 'meteor', generation: 3, radius: 60 }]
+};
+
+describe('Scenario files', () => {
+  test('a scenario sets up the world, founders, food, settings and timeline', () => {
+    const simulation = createScenarioSimulation(readScenario(scenario), { width: 800, height: 600 });
+    const { environment } = simulation;
+
+    expect(simulation.seed).toBe(11);
+    expect([environment.width, environment.height, environment.boundary]).toEqual([400, 300, 'walls']);
+    expect(environment.terrain.get(200, 150)).toBe('soil');
+    expect(simulation.population.filter(o => o.genome.diet === DIET.HERBIVORE)).toHaveLength(6);
+    expect(simulation.population.find(o => o.isCarnivore()).genome.genes.vision).toBe(250);
+    expect(environment.food).toHaveLength(24);
+    expect(environment.spawners[0]).toMatchObject({ radius: 50, rate: 0.05, max: 20 });
+    expect([simulation.mutationRate, simulation.elitism, environment.foodAbundance]).toEqual([0.2, 1, 30]);
+    expect(simulation.timeline.seasons.amplitude).toBe(0.4);
+    expect(simulation.timeline.events[0]).toMatchObject({ type: 'meteor', generation: 3, radius: 60 });
+
+    // The same scenario and seed set up the same run
+    const again = createScenarioSimulation(scenario);
+    expect(again.toJSON()).toEqual(simulation.toJSON());
+  });
+
+  test('an exported run sets up the run it started from', () => {
+    const simulation = createScenarioSimulation(scenario);
+    simulation.start();
+    for (let i = 0; i < 50; i++) {
+      simulation.update();
+    }
+
+    const exported = JSON.parse(JSON.stringify(scenarioFromSimulation(simulation, { name: 'Walled garden' })));
+    expect(readScenario(exported)).toBe(exported);
+    expect(exported.events).toEqual([{ type: 'meteor', generation: 3, radius: 60 }]);
+    simulation.reset();
+    expect(createScenarioSimulation(exported).toJSON()).toEqual(simulation.toJSON());
+    expect(scenarioFileName(exported)).toBe('scenario-walled-garden.json');
+
+    // Random founders are exported as groups of the size the run started at
+    const started = new Simulation(300, 200, 9, { seed: 2, predators: 2 });
+    started.population.pop();
+    expect(scenarioFromSimulation(started).population).toEqual({
+      groups: [{ count: 9, diet: DIET.HERBIVORE }, { count: 2, diet: DIET.CARNIVORE }]
+    });
+  });
+
+  test('files this build cannot set up are rejected', () => {
+    const broken = changes => () => readScenario({ ...scenario, ...changes });
+    expect(() => readScenario({ name: 'x' })).toThrow('Not a scenario file');
+    expect(broken({ version: 2 })).toThrow('newer than this build supports');
+    expect(broken({ population: { groups: [{ count: 3, diet: 'omnivore' }] } })).toThrow('Unknown diet: omnivore');
+    expect(broken({ population: { groups: [{ count: 3, genes: { speed: [4, 2] } }] } })).toThrow('Invalid value for speed');
+    expect(broken({ population: { genomes: [{ genes: { wings: 2 } }] } })).toThrow('Unknown gene: wings');
+    expect(broken({ world: { areas: [{ type: 'lava', x: 0, y: 0, radius: 5 }] } })).toThrow('Unknown terrain type: lava');
+    expect(broken({ evolution: { gravity: 2 } })).toThrow('Unknown evolution setting: gravity');
+    expect(broken({ evolution: { fitnessFunction: 'bogus' } })).toThrow('Unknown fitnessFunction: bogus');
+    expect(broken({ evolution: { selectionStrategy: 'lottery' } })).toThrow('Unknown selectionStrategy: lottery');
+    expect(broken({ evolution: { mode: 'turbo' } })).toThrow('Unknown mode: turbo');
+    expect(broken({ evolution: { mutationRate: 1.5 } })).toThrow('Invalid value for mutationRate: 1.5');
+    expect(broken({ evolution: { elitism: 1.5 } })).toThrow('Invalid value for elitism: 1.5');
+    expect(broken({ evolution: { brains: 'yes' } })).toThrow('Invalid value for brains: "yes"');
+    expect(broken({ evolution: { fitnessWeights: { food: null } } })).toThrow('Invalid value for fitness weight food');
+    expect(broken({ food: { spawners: [{ x: 1, y: 2, rate: '0.1' }] } })).toThrow('Invalid value for spawner rate: "0.1"');
+    expect(broken({ world: { boundary: 'sticky' } })).toThrow('Unknown boundary mode: sticky');
+    expect(broken({ events: [{ type: 'comet', generation: 1 }] })).toThrow('Unknown event type: comet');
+    expect(broken({ world: { width: -50 } })).toThrow('Invalid value for world width: -50');
+    expect(broken({ world: { height: 0 } })).toThrow('Invalid value for world height: 0');
+    expect(broken({ world: { areas: [{ type: 'soil', x: 'a', y: 0, radius: 5 }] } })).toThrow('Invalid value for area x: "a"');
+    expect(broken({ world: { areas: [{ type: 'soil', x: 0, y: 0, radius: -5 }] } })).toThrow('Invalid value for area radius: -5');
+    expect(broken({ world: { terrain: { cellSize: 0, runs: [] } } })).toThrow('Invalid value for terrain cellSize: 0');
+    expect(broken({ world: { terrain: { cellSize: 20, runs: [['plain', 'all']] } } })).toThrow('Invalid value for terrain run length');
+    expect(broken({ world: { terrain: { cellSize: 20, runs: [['lava', 3]] } } })).toThrow('Unknown terrain type: lava');
+    expect(broken({ population: { genomes: [{ x: 'a', y: 10 }] } })).toThrow('Invalid value for founder x: "a"');
+    expect(broken({ environment: { seasons: { amplitude: 'x' } } })).toThrow('Invalid value for seasons amplitude: "x"');
+    expect(broken({ environment: { drift: { rate: null } } })).toThrow('Invalid value for drift rate: null');
+    expect(broken({ events: [{ type: 'meteor', generation: 2, radius: 'big' }] })).toThrow('Invalid value for event radius: "big"');
+    expect(broken({ events: [{ type: 'meteor' }] })).toThrow('needs either a generation or a frame');
+    expect(broken({ events: [{ type: 'meteor', frame: -3 }] })).toThrow('Invalid value for event frame: -3');
+  });
+});
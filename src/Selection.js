@@ -0,0 +1,92 @@
+/**
+ * SELECTION STRATEGIES
+ * How parents are chosen from a fitness-ranked group when breeding a new generation
+ */
+
+// Each strategy gets the group sorted best-first and returns a picker that
+// draws one parent per call. Only truncation uses the selection pressure.
+export const SELECTION_STRATEGIES = {
+  truncation: {
+    label: 'Truncation',
+    usesPressure: true,
+    createPicker(ranked, { rng, selectionPressure }) {
+      // Top fraction survives, parents drawn uniformly from the survivors
+      const survivalCount = Math.floor(ranked.length * selectionPressure);
+      const survivors = ranked.slice(0, Math.max(survivalCount, 2));
+      return () => rng.pick(survivors);
+    }
+  },
+
+  tournament: {
+    label: 'Tournament',
+    createPicker(ranked, { rng, tournamentSize }) {
+      // Best of k random contestants; ranked order means lowest index wins
+      const size = Math.max(1, Math.round(tournamentSize));
+      return () => {
+        let best = rng.int(ranked.length);
+        for (let i = 1; i < size; i++) {
+          best = Math.min(best, rng.int(ranked.length));
+        }
+        return ranked[best];
+      };
+    }
+  },
+
+  roulette: {
+    label: 'Roulette (fitness-proportional)',
+    createPicker(ranked, { rng }) {
+      // Shift so the weakest still has a (tiny) chance when fitness goes negative
+      const minFitness = Math.min(...ranked.map(o => o.fitness));
+      const offset = minFitness < 0 ? -minFitness : 0;
+      return createWeightedPicker(ranked, ranked.map(o => o.fitness + offset), rng);
+    }
+  },
+
+  rank: {
+    label: 'Rank-based',
+    createPicker(ranked, { rng }) {
+      // Linear ranking: the best gets weight n, the worst weight 1
+      return createWeightedPicker(ranked, ranked.map((o, i) => ranked.length - i), rng);
+    }
+  }
+};
+
+export const DEFAULT_SELECTION_STRATEGY = 'truncation';
+
+// Pick items with probability proportional to their weight
+function createWeightedPicker(items, weights, rng) {
+  const cumulative = [];
+  let total = 0;
+  for (let weight of weights) {
+    total += weight;
+    cumulative.push(total);
+  }
+
+  // Everyone scored zero: fall back to uniform choice
+  if (total <= 0) {
+    return () => rng.pick(items);
+  }
+
+  return () => {
+    const target = rng.next() * total;
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (cumulative[mid] > target) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return items[low];
+  };
+}
+
+export function createParentPicker(strategy, ranked, options) {
+  const selection = SELECTION_STRATEGIES[strategy];
+  if (!selection) {
+    throw new Error(`Unknown selection strategy: ${strategy}`);
+  }
+  return selection.createPicker(ranked, options);
+}
@@ -0,0 +1,49 @@
+import { describe, expect, test } from 'vitest';
+import { SELECTION_STRATEGIES, createParentPicker } from './Selection';
+import { Random } from './Random';
+
+// Ten individuals ranked best-first
+const ranked = Array.from({ length: 10 }, (_, i) => ({ id: i, fitness: (10 - i) * 10 }));
+
+const countPicks = (strategy, options = {}, draws = 2000) => {
+  const pick = createParentPicker(strategy, ranked, {
+    rng: new Random(1),
+    selectionPressure: 0.5,
+    tournamentSize: 3,
+    ...options
+  });
+  const counts = new Array(ranked.length).fill(0);
+  for (let i = 0; i < draws; i++) {
+    counts[pick().id]++;
+  }
+  return counts;
+};
+
+describe('selection strategies', () => {
+  test('truncation only picks from the top fraction', () => {
+    const counts = countPicks('truncation', { selectionPressure: 0.3 });
+    expect(counts.slice(3).every(c => c === 0)).toBe(true);
+    expect(counts.slice(0, 3).every(c => c > 0)).toBe(true);
+  });
+
+  test.each(['tournament', 'roulette', 'rank'])('%s favours fitter individuals', (strategy) => {
+    const counts = countPicks(strategy);
+    expect(counts[0]).toBeGreaterThan(counts[9]);
+    expect(counts.slice(0, 5).reduce((a, b) => a + b)).toBeGreaterThan(counts.slice(5).reduce((a, b) => a + b));
+  });
+
+  test('larger tournaments converge faster', () => {
+    expect(countPicks('tournament', { tournamentSize: 6 })[0])
+      .toBeGreaterThan(countPicks('tournament', { tournamentSize: 2 })[0]);
+  });
+
+  test('roulette falls back to uniform when nobody scored', () => {
+    const zero = ranked.map(o => ({ ...o, fitness: 0 }));
+    const pick = SELECTION_STRATEGIES.roulette.createPicker(zero, { rng: new Random(1) });
+    expect(zero).toContain(pick());
+  });
+
+  test('unknown strategies are rejected', () => {
+    expect(() => createParentPicker('lottery', ranked, { rng: new Random(1) })).toThrow(/Unknown selection strategy/);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * SIMULATION CLIENT
+ * The UI's end of the host protocol (see SimulationHost.js). Runs the host in
+ * a Web Worker, or on this thread where workers are not available.
+ */
+
+import './Extensions.js';
+import { SimulationHost } from './SimulationHost.js';
+
+// Returns { send(command), terminate(), inWorker }; onMessage receives every host message
+export function createSimulationClient(onMessage) {
+  if (typeof Worker !== 'undefined') {
+    const worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => onMessage(e.data);
+    worker.onerror = (e) => onMessage({ type: 'error', command: null, message: e.message });
+    return {
+      send: (command) => worker.postMessage(command),
+      terminate: () => worker.terminate(),
+      inWorker: true
+    };
+  }
+
+  // Same protocol in-thread: messages are copied and delivered asynchronously,
+  // as they would be across a worker boundary
+  const host = new SimulationHost(message => {
+    const copy = structuredClone(message);
+    queueMicrotask(() => onMessage(copy));
+  });
+  return {
+    send: (command) => host.handle(structuredClone(command)),
+    terminate: () => host.dispose(),
+    inWorker: false
+  };
+}
@@ -3,101 +3,192 @@
  * Core logic for genetic simulation, organisms, and evolution
  */
 
+import { Random, defaultRandom } from './Random.js';
+import { SNAPSHOT_FORMAT, SNAPSHOT_VERSION, migrateSnapshot } from './Snapshot.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { DEFAULT_SELECTION_STRATEGY, createParentPicker } from './Selection.js';
+import { DEFAULT_FITNESS_FUNCTION, DEFAULT_FITNESS_WEIGHTS, evaluateFitness } from './Fitness.js';
+import { Genealogy } from './Genealogy.js';
+import { GENE_NAMES, GENES, TRAIT_STATS, checkGenes, clampGene, defaultGeneValue, randomGeneValue } from './Genes.js';
+import { Brain } from './Brain.js';
+import { BOUNDARY, TerrainMap } from './Terrain.js';
+import { Timeline } from './Timeline.js';
+import { getEventType } from './Events.js';
+import { SpeciesTracker, geneticDistance } from './Species.js';
+import { DISTRIBUTION_STATS, geneDistribution, geneticDiversity } from './Statistics.js';
+
+// Trophic levels: herbivores eat Food, carnivores hunt smaller herbivores
+export const DIET = {
+  HERBIVORE: 'herbivore',
+  CARNIVORE: 'carnivore'
+};
+
+export const DIETS = [DIET.HERBIVORE, DIET.CARNIVORE];
+
+// Share of the prey's energy (plus its body size) a predator gains from a kill
+const PREDATION_EFFICIENCY = 0.8;
+
+// Predators sprint while chasing (and pay the matching movement cost)
+const HUNT_SPRINT = 1.5;
+// Fastest a brain can turn, in radians per frame
+const MAX_TURN = 0.3;
+// Frames spent following a wall after walking straight into it
+const DETOUR_FRAMES = 30;
+
+// Angle folded into -PI..PI
+const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+// How evolution happens: whole-population generations, or births and deaths
+// in the world with overlapping generations
+export const MODE = {
+  GENERATIONAL: 'generational',
+  CONTINUOUS: 'continuous'
+};
+
 // ============================================
 // GENOME CLASS
 // ============================================
 export class Genome {
-  constructor(genes = null) {
-    if (genes) {
-      this.genes = { ...genes };
-    } else {
-      // Initialize with random genes
-      this.genes = {
-        speed: Math.random() * 5 + 1,        // 1-6
-        vision: Math.random() * 100 + 50,    // 50-150
-        size: Math.random() * 15 + 5,        // 5-20
-        efficiency: Math.random() * 0.5 + 0.5 // 0.5-1.0
-      };
+  constructor(genes = null, rng = defaultRandom) {
+    this.rng = rng;
+
+    // Diet is inherited unchanged; herbivores and carnivores breed separately
+    this.diet = genes?.diet || DIET.HERBIVORE;
+
+    // One value per gene in the schema (see Genes.js)
+    this.genes = {};
+    for (let name of GENE_NAMES) {
+      if (genes) {
+        // Genes missing from older saves start at the centre of their range
+        this.genes[name] = genes[name] ?? defaultGeneValue(name);
+      } else {
+        this.genes[name] = randomGeneValue(name, rng);
+      }
     }
 
     // Visual traits (aesthetic, not functional)
     this.color = genes?.color || {
-      h: Math.random() * 360,
-      s: Math.random() * 30 + 50,
-      l: Math.random() * 30 + 40
+      h: rng.next() * 360,
+      s: rng.next() * 30 + 50,
+      l: rng.next() * 30 + 40
     };
+
+    // Which parent (0 or 1) each gene was inherited from; null for random genomes
+    this.inheritance = null;
+
+    // Neural network that steers the organism in brain mode; null otherwise
+    this.brain = null;
   }
 
-  // Create a copy of the genome
+  // Create a copy of the genome; every gene comes from the single parent
   clone() {
-    return new Genome({
+    const copy = new Genome({
       ...this.genes,
-      color: { ...this.color }
-    });
+      color: { ...this.color },
+      diet: this.diet
+    }, this.rng);
+    copy.inheritance = Object.fromEntries(Object.keys(this.genes).map(gene => [gene, 0]));
+    copy.brain = this.brain ? this.brain.clone() : null;
+    return copy;
   }
 
   // Mutate the genome
   mutate(mutationRate = 0.1) {
-    const mutate = (value, range, min = 0) => {
-      if (Math.random() < mutationRate) {
-        const change = (Math.random() - 0.5) * range * 0.3;
-        return Math.max(min, value + change);
+    for (let name of GENE_NAMES) {
+      if (this.rng.next() < mutationRate) {
+        const change = (this.rng.next() - 0.5) * GENES[name].mutationScale;
+        this.genes[name] = clampGene(name, this.genes[name] + change);
       }
-      return value;
-    };
+    }
 
-    this.genes.speed = mutate(this.genes.speed, 5, 0.5);
-    this.genes.vision = mutate(this.genes.vision, 100, 30);
-    this.genes.size = mutate(this.genes.size, 15, 3);
-    this.genes.efficiency = mutate(this.genes.efficiency, 0.5, 0.3);
+    if (this.brain) {
+      this.brain.mutate(mutationRate, this.rng);
+    }
 
     // Mutate color slightly
-    if (Math.random() < mutationRate) {
-      this.color.h = (this.color.h + (Math.random() - 0.5) * 60) % 360;
+    if (this.rng.next() < mutationRate) {
+      this.color.h = (this.color.h + (this.rng.next() - 0.5) * 60) % 360;
     }
   }
 
   // Crossover with another genome
-  static crossover(parent1, parent2) {
-    const child = new Genome();
+  static crossover(parent1, parent2, rng = parent1.rng) {
+    const genes = {};
+    const inheritance = {};
 
     // Mix genes from both parents
-    for (let gene in parent1.genes) {
-      child.genes[gene] = Math.random() < 0.5
+    for (let gene of GENE_NAMES) {
+      inheritance[gene] = rng.next() < 0.5 ? 0 : 1;
+      genes[gene] = inheritance[gene] === 0
         ? parent1.genes[gene]
         : parent2.genes[gene];
     }
 
     // Average the colors
-    child.color = {
+    genes.color = {
       h: (parent1.color.h + parent2.color.h) / 2,
       s: (parent1.color.s + parent2.color.s) / 2,
       l: (parent1.color.l + parent2.color.l) / 2
     };
+    genes.diet = parent1.diet;
+
+    const child = new Genome(genes, rng);
+    child.inheritance = inheritance;
 
+    if (parent1.brain && parent2.brain) {
+      child.brain = Brain.crossover(parent1.brain, parent2.brain, rng);
+    } else if (parent1.brain || parent2.brain) {
+      child.brain = (parent1.brain || parent2.brain).clone();
+    }
     return child;
   }
 
   getColor() {
     return `hsl(${this.color.h}, ${this.color.s}%, ${this.color.l}%)`;
   }
+
+  toJSON() {
+    return {
+      genes: { ...this.genes },
+      color: { ...this.color },
+      diet: this.diet,
+      inheritance: this.inheritance ? { ...this.inheritance } : null,
+      brain: this.brain ? this.brain.toJSON() : null
+    };
+  }
+
+  static fromJSON(data, rng = defaultRandom) {
+    const genome = new Genome({ ...data.genes, color: { ...data.color }, diet: data.diet }, rng);
+    genome.inheritance = data.inheritance ? { ...data.inheritance } : null;
+    genome.brain = data.brain ? Brain.fromJSON(data.brain) : null;
+    return genome;
+  }
 }
 
 // ============================================
 // ORGANISM CLASS
 // ============================================
 export class Organism {
-  constructor(x, y, genome = null) {
-    this.id = Math.random().toString(36).substr(2, 9);
-    this.genome = genome || new Genome();
+  // id is given by the Simulation the organism belongs to (see newOrganismId)
+  constructor(x, y, genome = null, rng = genome?.rng || defaultRandom, id = null) {
+    this.rng = rng;
+    this.id = id;
+    this.genome = genome || new Genome(null, rng);
     this.x = x;
     this.y = y;
     this.energy = 100;
     this.foodCollected = 0;
+    this.energyGained = 0; // Lifetime energy from food and prey
+    this.energySpent = 0;  // Lifetime energy spent moving
     this.age = 0;
+    this.generation = 0; // Generation the organism was born into
+    this.parentIds = []; // One parent for clones, two for crossover, none for founders
+    this.speciesId = null; // Set by the species tracker; newborns start in a parent's species
     this.alive = true;
     this.fitness = 0;
     this.velocity = { x: 0, y: 0 };
+    this.heading = 0; // Facing direction in radians, steered by the brain
+    this.detour = 0;  // Frames left ignoring targets to get around a wall
     this.target = null;
   }
 
@@ -107,71 +198,151 @@ export class Organism {
 
     this.age += deltaTime;
 
-    // Find nearest food within vision range
-    const nearestFood = this.findNearestFood(environment.food);
-
-    if (nearestFood) {
-      this.target = nearestFood;
-      this.moveTowards(nearestFood);
+    if (this.genome.brain) {
+      // Brain mode: the network does all the steering
+      this.think(environment);
+    } else if (this.detour > 0) {
+      // Keep sliding along the wall that blocked the way
+      this.detour--;
+    } else if (this.isCarnivore()) {
+      // Chase the nearest visible prey
+      const prey = this.findNearestPrey(environment);
+      this.target = prey;
+      if (prey) {
+        this.moveTowards(prey, environment, HUNT_SPRINT);
+      } else {
+        this.randomWalk();
+      }
     } else {
-      // Random walk when no food visible
-      this.randomWalk();
+      // Fleeing a visible predator beats eating
+      const predator = this.findNearestPredator(environment);
+      const nearestFood = predator ? null : this.findNearestFood(environment);
+
+      if (predator) {
+        this.target = null;
+        this.moveAwayFrom(predator, environment);
+      } else if (nearestFood) {
+        this.target = nearestFood;
+        this.moveTowards(nearestFood, environment);
+      } else {
+        // Random walk when no food visible
+        this.randomWalk();
+      }
     }
 
-    // Move
-    this.x += this.velocity.x * deltaTime;
-    this.y += this.velocity.y * deltaTime;
+    // Move (the environment handles edges and walls)
+    environment.moveOrganism(this, deltaTime);
+    if (!this.alive) return; // Crossed a lethal edge
 
-    // Wrap around edges
-    this.x = (this.x + environment.width) % environment.width;
-    this.y = (this.y + environment.height) % environment.height;
-
-    // Energy cost based on movement and size
+    // Energy cost based on movement, size and the ground underfoot
     const movementCost = (Math.abs(this.velocity.x) + Math.abs(this.velocity.y)) *
                           (this.genome.genes.size / 10) *
-                          (1 / this.genome.genes.efficiency);
+                          (1 / this.genome.genes.efficiency) *
+                          environment.terrain.typeAt(this.x, this.y).movementCost *
+                          environment.movementCostModifier;
 
     this.energy -= movementCost * deltaTime * 0.1;
+    this.energySpent += movementCost * deltaTime * 0.1;
 
     // Check if organism dies
     if (this.energy <= 0) {
       this.alive = false;
     }
 
-    // Try to collect food
-    this.collectFood(environment);
+    // Try to eat
+    if (this.isCarnivore()) {
+      this.catchPrey(environment);
+    } else {
+      this.collectFood(environment);
+    }
   }
 
-  findNearestFood(foodArray) {
-    let nearest = null;
-    let minDist = this.genome.genes.vision;
+  // Sense the surroundings, run the brain and turn its outputs into a velocity
+  think(environment) {
+    const vision = this.genome.genes.vision;
+    const sense = (thing) => {
+      if (!thing) return [0, 0];
+      const { dx, dy } = environment.delta(this.x, this.y, thing.x, thing.y);
+      const angle = wrapAngle(Math.atan2(dy, dx) - this.heading);
+      return [angle / Math.PI, Math.max(0, 1 - Math.sqrt(dx * dx + dy * dy) / vision)];
+    };
+
+    const food = this.isCarnivore() ? this.findNearestPrey(environment) : this.findNearestFood(environment);
+    const neighbour = environment.findNearestOrganism(
+      this.x, this.y, vision, other => other !== this && other.alive
+    );
+    const threat = !neighbour ? 0 : neighbour.canEat(this) ? 1 : this.canEat(neighbour) ? -1 : 0;
+
+    const [turn, thrust] = this.genome.brain.think([
+      ...sense(food),
+      ...sense(neighbour),
+      threat,
+      Math.min(1, this.energy / 200)
+    ]);
+
+    this.target = food;
+    this.heading = wrapAngle(this.heading + turn * MAX_TURN);
+    const sprint = this.isCarnivore() ? HUNT_SPRINT : 1;
+    const speed = (thrust + 1) / 2 * this.genome.genes.speed * sprint;
+    this.velocity.x = Math.cos(this.heading) * speed;
+    this.velocity.y = Math.sin(this.heading) * speed;
+  }
 
-    for (let food of foodArray) {
-      const dist = this.distance(food);
-      if (dist < minDist) {
-        minDist = dist;
-        nearest = food;
-      }
-    }
+  isCarnivore() {
+    return this.genome.diet === DIET.CARNIVORE;
+  }
 
-    return nearest;
+  // Predators only hunt herbivores smaller than themselves
+  canEat(other) {
+    return other.alive &&
+      other !== this &&
+      other.genome.diet === DIET.HERBIVORE &&
+      other.genome.genes.size < this.genome.genes.size;
   }
 
-  moveTowards(target) {
-    const dx = target.x - this.x;
-    const dy = target.y - this.y;
+  findNearestFood(environment) {
+    return environment.findNearestFood(this.x, this.y, this.genome.genes.vision);
+  }
+
+  findNearestPrey(environment) {
+    return environment.findNearestOrganism(
+      this.x, this.y, this.genome.genes.vision, other => this.canEat(other)
+    );
+  }
+
+  findNearestPredator(environment) {
+    return environment.findNearestOrganism(
+      this.x, this.y, this.genome.genes.vision, other => other.alive && other.isCarnivore() && other.canEat(this)
+    );
+  }
+
+  moveTowards(target, environment = null, sprint = 1) {
+    // Steer across the edge when that is the shorter way
+    const { dx, dy } = environment
+      ? environment.delta(this.x, this.y, target.x, target.y)
+      : { dx: target.x - this.x, dy: target.y - this.y };
     const dist = Math.sqrt(dx * dx + dy * dy);
 
     if (dist > 0) {
-      this.velocity.x = (dx / dist) * this.genome.genes.speed;
-      this.velocity.y = (dy / dist) * this.genome.genes.speed;
+      this.velocity.x = (dx / dist) * this.genome.genes.speed * sprint;
+      this.velocity.y = (dy / dist) * this.genome.genes.speed * sprint;
+    }
+  }
+
+  moveAwayFrom(threat, environment) {
+    const { dx, dy } = environment.delta(this.x, this.y, threat.x, threat.y);
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    if (dist > 0) {
+      this.velocity.x = -(dx / dist) * this.genome.genes.speed;
+      this.velocity.y = -(dy / dist) * this.genome.genes.speed;
     }
   }
 
   randomWalk() {
     // Slightly adjust velocity for organic movement
-    this.velocity.x += (Math.random() - 0.5) * 0.5;
-    this.velocity.y += (Math.random() - 0.5) * 0.5;
+    this.velocity.x += (this.rng.next() - 0.5) * 0.5;
+    this.velocity.y += (this.rng.next() - 0.5) * 0.5;
 
     // Limit max speed
     const speed = Math.sqrt(this.velocity.x ** 2 + this.velocity.y ** 2);
@@ -182,41 +353,97 @@ export class Organism {
   }
 
   collectFood(environment) {
-    for (let i = environment.food.length - 1; i >= 0; i--) {
-      const food = environment.food[i];
-      if (this.distance(food) < this.genome.genes.size) {
-        this.energy += food.energy;
-        this.foodCollected++;
-        environment.food.splice(i, 1);
-        break;
-      }
+    const food = environment.findNearestFood(this.x, this.y, this.genome.genes.size);
+    if (food) {
+      this.energy += food.energy;
+      this.energyGained += food.energy;
+      this.foodCollected++;
+      environment.removeFood(food);
+    }
+  }
+
+  // Kill and eat prey within reach, gaining part of its energy
+  catchPrey(environment) {
+    // Prey is caught when the two bodies touch (prey is always the smaller one)
+    const size = this.genome.genes.size;
+    const prey = environment.findNearestOrganism(
+      this.x, this.y, size * 2,
+      other => this.canEat(other) && this.distance(other, environment) < size + other.genome.genes.size
+    );
+    if (prey) {
+      const gain = Math.max(0, prey.energy) * PREDATION_EFFICIENCY + prey.genome.genes.size;
+      this.energy += gain;
+      this.energyGained += gain;
+      this.foodCollected++;
+      prey.alive = false;
     }
   }
 
-  distance(target) {
+  distance(target, environment = null) {
+    if (environment) {
+      return environment.distance(this.x, this.y, target.x, target.y);
+    }
     const dx = target.x - this.x;
     const dy = target.y - this.y;
     return Math.sqrt(dx * dx + dy * dy);
   }
 
-  // Calculate fitness score
-  calculateFitness() {
-    // Fitness = food collected - energy spent + survival time bonus
-    const foodScore = this.foodCollected * 10;
-    const survivalBonus = this.age * 0.1;
-    const efficiencyScore = this.energy > 0 ? this.energy : 0;
-
-    this.fitness = foodScore + survivalBonus + efficiencyScore;
+  // Calculate fitness score with a named fitness function (see Fitness.js)
+  calculateFitness(fitnessFunction = DEFAULT_FITNESS_FUNCTION, options = {}) {
+    this.fitness = evaluateFitness(fitnessFunction, this, options);
     return this.fitness;
   }
 
-  // Clone this organism
-  clone() {
+  // Clone this organism under a new id
+  clone(id = null) {
     const clonedGenome = this.genome.clone();
-    const clone = new Organism(this.x, this.y, clonedGenome);
+    const clone = new Organism(this.x, this.y, clonedGenome, this.rng, id);
     clone.energy = 100;
+    clone.generation = this.generation;
+    clone.parentIds = [this.id];
+    clone.speciesId = this.speciesId;
     return clone;
   }
+
+  toJSON() {
+    return {
+      id: this.id,
+      x: this.x,
+      y: this.y,
+      energy: this.energy,
+      foodCollected: this.foodCollected,
+      energyGained: this.energyGained,
+      energySpent: this.energySpent,
+      age: this.age,
+      generation: this.generation,
+      parentIds: [...this.parentIds],
+      speciesId: this.speciesId,
+      alive: this.alive,
+      fitness: this.fitness,
+      velocity: { ...this.velocity },
+      heading: this.heading,
+      detour: this.detour,
+      genome: this.genome.toJSON()
+    };
+  }
+
+  static fromJSON(data, rng = defaultRandom) {
+    const organism = new Organism(data.x, data.y, Genome.fromJSON(data.genome, rng), rng, data.id);
+    organism.energy = data.energy;
+    organism.foodCollected = data.foodCollected;
+    organism.energyGained = data.energyGained;
+    organism.energySpent = data.energySpent;
+    organism.age = data.age;
+    organism.generation = data.generation;
+    organism.parentIds = [...data.parentIds];
+    organism.speciesId = data.speciesId;
+    organism.alive = data.alive;
+    organism.fitness = data.fitness;
+    organism.velocity = { ...data.velocity };
+    organism.heading = data.heading;
+    organism.detour = data.detour;
+    return organism;
+  }
 }
 
 // ============================================
@@ -229,32 +456,230 @@ export class Food {
     this.energy = energy;
     this.radius = 4;
   }
+
+  toJSON() {
+    return { x: this.x, y: this.y, energy: this.energy };
+  }
+
+  static fromJSON(data) {
+    return new Food(data.x, data.y, data.energy);
+  }
 }
 
 // ============================================
 // ENVIRONMENT CLASS
 // ============================================
 export class Environment {
-  constructor(width, height) {
+  constructor(width, height, rng = defaultRandom) {
+    this.rng = rng;
     this.width = width;
     this.height = height;
     this.food = [];
     this.foodAbundance = 50; // Percentage
+    this.initialFood = 50; // Food scattered at the start of a run and of every generation
+    this.spawners = []; // Food sources: { x, y, radius, rate, initial, max } (see runSpawners)
+    this.abundanceModifier = 1; // Seasons and climate drift, set by the timeline each frame
+    this.eventFoodModifier = 1; // Raised by events such as a resource boom
+    this.movementCostModifier = 1; // Raised by events such as an ice age
+    this.boundary = BOUNDARY.WRAP;
+    this.terrain = new TerrainMap(width, height);
+
+    // Spatial indexes: food is kept in sync as it is added and eaten,
+    // organisms are re-indexed once per frame by the Simulation
+    this.foodGrid = new SpatialGrid(width, height, 50);
+    this.organismGrid = new SpatialGrid(width, height, 50);
   }
 
-  // Spawn food in the environment
+  // Only a wrapping world measures distances across its edges
+  setBoundary(boundary) {
+    if (!Object.values(BOUNDARY).includes(boundary)) {
+      throw new Error(`Unknown boundary mode: ${boundary}`);
+    }
+    this.boundary = boundary;
+
+    const wrap = boundary === BOUNDARY.WRAP;
+    this.foodGrid = new SpatialGrid(this.width, this.height, 50, wrap);
+    this.organismGrid = new SpatialGrid(this.width, this.height, 50, wrap);
+    for (let food of this.food) {
+      this.foodGrid.insert(food);
+    }
+  }
+
+  // Paint terrain; food buried under a new wall disappears
+  paintTerrain(x, y, radius, type) {
+    this.terrain.paint(x, y, radius, type);
+    for (let food of this.foodWithin(x, y, radius + this.terrain.cellSize)) {
+      if (!this.terrain.isPassable(food.x, food.y)) {
+        this.removeFood(food);
+      }
+    }
+  }
+
+  // Random point outside any wall
+  randomOpenPosition() {
+    return this.terrain.randomOpenPosition(this.rng);
+  }
+
+  // Bring a point back inside the world: across the edge when wrapping, else clamped
+  place(x, y) {
+    if (this.boundary === BOUNDARY.WRAP) {
+      return {
+        x: ((x % this.width) + this.width) % this.width,
+        y: ((y % this.height) + this.height) % this.height
+      };
+    }
+    return {
+      x: Math.min(this.width - 0.001, Math.max(0, x)),
+      y: Math.min(this.height - 0.001, Math.max(0, y))
+    };
+  }
+
+  // Advance an organism by its velocity, applying the boundary mode and walls
+  moveOrganism(organism, deltaTime = 1) {
+    const { velocity } = organism;
+    let x = organism.x + velocity.x * deltaTime;
+    let y = organism.y + velocity.y * deltaTime;
+
+    const outside = x < 0 || x >= this.width || y < 0 || y >= this.height;
+    if (outside && this.boundary === BOUNDARY.LETHAL) {
+      organism.alive = false;
+      ({ x, y } = this.place(x, y));
+    } else if (outside && this.boundary === BOUNDARY.WALLS) {
+      // Bounce off the edge
+      if (x < 0 || x >= this.width) velocity.x = -velocity.x;
+      if (y < 0 || y >= this.height) velocity.y = -velocity.y;
+      organism.heading = Math.atan2(velocity.y, velocity.x);
+      ({ x, y } = this.place(x, y));
+    } else {
+      ({ x, y } = this.place(x, y));
+    }
+
+    // Walls: slide along them where possible, otherwise turn aside
+    if (!this.terrain.isPassable(x, y)) {
+      const slideX = Math.abs(velocity.x) > 0.01 && this.terrain.isPassable(x, organism.y);
+      const slideY = Math.abs(velocity.y) > 0.01 && this.terrain.isPassable(organism.x, y);
+      if (slideX) {
+        y = organism.y;
+      } else if (slideY) {
+        x = organism.x;
+      } else {
+        x = organism.x;
+        y = organism.y;
+        [velocity.x, velocity.y] = [-velocity.y, velocity.x];
+        organism.heading = Math.atan2(velocity.y, velocity.x);
+        organism.detour = DETOUR_FRAMES;
+      }
+    }
+
+    organism.x = x;
+    organism.y = y;
+  }
+
+  addFood(food) {
+    this.food.push(food);
+    this.foodGrid.insert(food);
+    return food;
+  }
+
+  removeFood(food) {
+    if (!this.foodGrid.remove(food)) return false;
+
+    // Order does not matter, so swap with the last item instead of splicing
+    const index = this.food.indexOf(food);
+    this.food[index] = this.food[this.food.length - 1];
+    this.food.pop();
+    return true;
+  }
+
+  clearFood() {
+    this.food = [];
+    this.foodGrid.clear();
+  }
+
+  // Spawn food in the environment, more of it on fertile ground
   spawnFood(count) {
     for (let i = 0; i < count; i++) {
-      this.food.push(new Food(
-        Math.random() * this.width,
-        Math.random() * this.height
-      ));
+      const position = this.terrain.randomFoodPosition(this.rng);
+      if (position) {
+        this.addFood(new Food(position.x, position.y));
+      }
+    }
+  }
+
+  // Food laid out at the start of a run and of every generation: scattered
+  // over the world, plus each spawner's own patch
+  seedFood() {
+    this.spawnFood(this.initialFood);
+    for (let spawner of this.spawners) {
+      this.spawnFoodNear(spawner, spawner.initial);
+    }
+  }
+
+  // Drop food at random points within a spawner's radius (none inside walls)
+  spawnFoodNear({ x, y, radius }, count) {
+    for (let i = 0; i < count; i++) {
+      const angle = this.rng.next() * Math.PI * 2;
+      const distance = Math.sqrt(this.rng.next()) * radius;
+      const position = this.place(x + Math.cos(angle) * distance, y + Math.sin(angle) * distance);
+      if (this.terrain.isPassable(position.x, position.y)) {
+        this.addFood(new Food(position.x, position.y));
+      }
+    }
+  }
+
+  // Each spawner drops `rate` food per frame (a fraction is a chance) until
+  // `max` items lie within its radius
+  runSpawners() {
+    for (let spawner of this.spawners) {
+      if (spawner.rate <= 0) continue;
+      const whole = Math.floor(spawner.rate);
+      const count = whole + (this.rng.next() < spawner.rate - whole ? 1 : 0);
+      const room = spawner.max - this.foodWithin(spawner.x, spawner.y, spawner.radius).length;
+      this.spawnFoodNear(spawner, Math.min(count, room));
+    }
+  }
+
+  // Rebuild the organism index from current positions
+  indexOrganisms(population) {
+    this.organismGrid.clear();
+    for (let organism of population) {
+      if (organism.alive) {
+        this.organismGrid.insert(organism);
+      }
     }
   }
 
+  // Shortest offset between two points in the wrap-around world
+  delta(x, y, tx, ty) {
+    return this.foodGrid.delta(x, y, tx, ty);
+  }
+
+  distance(x, y, tx, ty) {
+    return this.foodGrid.distance(x, y, tx, ty);
+  }
+
+  findNearestFood(x, y, radius) {
+    return this.foodGrid.nearest(x, y, radius);
+  }
+
+  foodWithin(x, y, radius) {
+    return this.foodGrid.queryRadius(x, y, radius);
+  }
+
+  organismsWithin(x, y, radius, filter = null) {
+    return this.organismGrid.queryRadius(x, y, radius, filter);
+  }
+
+  findNearestOrganism(x, y, radius, filter = null) {
+    return this.organismGrid.nearest(x, y, radius, filter);
+  }
+
   // Maintain food levels
   maintainFood() {
-    const targetFoodCount = Math.floor((this.width * this.height) / 5000 * (this.foodAbundance / 50));
+    const targetFoodCount = Math.floor(
+      (this.width * this.height) / 5000 * (this.foodAbundance / 50) *
+      this.abundanceModifier * this.eventFoodModifier * this.terrain.meanFoodGrowth()
+    );
     const foodDeficit = targetFoodCount - this.food.length;
 
     if (foodDeficit > 0) {
@@ -264,60 +689,226 @@ export class Environment {
 
   update() {
     this.maintainFood();
+    this.runSpawners();
+  }
+
+  toJSON() {
+    return {
+      width: this.width,
+      height: this.height,
+      foodAbundance: this.foodAbundance,
+      initialFood: this.initialFood,
+      spawners: this.spawners.map(spawner => ({ ...spawner })),
+      boundary: this.boundary,
+      terrain: this.terrain.toJSON(),
+      eventFoodModifier: this.eventFoodModifier,
+      movementCostModifier: this.movementCostModifier,
+      food: this.food.map(food => food.toJSON())
+    };
+  }
+
+  static fromJSON(data, rng = defaultRandom) {
+    const environment = new Environment(data.width, data.height, rng);
+    environment.foodAbundance = data.foodAbundance;
+    environment.initialFood = data.initialFood;
+    environment.spawners = data.spawners.map(spawner => ({ ...spawner }));
+    environment.setBoundary(data.boundary);
+    environment.eventFoodModifier = data.eventFoodModifier;
+    environment.movementCostModifier = data.movementCostModifier;
+    environment.terrain = TerrainMap.fromJSON(data.terrain, data.width, data.height);
+    for (let food of data.food) {
+      environment.addFood(Food.fromJSON(food));
+    }
+    return environment;
   }
 }
 
 // ============================================
 // SIMULATION CLASS
 // ============================================
+// Every series holds one entry per sample, null where there was nothing to measure
+function createStats() {
+  const trophicSeries = () => ({ population: [], avgFitness: [], bestFitness: [] });
+  const distributionSeries = () => ({
+    ...Object.fromEntries(DISTRIBUTION_STATS.map(key => [key, []])),
+    histogram: [] // Counts per bin across the gene's range (see Statistics.js)
+  });
+
+  return {
+    time: [], // Frame at which each sample was taken
+    generation: [], // Generation at each sample
+    fitnessFunction: [], // Fitness function active at each sample
+    events: [], // Every event fired: { type, frame, generation, source }
+    speciesCount: [],   // Living species at each sample
+    speciesBorn: [],    // Species founded since the previous sample
+    speciesExtinct: [], // Species that died out since the previous sample
+    births: [],         // Organisms born since the previous sample
+    deaths: [],         // Organisms that died since the previous sample
+    foodConsumed: [],   // Food items and prey eaten since the previous sample
+    diversity: [],      // Genetic diversity of the sampled population, 0-1
+    avgFitness: [],
+    bestFitness: [],
+    // Trait averages, one series per gene: avgSpeed, avgVision, ...
+    ...Object.fromEntries(TRAIT_STATS.map(key => [key, []])),
+    // Trait spread, per gene: genes.speed.min, genes.speed.histogram, ...
+    genes: Object.fromEntries(GENE_NAMES.map(name => [name, distributionSeries()])),
+    trophic: {
+      [DIET.HERBIVORE]: trophicSeries(),
+      [DIET.CARNIVORE]: trophicSeries()
+    }
+  };
+}
+
+// Turnover counted between stats samples
+function createTally() {
+  return { births: 0, deaths: 0, foodConsumed: 0 };
+}
+
 export class Simulation {
-  constructor(width, height, populationSize = 30) {
-    this.environment = new Environment(width, height);
+  constructor(width, height, populationSize = 30, options = {}) {
+    // Every random decision in a run goes through this generator
+    this.rng = new Random(options.seed);
+    this.seed = this.rng.seed;
+
+    this.environment = new Environment(width, height, this.rng);
     this.population = [];
     this.generation = 0;
+    this.frame = 0; // Frames simulated since the run started
     this.running = false;
     this.generationLength = 1000; // Frames per generation
     this.generationTimer = 0;
 
     // Evolution parameters
+    this.mode = options.mode || MODE.GENERATIONAL;
+    this.brains = options.brains || false; // Steer with evolvable neural networks
     this.mutationRate = 0.1;
-    this.selectionPressure = 0.5; // Top 50% survive
+    this.selectionPressure = 0.5; // Top 50% survive (truncation selection)
+    this.selectionStrategy = DEFAULT_SELECTION_STRATEGY;
+    this.tournamentSize = 3;
+    this.elitism = 0; // Best genomes copied unchanged each generation
+    this.fitnessFunction = DEFAULT_FITNESS_FUNCTION;
+    this.fitnessWeights = { ...DEFAULT_FITNESS_WEIGHTS }; // Used by the weighted function
+    this.assortativeMating = false; // Only mate with partners of the same species
+
+    // Continuous mode parameters
+    this.reproductionThreshold = 160; // Energy needed to give birth
+    this.reproductionCost = 80;       // Energy handed from parent to child
+    this.maturityAge = 200;           // Frames before an organism can reproduce
+    this.maxAge = 3000;               // Frames before dying of old age
+    this.sampleInterval = 100;        // Frames between stats samples
 
     // Statistics
-    this.stats = {
-      avgFitness: [],
-      bestFitness: [],
-      avgSpeed: [],
-      avgVision: [],
-      avgSize: [],
-      avgEfficiency: []
-    };
+    this.stats = createStats();
+    this.tally = createTally();
+
+    // Family records of the living population and their recent ancestors
+    this.genealogy = new Genealogy();
+
+    // Clusters of similar genomes, re-evaluated at every stats sample
+    this.species = new SpeciesTracker(options.speciesThreshold);
+
+    // Scripted seasons, drift and scheduled events
+    this.timeline = new Timeline();
+
+    // Events currently in effect (see Events.js)
+    this.activeEvents = [];
+    this.nextEventId = 1;
+
+    // Organisms are numbered in the order they appear. The islands of an
+    // archipelago count in step from different starts (see Archipelago.js), so
+    // a migrant's id stays unique wherever it goes.
+    this.organismIds = { first: options.firstOrganismId ?? 1, step: options.organismIdStep ?? 1 };
+    this.organismIds.next = this.organismIds.first;
+
+    // Starting population of a scenario (see ScenarioFile.js), placed again on
+    // every reset; null for random founders
+    this.founders = null;
 
-    // Initialize population
-    this.initializePopulation(populationSize);
+    // Size of a random start, kept so a reset starts from it again however
+    // the population has grown or shrunk since
+    this.startingPopulation = { herbivores: populationSize, predators: options.predators || 0 };
+
+    // Initialize population (options.predators of them carnivores)
+    this.initializePopulation(populationSize, options.predators || 0);
 
     // Spawn initial food
-    this.environment.spawnFood(50);
+    this.environment.seedFood();
+  }
+
+  initializePopulation(size, predators = 0) {
+    this.population = [];
+    for (let i = 0; i < size + predators; i++) {
+      const { x, y } = this.environment.randomOpenPosition();
+      this.spawnOrganism(x, y, i < size ? DIET.HERBIVORE : DIET.CARNIVORE);
+    }
+    this.species.classify(this.population, { generation: this.generation, frame: this.frame });
   }
 
-  initializePopulation(size) {
+  // Founders as a scenario describes them: groups with genes drawn from the
+  // given ranges (the rest as usual), then exact genomes, each at its own
+  // position or a random open one
+  placeFounders({ groups = [], genomes = [] }) {
     this.population = [];
-    for (let i = 0; i < size; i++) {
-      const x = Math.random() * this.environment.width;
-      const y = Math.random() * this.environment.height;
-      this.population.push(new Organism(x, y));
+    for (let { count, diet = DIET.HERBIVORE, genes = {} } of groups) {
+      for (let i = 0; i < count; i++) {
+        const drawn = Object.fromEntries(GENE_NAMES.map(name => {
+          const spec = genes[name];
+          if (spec === undefined) return [name, randomGeneValue(name, this.rng)];
+          return [name, Array.isArray(spec) ? this.rng.range(spec[0], spec[1]) : spec];
+        }));
+        const { x, y } = this.environment.randomOpenPosition();
+        this.placeOrganism(x, y, { genes: drawn, diet });
+      }
+    }
+    for (let { genes = {}, diet = DIET.HERBIVORE, x, y } of genomes) {
+      const position = x !== undefined && y !== undefined ? { x, y } : this.environment.randomOpenPosition();
+      this.placeOrganism(position.x, position.y, { genes, diet });
+    }
+    this.species.classify(this.population, { generation: this.generation, frame: this.frame });
+  }
+
+  // Id for the next organism to appear in this run
+  newOrganismId() {
+    const id = this.organismIds.next;
+    this.organismIds.next += this.organismIds.step;
+    return id;
+  }
+
+  // Add a new random organism of the given diet at (x, y)
+  spawnOrganism(x, y, diet = DIET.HERBIVORE) {
+    const genome = new Genome(null, this.rng);
+    genome.diet = diet;
+    if (this.brains) {
+      genome.brain = Brain.random(this.rng);
     }
+    const organism = new Organism(x, y, genome, this.rng, this.newOrganismId());
+    organism.generation = this.generation;
+    this.population.push(organism);
+    this.genealogy.add(organism);
+    return organism;
   }
 
   update() {
     if (!this.running) return;
 
+    this.applyTimeline();
+    this.updateEvents();
+
     // Update environment
     this.environment.update();
+    this.environment.indexOrganisms(this.population);
 
     // Update all organisms
     for (let organism of this.population) {
+      const eaten = organism.foodCollected;
       organism.update(this.environment);
+      this.tally.foodConsumed += organism.foodCollected - eaten;
+    }
+    this.frame++;
+
+    if (this.mode === MODE.CONTINUOUS) {
+      this.updateContinuous();
+      return;
     }
 
     // Check if generation should end
@@ -328,6 +919,82 @@ export class Simulation {
     }
   }
 
+  // Continuous mode: births and deaths happen in the world, generations overlap
+  updateContinuous() {
+    // Newborns join the population but only act from the next frame
+    const count = this.population.length;
+    for (let i = 0; i < count; i++) {
+      const organism = this.population[i];
+
+      if (organism.alive && organism.age >= this.maxAge) {
+        organism.alive = false; // Old age
+      }
+
+      // Final score for the family tree
+      if (!organism.alive) {
+        this.evaluateFitness(organism);
+        this.genealogy.update(organism);
+      }
+
+      if (organism.alive &&
+          organism.age >= this.maturityAge &&
+          organism.energy >= this.reproductionThreshold) {
+        this.reproduce(organism);
+      }
+    }
+
+    // The dead leave the world
+    const living = this.population.filter(o => o.alive);
+    this.tally.deaths += this.population.length - living.length;
+    this.population = living;
+
+    // Sample statistics over time instead of per generation
+    if (this.frame % this.sampleInterval === 0) {
+      for (let organism of this.population) {
+        this.evaluateFitness(organism);
+        this.genealogy.update(organism);
+      }
+      this.recordStats();
+      this.genealogy.prune(this.population, this.generation);
+    }
+  }
+
+  // Give birth next to the parent, with a nearby mate if one is around
+  reproduce(parent) {
+    const mate = this.environment.findNearestOrganism(
+      parent.x, parent.y, parent.genome.genes.vision,
+      other => other !== parent && other.alive && other.genome.diet === parent.genome.diet &&
+        (!this.assortativeMating || this.isCompatible(parent, other))
+    );
+
+    const childGenome = mate
+      ? Genome.crossover(parent.genome, mate.genome, this.rng)
+      : parent.genome.clone();
+    childGenome.mutate(this.mutationRate);
+
+    const offset = parent.genome.genes.size * 2;
+    let { x, y } = this.environment.place(
+      parent.x + this.rng.range(-offset, offset),
+      parent.y + this.rng.range(-offset, offset)
+    );
+    if (!this.environment.terrain.isPassable(x, y)) {
+      ({ x, y } = parent); // Born on the parent's side of the wall
+    }
+
+    const child = new Organism(x, y, childGenome, this.rng, this.newOrganismId());
+    child.energy = this.reproductionCost;
+    child.generation = Math.max(parent.generation, mate ? mate.generation : 0) + 1;
+    child.parentIds = mate ? [parent.id, mate.id] : [parent.id];
+    child.speciesId = parent.speciesId;
+    parent.energy -= this.reproductionCost;
+
+    this.population.push(child);
+    this.genealogy.add(child);
+    this.tally.births++;
+    this.generation = Math.max(this.generation, child.generation);
+    return child;
+  }
+
   allDead() {
     return this.population.every(org => !org.alive);
   }
@@ -336,7 +1003,8 @@ export class Simulation {
   nextGeneration() {
     // Calculate fitness for all organisms
     for (let organism of this.population) {
-      organism.calculateFitness();
+      this.evaluateFitness(organism);
+      this.genealogy.update(organism);
     }
 
     // Sort by fitness
@@ -345,112 +1013,247 @@ export class Simulation {
     // Record statistics
     this.recordStats();
 
-    // Select top performers
-    const survivalCount = Math.floor(this.population.length * this.selectionPressure);
-    const survivors = this.population.slice(0, Math.max(survivalCount, 2));
-
-    // Create new population through breeding
+    // Each trophic level breeds within itself and keeps its size
     const newPopulation = [];
-    const populationSize = this.population.length;
+    for (let diet of DIETS) {
+      const ranked = this.population.filter(o => o.genome.diet === diet);
+      if (ranked.length > 0) {
+        newPopulation.push(...this.breed(ranked));
+      }
+    }
+
+    this.population = newPopulation;
+    this.generation++;
+    this.genealogy.prune(this.population, this.generation);
 
-    while (newPopulation.length < populationSize) {
-      // Select two random parents from survivors
-      const parent1 = survivors[Math.floor(Math.random() * survivors.length)];
-      const parent2 = survivors[Math.floor(Math.random() * survivors.length)];
+    // Reset food
+    this.environment.clearFood();
+    this.environment.seedFood();
+  }
+
+  // Breed a fitness-sorted group into a new group of the same size
+  breed(ranked) {
+    const pickParent = createParentPicker(this.selectionStrategy, ranked, {
+      rng: this.rng,
+      selectionPressure: this.selectionPressure,
+      tournamentSize: this.tournamentSize
+    });
+
+    const offspring = [];
+    const addChild = (genome, parents) => {
+      const { x, y } = this.environment.randomOpenPosition();
+      const child = new Organism(x, y, genome, this.rng, this.newOrganismId());
+      child.generation = this.generation + 1;
+      child.parentIds = parents.map(parent => parent.id);
+      child.speciesId = parents[0].speciesId;
+      offspring.push(child);
+      this.genealogy.add(child);
+      this.tally.births++;
+    };
+
+    // Elitism: the best genomes pass on unchanged
+    const eliteCount = Math.min(Math.max(0, Math.floor(this.elitism)), ranked.length);
+    for (let i = 0; i < eliteCount; i++) {
+      addChild(ranked[i].genome.clone(), [ranked[i]]);
+    }
+
+    // Create the rest of the population through breeding
+    while (offspring.length < ranked.length) {
+      const parent1 = pickParent();
+      const parent2 = this.assortativeMating ? this.pickMate(parent1, pickParent) : pickParent();
 
       // Crossover
-      const childGenome = Genome.crossover(parent1.genome, parent2.genome);
+      const childGenome = Genome.crossover(parent1.genome, parent2.genome, this.rng);
 
       // Mutation
       childGenome.mutate(this.mutationRate);
 
-      // Create new organism
-      const x = Math.random() * this.environment.width;
-      const y = Math.random() * this.environment.height;
-      newPopulation.push(new Organism(x, y, childGenome));
+      addChild(childGenome, [parent1, parent2]);
     }
 
-    this.population = newPopulation;
-    this.generation++;
+    return offspring;
+  }
 
-    // Reset food
-    this.environment.food = [];
-    this.environment.spawnFood(50);
+  // Genetically close enough to interbreed under assortative mating
+  isCompatible(a, b) {
+    return geneticDistance(a.genome.genes, b.genome.genes) <= this.species.threshold;
+  }
+
+  // Keep picking until a compatible partner turns up; after a few misses
+  // settle for the closest candidate seen
+  pickMate(parent, pickParent, attempts = 10) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (let i = 0; i < attempts; i++) {
+      const candidate = pickParent();
+      const distance = geneticDistance(parent.genome.genes, candidate.genome.genes);
+      if (distance <= this.species.threshold) return candidate;
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  // Score an organism with the run's active fitness function
+  evaluateFitness(organism) {
+    return organism.calculateFitness(this.fitnessFunction, { weights: this.fitnessWeights });
   }
 
+  // Sample the population. A generational sample covers the whole generation,
+  // including those who died during it; continuous runs have already removed their dead.
   recordStats() {
-    const alive = this.population.filter(o => o.alive);
     const fitnesses = this.population.map(o => o.fitness);
+    const genesList = this.population.map(o => o.genome.genes);
 
+    this.stats.time.push(this.frame);
+    this.stats.generation.push(this.generation);
+    this.stats.fitnessFunction.push(this.fitnessFunction);
     this.stats.avgFitness.push(
-      fitnesses.reduce((a, b) => a + b, 0) / fitnesses.length
+      fitnesses.length > 0 ? fitnesses.reduce((a, b) => a + b, 0) / fitnesses.length : 0
     );
-    this.stats.bestFitness.push(Math.max(...fitnesses));
+    this.stats.bestFitness.push(fitnesses.length > 0 ? Math.max(...fitnesses) : 0);
 
-    // Average traits
-    if (alive.length > 0) {
-      this.stats.avgSpeed.push(
-        alive.reduce((sum, o) => sum + o.genome.genes.speed, 0) / alive.length
-      );
-      this.stats.avgVision.push(
-        alive.reduce((sum, o) => sum + o.genome.genes.vision, 0) / alive.length
-      );
-      this.stats.avgSize.push(
-        alive.reduce((sum, o) => sum + o.genome.genes.size, 0) / alive.length
-      );
-      this.stats.avgEfficiency.push(
-        alive.reduce((sum, o) => sum + o.genome.genes.efficiency, 0) / alive.length
+    // Species of everyone who can still pass on genes
+    const { born, extinct } = this.species.classify(this.population, {
+      generation: this.generation,
+      frame: this.frame
+    });
+    this.stats.speciesCount.push(this.species.getLiving().length);
+    this.stats.speciesBorn.push(born.length);
+    this.stats.speciesExtinct.push(extinct.length);
+
+    // Turnover since the previous sample
+    this.tally.deaths += this.population.filter(o => !o.alive).length;
+    this.stats.births.push(this.tally.births);
+    this.stats.deaths.push(this.tally.deaths);
+    this.stats.foodConsumed.push(this.tally.foodConsumed);
+    this.tally = createTally();
+
+    // Trait distributions (null when nobody is left to measure)
+    this.stats.diversity.push(genesList.length > 0 ? geneticDiversity(genesList) : null);
+    GENE_NAMES.forEach((name, i) => {
+      const distribution = geneDistribution(genesList, name);
+      const series = this.stats.genes[name];
+      this.stats[TRAIT_STATS[i]].push(distribution ? distribution.mean : null);
+      for (let key of [...DISTRIBUTION_STATS, 'histogram']) {
+        series[key].push(distribution ? distribution[key] : null);
+      }
+    });
+
+    // Per trophic level: survivors at the end of the generation and fitness
+    for (let diet of DIETS) {
+      const series = this.stats.trophic[diet];
+      const members = this.population.filter(o => o.genome.diet === diet);
+      const levelFitness = members.map(o => o.fitness);
+
+      series.population.push(members.filter(o => o.alive).length);
+      series.avgFitness.push(
+        members.length > 0 ? levelFitness.reduce((a, b) => a + b, 0) / members.length : 0
       );
+      series.bestFitness.push(members.length > 0 ? Math.max(...levelFitness) : 0);
     }
   }
 
   // User interventions
   cloneOrganism(organism) {
-    const clone = organism.clone();
+    const clone = organism.clone(this.newOrganismId());
     this.population.push(clone);
+    this.genealogy.add(clone);
+    this.tally.births++;
   }
 
   mutateOrganism(organism, intensity = 0.3) {
     organism.genome.mutate(intensity);
+    this.genealogy.update(organism);
+  }
+
+  // Set some of an organism's genes by hand (see checkGenes)
+  editGenes(organism, genes) {
+    Object.assign(organism.genome.genes, checkGenes(genes));
+    this.genealogy.update(organism);
+  }
+
+  // Add a hand-designed organism at (x, y). Genes left out start at the
+  // centre of their founder range.
+  placeOrganism(x, y, { genes = {}, diet = DIET.HERBIVORE } = {}) {
+    if (!DIETS.includes(diet)) {
+      throw new Error(`Unknown diet: ${diet}`);
+    }
+    const genome = new Genome({ ...checkGenes(genes), diet }, this.rng);
+    if (this.brains) {
+      genome.brain = Brain.random(this.rng);
+    }
+    const organism = new Organism(x, y, genome, this.rng, this.newOrganismId());
+    organism.generation = this.generation;
+    this.population.push(organism);
+    this.genealogy.add(organism);
+    return organism;
   }
 
   eliminateOrganism(organism) {
     const index = this.population.indexOf(organism);
     if (index > -1) {
       this.population.splice(index, 1);
+      if (organism.alive) this.tally.deaths++;
+    }
+  }
+
+  // Seasons and drift set the food level; scheduled events fire once when due
+  applyTimeline() {
+    this.environment.abundanceModifier = this.timeline.abundanceModifier(this.frame);
+    for (let event of this.timeline.takeDueEvents(this.generation, this.frame)) {
+      const { id, type, generation, frame, fired, ...options } = event;
+      this.triggerEvent(type, { ...options, source: 'timeline' });
     }
   }
 
-  triggerEvent(eventType) {
-    switch (eventType) {
-      case 'meteor':
-        // Kill random 30% of population
-        const killCount = Math.floor(this.population.length * 0.3);
-        for (let i = 0; i < killCount; i++) {
-          const randomIndex = Math.floor(Math.random() * this.population.length);
-          this.population[randomIndex].alive = false;
-        }
-        break;
+  // Start an event of a registered type (see Events.js). Options override the
+  // type's defaults: intensity, duration (frames), radius, and x/y for area events.
+  triggerEvent(eventType, { source = 'manual', ...options } = {}) {
+    const type = getEventType(eventType);
+    const radius = options.radius !== undefined ? options.radius : type.radius;
+    const position = radius !== null && (options.x === undefined || options.y === undefined)
+      ? this.environment.randomOpenPosition()
+      : { x: options.x ?? null, y: options.y ?? null };
+
+    const event = {
+      id: this.nextEventId++,
+      type: eventType,
+      intensity: options.intensity ?? type.intensity,
+      duration: options.duration ?? type.duration,
+      remaining: options.duration ?? type.duration,
+      radius,
+      x: position.x,
+      y: position.y,
+      frame: this.frame,
+      generation: this.generation,
+      source
+    };
 
-      case 'ice-age':
-        // Increase energy costs
-        for (let organism of this.population) {
-          organism.genome.genes.efficiency *= 0.7;
-        }
-        break;
+    this.stats.events.push({ type: eventType, frame: this.frame, generation: this.generation, source });
 
-      case 'abundance':
-        // Triple food
-        this.environment.spawnFood(100);
-        break;
+    type.start?.(this, event);
+    if (event.remaining > 0) {
+      this.activeEvents.push(event);
+    } else {
+      type.end?.(this, event);
+    }
+    return event;
+  }
 
-      case 'plague':
-        // Reduce energy of all organisms
-        for (let organism of this.population) {
-          organism.energy = Math.max(10, organism.energy * 0.5);
-        }
-        break;
+  // Run the per-frame hooks of active events and end the ones whose time is up
+  updateEvents() {
+    for (let event of this.activeEvents) {
+      const type = getEventType(event.type);
+      type.update?.(this, event);
+      event.remaining--;
+      if (event.remaining <= 0) {
+        type.end?.(this, event);
+      }
     }
+    this.activeEvents = this.activeEvents.filter(event => event.remaining > 0);
   }
 
   start() {
@@ -461,20 +1264,147 @@ export class Simulation {
     this.running = false;
   }
 
-  reset() {
+  // Restart the run; passing a seed replays that seed from the beginning
+  reset(seed = this.seed) {
+    this.rng = new Random(seed);
+    this.seed = this.rng.seed;
+    this.environment.rng = this.rng;
+
     this.generation = 0;
     this.generationTimer = 0;
-    this.stats = {
-      avgFitness: [],
-      bestFitness: [],
-      avgSpeed: [],
-      avgVision: [],
-      avgSize: [],
-      avgEfficiency: []
+    this.frame = 0;
+    this.stats = createStats();
+    this.tally = createTally();
+    this.genealogy = new Genealogy(this.genealogy.depth);
+    this.species = new SpeciesTracker(this.species.threshold);
+    this.timeline.rewind();
+    this.environment.abundanceModifier = 1;
+    this.environment.eventFoodModifier = 1;
+    this.environment.movementCostModifier = 1;
+    this.activeEvents = [];
+    this.nextEventId = 1;
+    this.organismIds.next = this.organismIds.first;
+
+    if (this.founders) {
+      this.placeFounders(this.founders);
+    } else {
+      const { herbivores, predators } = this.startingPopulation;
+      this.initializePopulation(herbivores, predators);
+    }
+    this.environment.clearFood();
+    this.environment.seedFood();
+  }
+
+  // Full, versioned snapshot of the run (see Snapshot.js)
+  toJSON() {
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      seed: this.seed,
+      rng: this.rng.toJSON(),
+      generation: this.generation,
+      generationTimer: this.generationTimer,
+      frame: this.frame,
+      parameters: {
+        mode: this.mode,
+        brains: this.brains,
+        generationLength: this.generationLength,
+        mutationRate: this.mutationRate,
+        selectionPressure: this.selectionPressure,
+        selectionStrategy: this.selectionStrategy,
+        tournamentSize: this.tournamentSize,
+        elitism: this.elitism,
+        fitnessFunction: this.fitnessFunction,
+        fitnessWeights: { ...this.fitnessWeights },
+        assortativeMating: this.assortativeMating,
+        reproductionThreshold: this.reproductionThreshold,
+        reproductionCost: this.reproductionCost,
+        maturityAge: this.maturityAge,
+        maxAge: this.maxAge,
+        sampleInterval: this.sampleInterval
+      },
+      environment: this.environment.toJSON(),
+      population: this.population.map(organism => organism.toJSON()),
+      founders: this.founders,
+      startingPopulation: { ...this.startingPopulation },
+      genealogy: this.genealogy.toJSON(),
+      species: this.species.toJSON(),
+      timeline: this.timeline.toJSON(),
+      activeEvents: this.activeEvents.map(event => ({ ...event })),
+      nextEventId: this.nextEventId,
+      organismIds: { ...this.organismIds },
+      tally: { ...this.tally },
+      stats: JSON.parse(JSON.stringify(this.stats))
     };
-    this.initializePopulation(this.population.length);
-    this.environment.food = [];
-    this.environment.spawnFood(50);
+  }
+
+  // Restore a run from a snapshot, upgrading older versions first
+  static fromJSON(data) {
+    const snapshot = migrateSnapshot(data);
+    const { width, height } = snapshot.environment;
+
+    const simulation = new Simulation(width, height, 0, { seed: snapshot.seed });
+    simulation.environment = Environment.fromJSON(snapshot.environment, simulation.rng);
+    simulation.population = snapshot.population.map(
+      organism => Organism.fromJSON(organism, simulation.rng)
+    );
+    simulation.founders = snapshot.founders;
+    simulation.startingPopulation = { ...snapshot.startingPopulation };
+    simulation.genealogy = Genealogy.fromJSON(snapshot.genealogy);
+    simulation.species = SpeciesTracker.fromJSON(snapshot.species);
+    if (simulation.population.some(organism => organism.speciesId === null)) {
+      // Saved before species were tracked
+      simulation.species.classify(simulation.population, {
+        generation: snapshot.generation,
+        frame: snapshot.frame
+      });
+    }
+    simulation.timeline = Timeline.fromJSON(snapshot.timeline);
+    simulation.activeEvents = snapshot.activeEvents.map(event => ({ ...event }));
+    simulation.nextEventId = snapshot.nextEventId;
+    simulation.organismIds = { ...snapshot.organismIds };
+    simulation.environment.abundanceModifier = simulation.timeline.abundanceModifier(snapshot.frame);
+    simulation.generation = snapshot.generation;
+    simulation.generationTimer = snapshot.generationTimer;
+    simulation.frame = snapshot.frame;
+    Object.assign(simulation, snapshot.parameters);
+    simulation.fitnessWeights = { ...DEFAULT_FITNESS_WEIGHTS, ...snapshot.parameters.fitnessWeights };
+    simulation.stats = JSON.parse(JSON.stringify(snapshot.stats));
+    simulation.tally = { ...snapshot.tally };
+
+    // Traits added to the gene schema after the snapshot was saved have no history
+    const unknown = () => new Array(simulation.stats.time.length).fill(null);
+    for (let key of TRAIT_STATS) {
+      if (!simulation.stats[key]) simulation.stats[key] = unknown();
+    }
+    for (let name of GENE_NAMES) {
+      if (!simulation.stats.genes[name]) {
+        simulation.stats.genes[name] = Object.fromEntries(
+          [...DISTRIBUTION_STATS, 'histogram'].map(key => [key, unknown()])
+        );
+      }
+    }
+
+    // Resume the random sequence exactly where the snapshot left it
+    simulation.rng.state = snapshot.rng.state >>> 0;
+
+    return simulation;
+  }
+
+  // Ancestry of one organism as nested plain data (see Genealogy.getTree)
+  getFamilyTree(id, depth = 3) {
+    return this.genealogy.getTree(id, depth);
+  }
+
+  // Living species, largest first, as plain records (see Species.js)
+  getSpecies() {
+    return this.species.getLiving().sort((a, b) => b.size - a.size);
+  }
+
+  // Spread of every gene over the living population (see Statistics.js)
+  getDistributions() {
+    const genesList = this.population.filter(o => o.alive).map(o => o.genome.genes);
+    return Object.fromEntries(GENE_NAMES.map(name => [name, geneDistribution(genesList, name)]));
   }
 
   getAliveCount() {
@@ -484,8 +1414,19 @@ export class Simulation {
   getStats() {
     const alive = this.population.filter(o => o.alive);
 
+    // Trait averages formatted with each gene's precision
+    const traits = {};
+    GENE_NAMES.forEach((name, i) => {
+      const average = alive.length > 0
+        ? alive.reduce((sum, o) => sum + o.genome.genes[name], 0) / alive.length
+        : 0;
+      traits[TRAIT_STATS[i]] = average.toFixed(GENES[name].precision);
+    });
+
     return {
       population: alive.length,
+      herbivores: alive.filter(o => !o.isCarnivore()).length,
+      carnivores: alive.filter(o => o.isCarnivore()).length,
       avgFitness: alive.length > 0
         ? (alive.reduce((sum, o) => sum + o.fitness, 0) / alive.length).toFixed(2)
         : '0.00',
@@ -493,18 +1434,8 @@ export class Simulation {
         ? Math.max(...alive.map(o => o.fitness)).toFixed(2)
         : '0.00',
       foodCount: this.environment.food.length,
-      avgSpeed: alive.length > 0
-        ? (alive.reduce((sum, o) => sum + o.genome.genes.speed, 0) / alive.length).toFixed(2)
-        : '0.00',
-      avgVision: alive.length > 0
-        ? (alive.reduce((sum, o) => sum + o.genome.genes.vision, 0) / alive.length).toFixed(0)
-        : '0',
-      avgSize: alive.length > 0
-        ? (alive.reduce((sum, o) => sum + o.genome.genes.size, 0) / alive.length).toFixed(2)
-        : '0.00',
-      avgEfficiency: alive.length > 0
-        ? (alive.reduce((sum, o) => sum + o.genome.genes.efficiency, 0) / alive.length).toFixed(2)
-        : '0.00'
+      diversity: (geneticDiversity(alive.map(o => o.genome.genes)) * 100).toFixed(1),
+      ...traits
     };
   }
 }
@@ -0,0 +1,362 @@
+import { describe, expect, test } from 'vitest';
+import { DIET, MODE, Simulation } from './SimulationEngine';
+import { Random } from './Random';
+
+// Run a small simulation for a number of frames and return its state
+const runFrames = (seed, frames) => {
+  const simulation = new Simulation(400, 300, 20, { seed });
+  simulation.generationLength = 100;
+  simulation.start();
+  for (let i = 0; i < frames; i++) {
+    simulation.update();
+  }
+  return simulation;
+};
+
+const fingerprint = (simulation) => ({
+  generation: simulation.generation,
+  stats: simulation.stats,
+  population: simulation.population.map(o => ({
+    id: o.id,
+    x: o.x,
+    y: o.y,
+    energy: o.energy,
+    genes: o.genome.genes
+  })),
+  food: simulation.environment.food.map(f => [f.x, f.y])
+});
+
+describe('Random', () => {
+  test('same seed produces the same sequence', () => {
+    const a = new Random(42);
+    const b = new Random('42');
+    for (let i = 0; i < 10; i++) {
+      expect(a.next()).toBe(b.next());
+    }
+  });
+
+  test('string seeds are hashed consistently', () => {
+    expect(new Random('meteor').seed).toBe(new Random('meteor').seed);
+    expect(new Random('meteor').seed).not.toBe(new Random('comet').seed);
+  });
+
+  test('normal draws centre on the mean', () => {
+    const rng = new Random(5);
+    const draws = Array.from({ length: 5000 }, () => rng.normal(10, 2));
+    const mean = draws.reduce((a, b) => a + b, 0) / draws.length;
+    expect(mean).toBeCloseTo(10, 0);
+    expect(draws.every(Number.isFinite)).toBe(true);
+  });
+});
+
+describe('Simulation seeding', () => {
+  test('same seed yields identical runs', () => {
+    expect(fingerprint(runFrames(7, 250))).toEqual(fingerprint(runFrames(7, 250)));
+  });
+
+  test('different seeds diverge', () => {
+    expect(fingerprint(runFrames(7, 50))).not.toEqual(fingerprint(runFrames(8, 50)));
+  });
+
+  test('interventions replay identically', () => {
+    const run = () => {
+      const simulation = runFrames(11, 120);
+      simulation.triggerEvent('meteor');
+      simulation.cloneOrganism(simulation.population[0]);
+      simulation.mutateOrganism(simulation.population[1], 0.5);
+      for (let i = 0; i < 120; i++) {
+        simulation.update();
+      }
+      return fingerprint(simulation);
+    };
+
+    expect(run()).toEqual(run());
+  });
+
+  test('edited genes stay inside their limits', () => {
+    const simulation = new Simulation(300, 200, 5, { seed: 12 });
+    const [organism] = simulation.population;
+    const { size } = organism.genome.genes;
+
+    simulation.editGenes(organism, { speed: 100 });
+    expect(organism.genome.genes).toMatchObject({ speed: 10, size });
+    expect(() => simulation.editGenes(organism, { speed: Infinity })).toThrow('Invalid value for speed');
+  });
+
+  test('designed organisms are placed with their genes and diet', () => {
+    const simulation = new Simulation(300, 200, 5, { seed: 13 });
+    const organism = simulation.placeOrganism(50, 60, { genes: { speed: 2 }, diet: DIET.CARNIVORE });
+
+    expect(simulation.population).toHaveLength(6);
+    expect(organism).toMatchObject({ x: 50, y: 60, generation: 0 });
+    expect(organism.genome.diet).toBe(DIET.CARNIVORE);
+    expect(organism.genome.genes.speed).toBe(2);
+    expect(() => simulation.placeOrganism(0, 0, { diet: 'omnivore' })).toThrow('Unknown diet: omnivore');
+  });
+
+  test('reset replays the run from its seed', () => {
+    const simulation = runFrames(3, 150);
+    const first = fingerprint(simulation);
+
+    simulation.reset();
+    simulation.start();
+    for (let i = 0; i < 150; i++) {
+      simulation.update();
+    }
+
+    expect(fingerprint(simulation)).toEqual(first);
+  });
+
+  test('reset starts a continuous run again at its starting size', () => {
+    const run = (simulation) => {
+      simulation.start();
+      for (let i = 0; i < 300; i++) {
+        simulation.update();
+      }
+      return fingerprint(simulation);
+    };
+    const simulation = new Simulation(400, 300, 20, { seed: 5, mode: MODE.CONTINUOUS });
+    const first = run(simulation);
+
+    // However many are alive, even none, the reset run is the same run
+    simulation.population = simulation.population.slice(0, 3);
+    simulation.reset();
+    expect(simulation.population).toHaveLength(20);
+    expect(run(simulation)).toEqual(first);
+
+    simulation.population = [];
+    const restored = Simulation.fromJSON(simulation.toJSON());
+    restored.reset();
+    expect(restored.population).toHaveLength(20);
+  });
+
+  test('organisms are numbered in order, and a snapshot keeps counting', () => {
+    const simulation = new Simulation(400, 300, 20, { seed: 8, mode: MODE.CONTINUOUS });
+    expect(simulation.population.map(o => o.id)).toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+
+    simulation.start();
+    for (let i = 0; i < 500; i++) {
+      simulation.update();
+    }
+    const ids = simulation.population.map(o => o.id);
+    expect(new Set(ids).size).toBe(ids.length);
+
+    const snapshot = JSON.parse(JSON.stringify(simulation.toJSON()));
+    const placed = simulation.placeOrganism(50, 50);
+    expect(placed.id).toBeGreaterThan(Math.max(...ids));
+    expect(Simulation.fromJSON(snapshot).placeOrganism(50, 50).id).toBe(placed.id);
+
+    // Runs saved with random text ids start counting from 1
+    const { organismIds, ...v14 } = { ...snapshot, version: 14 };
+    expect(Simulation.fromJSON(v14).placeOrganism(50, 50).id).toBe(1);
+  });
+});
+
+describe('Simulation snapshots', () => {
+  test('restored run continues identically', () => {
+    const original = runFrames(21, 130);
+    const restored = Simulation.fromJSON(JSON.parse(JSON.stringify(original.toJSON())));
+    restored.start();
+
+    expect(fingerprint(restored)).toEqual(fingerprint(original));
+
+    for (let i = 0; i < 150; i++) {
+      original.update();
+      restored.update();
+    }
+    expect(fingerprint(restored)).toEqual(fingerprint(original));
+  });
+
+  test('parameters survive a round trip', () => {
+    const simulation = new Simulation(400, 300, 10, { seed: 1 });
+    simulation.mutationRate = 0.37;
+    simulation.selectionPressure = 0.2;
+    simulation.environment.foodAbundance = 80;
+
+    const restored = Simulation.fromJSON(simulation.toJSON());
+    expect(restored.mutationRate).toBe(0.37);
+    expect(restored.selectionPressure).toBe(0.2);
+    expect(restored.environment.foodAbundance).toBe(80);
+  });
+
+  test('rejects snapshots from a newer version', () => {
+    const snapshot = { ...new Simulation(100, 100, 2).toJSON(), version: 999 };
+    expect(() => Simulation.fromJSON(snapshot)).toThrow(/newer/);
+  });
+
+  test('loads version 1 snapshots saved before diets existed', () => {
+    const current = runFrames(4, 120).toJSON();
+    const { trophic, ...statsV1 } = current.stats;
+    const v1 = {
+      ...current,
+      version: 1,
+      population: current.population.map(o => ({
+        ...o,
+        genome: { genes: o.genome.genes, color: o.genome.color }
+      })),
+      stats: statsV1
+    };
+
+    const restored = Simulation.fromJSON(v1);
+    expect(restored.population.every(o => o.genome.diet === DIET.HERBIVORE)).toBe(true);
+    expect(restored.stats.trophic[DIET.HERBIVORE].avgFitness).toEqual(statsV1.avgFitness);
+  });
+
+  test('rejects files that are not snapshots', () => {
+    expect(() => Simulation.fromJSON({ hello: 'world' })).toThrow(/Not a simulation snapshot/);
+  });
+});
+
+describe('Predators and prey', () => {
+  const place = (simulation, x, y, diet, size) => {
+    const organism = simulation.spawnOrganism(x, y, diet);
+    organism.genome.genes.size = size;
+    organism.genome.genes.vision = 100;
+    return organism;
+  };
+
+  test('carnivores catch smaller herbivores and gain energy', () => {
+    const simulation = new Simulation(400, 400, 0, { seed: 2 });
+    const predator = place(simulation, 100, 100, DIET.CARNIVORE, 15);
+    const prey = place(simulation, 105, 100, DIET.HERBIVORE, 8);
+    const energyBefore = predator.energy;
+
+    simulation.start();
+    simulation.update();
+
+    expect(prey.alive).toBe(false);
+    expect(predator.foodCollected).toBe(1);
+    expect(predator.energy).toBeGreaterThan(energyBefore);
+  });
+
+  test('larger herbivores are not prey', () => {
+    const simulation = new Simulation(400, 400, 0, { seed: 2 });
+    place(simulation, 100, 100, DIET.CARNIVORE, 8);
+    const big = place(simulation, 105, 100, DIET.HERBIVORE, 15);
+
+    simulation.start();
+    simulation.update();
+
+    expect(big.alive).toBe(true);
+  });
+
+  test('prey flee from a visible predator', () => {
+    const simulation = new Simulation(400, 400, 0, { seed: 2 });
+    place(simulation, 100, 100, DIET.CARNIVORE, 15);
+    const prey = place(simulation, 160, 100, DIET.HERBIVORE, 8);
+
+    simulation.start();
+    simulation.update();
+
+    expect(prey.velocity.x).toBeGreaterThan(0);
+  });
+
+  test('each trophic level breeds separately and keeps its size', () => {
+    const simulation = new Simulation(400, 300, 12, { seed: 6, predators: 3 });
+    simulation.nextGeneration();
+
+    const carnivores = simulation.population.filter(o => o.isCarnivore());
+    expect(carnivores).toHaveLength(3);
+    expect(simulation.population).toHaveLength(15);
+    expect(simulation.stats.trophic[DIET.CARNIVORE].population).toEqual([3]);
+  });
+});
+
+describe('Continuous mode', () => {
+  test('well-fed adults give birth in place and pay the cost', () => {
+    const simulation = new Simulation(400, 300, 1, { seed: 8, mode: MODE.CONTINUOUS });
+    const parent = simulation.population[0];
+    parent.age = simulation.maturityAge;
+    parent.energy = simulation.reproductionThreshold + 50;
+
+    simulation.start();
+    simulation.update();
+
+    expect(simulation.population).toHaveLength(2);
+    const child = simulation.population[1];
+    expect(child.generation).toBe(1);
+    expect(child.energy).toBe(simulation.reproductionCost);
+    expect(parent.energy).toBeLessThan(simulation.reproductionThreshold);
+    expect(simulation.environment.distance(parent.x, parent.y, child.x, child.y))
+      .toBeLessThan(parent.genome.genes.size * 3);
+  });
+
+  test('old and starved organisms leave the world without a generation wipe', () => {
+    const simulation = new Simulation(400, 300, 3, { seed: 8, mode: MODE.CONTINUOUS });
+    const [old, starving, healthy] = simulation.population;
+    old.age = simulation.maxAge;
+    starving.energy = 0.001;
+    const survivorId = healthy.id;
+
+    simulation.start();
+    simulation.update();
+
+    expect(simulation.population.map(o => o.id)).toEqual([survivorId]);
+  });
+
+  test('stats are sampled over time', () => {
+    const simulation = new Simulation(400, 300, 20, { seed: 8, mode: MODE.CONTINUOUS });
+    simulation.sampleInterval = 50;
+    simulation.start();
+    for (let i = 0; i < 200; i++) {
+      simulation.update();
+    }
+
+    expect(simulation.stats.time).toEqual([50, 100, 150, 200]);
+    expect(simulation.stats.avgFitness).toHaveLength(4);
+  });
+});
+
+describe('Selection', () => {
+  test('elitism copies the best genomes unchanged', () => {
+    const simulation = new Simulation(400, 300, 10, { seed: 12 });
+    simulation.elitism = 2;
+    simulation.mutationRate = 1;
+    simulation.population.forEach((o, i) => { o.foodCollected = i; });
+    const best = [9, 8].map(i => ({ ...simulation.population[i].genome.genes }));
+
+    simulation.nextGeneration();
+
+    expect(simulation.population.slice(0, 2).map(o => o.genome.genes)).toEqual(best);
+    expect(simulation.population[2].genome.genes).not.toEqual(best[0]);
+  });
+});
+
+describe('Founders and food', () => {
+  test('scenario founders are placed again on every reset', () => {
+    const simulation = new Simulation(400, 300, 10, { seed: 8 });
+    simulation.founders = {
+      groups: [{ count: 5, genes: { speed: [2, 3], vision: 200 } }],
+      genomes: [{ diet: DIET.CARNIVORE, genes: { size: 30 }, x: 100, y: 50 }]
+    };
+    simulation.reset();
+
+    const [herbivores, carnivores] = [DIET.HERBIVORE, DIET.CARNIVORE]
+      .map(diet => simulation.population.filter(o => o.genome.diet === diet));
+    expect(herbivores).toHaveLength(5);
+    expect(herbivores.every(o => o.genome.genes.speed >= 2 && o.genome.genes.speed <= 3)).toBe(true);
+    expect(herbivores.every(o => o.genome.genes.vision === 200)).toBe(true);
+    expect(carnivores.map(o => [o.x, o.y, o.genome.genes.size])).toEqual([[100, 50, 30]]);
+
+    const first = simulation.population.map(o => o.genome.genes);
+    simulation.reset();
+    expect(simulation.population.map(o => o.genome.genes)).toEqual(first);
+    expect(Simulation.fromJSON(simulation.toJSON()).founders).toEqual(simulation.founders);
+  });
+
+  test('spawners keep their patch stocked up to its limit', () => {
+    const simulation = new Simulation(400, 300, 0, { seed: 4 });
+    const { environment } = simulation;
+    environment.initialFood = 0;
+    environment.foodAbundance = 0;
+    environment.spawners = [{ x: 100, y: 100, radius: 30, rate: 2, initial: 5, max: 12 }];
+    simulation.reset();
+
+    expect(environment.food).toHaveLength(5);
+    for (let i = 0; i < 20; i++) {
+      environment.update();
+    }
+    expect(environment.food).toHaveLength(12);
+    expect(environment.food.every(food => Math.hypot(food.x - 100, food.y - 100) <= 30)).toBe(true);
+  });
+});
@@ -0,0 +1,558 @@
+/**
+ * SIMULATION HOST
+ * Owns the running Simulation (or Archipelago, or Comparison) on behalf of the UI. The UI
+ * sends plain command messages; the host applies them, steps the run on its
+ * own timer and posts back compact state messages for rendering. The same
+ * host runs inside the Web Worker and, where workers are unavailable, on the
+ * main thread (see SimulationClient.js).
+ *
+ * Commands (UI -> host), all { type, ...fields }:
+ *   init { width, height, population, seed, scenario?, parameters?, events? }   start   pause   nextGeneration
+ *   reset { seed }          setSpeed { speed }   setParameter { name, value }
+ *   setIslands { count, topology, migrationRate }   setMigration { migrationRate?, topology? }
+ *   focusIsland { index }   setComparison { configs, targetFitness }   setTargetFitness { targetFitness }
+ *   focusRun { index }      select { id }        tool { tool, x, y, brush?, radius?, design? }
+ *   intervene { action, id }   editGenes { id, genes }   triggerEvent { eventType }
+ *   addTimelineEvent { event }   removeTimelineEvent { id }   save   load { snapshot }
+ *   loadScenario { scenario }   exportScenario { name, description }
+ *   seek { frame } or { generation }   branch
+ *
+ * Messages (host -> UI):
+ *   state { ... }          see buildState(); heavy parts only when they change
+ *   snapshot { snapshot }  reply to save
+ *   scenario { scenario }  reply to exportScenario
+ *   error { command, message }
+ *                          no command when an update fails while running; the run stops
+ */
+
+import { Simulation } from './SimulationEngine.js';
+import { Archipelago, TOPOLOGY } from './Archipelago.js';
+import { Comparison } from './Comparison.js';
+import { TerrainMap } from './Terrain.js';
+import { Timeline } from './Timeline.js';
+import { SIMULATION_PARAMETERS, applyIntervention } from './Interventions.js';
+import { RunHistory } from './History.js';
+import { createScenarioSimulation, readScenario, scenarioFromSimulation } from './ScenarioFile.js';
+
+export const FRAME_INTERVAL = 16; // Milliseconds between steps while running (~60 per second)
+export const FAMILY_TREE_DEPTH = 3; // Generations of ancestry sent with the selected organism
+
+// Settings shared by every island; changing them starts the run over
+const RESTARTING_PARAMETERS = ['mode', 'brains'];
+
+const COMMANDS = {
+  // A scenario file (see ScenarioFile.js) replaces the random founders.
+  // Parameters ({ name: value }, as for setParameter) and scheduled events are
+  // part of the starting state, as when a scenario link is opened
+  init(host, { width, height, population = 30, seed, scenario, parameters = {}, events = [] }) {
+    const simulation = scenario
+      ? createScenarioSimulation(readScenario(scenario), { width, height, seed })
+      : new Simulation(width, height, population, { seed });
+    for (let [name, value] of Object.entries(parameters)) {
+      applyIntervention(simulation, { type: 'setParameter', name, value });
+    }
+    for (let event of events) {
+      applyIntervention(simulation, { type: 'addTimelineEvent', event });
+    }
+    host.setWorld(simulation);
+  },
+
+  start(host) {
+    host.world.start();
+    host.schedule();
+  },
+
+  pause(host) {
+    host.world.pause();
+    host.cancel();
+  },
+
+  nextGeneration(host) {
+    if (host.world !== host.simulation) {
+      host.world.nextGeneration(); // Every island or compared run at once
+    } else {
+      host.intervene({ type: 'nextGeneration' });
+    }
+  },
+
+  reset(host, { seed }) {
+    host.world.pause();
+    host.cancel();
+    host.world.reset(seed === '' || seed === null ? undefined : seed);
+    host.selectedId = null;
+    host.settingsChanged = true;
+    host.startHistory();
+  },
+
+  setSpeed(host, { speed }) {
+    host.speed = Math.max(1, Math.floor(speed));
+  },
+
+  setParameter(host, { name, value }) {
+    if (RESTARTING_PARAMETERS.includes(name)) {
+      host.simulations().forEach(simulation => { simulation[name] = value; });
+      COMMANDS.reset(host, { seed: host.world.seed });
+      return;
+    }
+    host.intervene({ type: 'setParameter', name, value });
+    if (name === 'boundary') host.terrainChanged = true;
+  },
+
+  // Going from one run to several islands copies the current settings, terrain
+  // and timeline to every island; going back to one keeps the focused island
+  setIslands(host, { count, topology = TOPOLOGY.RING, migrationRate = 0.1 }) {
+    const current = host.simulation;
+    host.world.pause();
+    host.cancel();
+
+    if (count <= 1) {
+      host.setWorld(current);
+      return;
+    }
+
+    const { width, height } = current.environment;
+    const { herbivores, predators } = current.startingPopulation;
+    const archipelago = new Archipelago(width, height, count, herbivores, {
+      seed: current.seed,
+      predators,
+      mode: current.mode,
+      brains: current.brains,
+      topology,
+      migrationRate
+    });
+    const { parameters, environment, timeline } = current.toJSON();
+    for (let island of archipelago.islands) {
+      Object.assign(island, parameters);
+      island.founders = current.founders;
+      island.species.threshold = current.species.threshold;
+      island.timeline = Timeline.fromJSON(timeline);
+      island.environment.foodAbundance = environment.foodAbundance;
+      island.environment.initialFood = environment.initialFood;
+      island.environment.spawners = environment.spawners;
+      island.environment.setBoundary(environment.boundary);
+      island.environment.terrain = TerrainMap.fromJSON(environment.terrain, width, height);
+    }
+    archipelago.reset(); // Founders placed with the copied terrain
+    host.setWorld(archipelago);
+  },
+
+  setMigration(host, { migrationRate, topology }) {
+    if (!host.archipelago) return;
+    if (migrationRate !== undefined) host.archipelago.migrationRate = migrationRate;
+    if (topology !== undefined) host.archipelago.topology = topology;
+  },
+
+  // Show one island; parameter changes then apply to that island
+  focusIsland(host, { index }) {
+    if (!host.archipelago?.islands[index]) return;
+    host.simulation = host.archipelago.islands[index];
+    host.selectedId = null;
+    host.markAllChanged();
+  },
+
+  // Run several configurations of the run on screen side by side, all from its
+  // seed; going back to one keeps the focused run
+  setComparison(host, { configs, targetFitness = null }) {
+    const current = host.simulation;
+    host.world.pause();
+    host.cancel();
+    host.setWorld(configs.length <= 1 ? current : new Comparison(current, configs, { targetFitness }));
+  },
+
+  setTargetFitness(host, { targetFitness }) {
+    if (host.comparison) host.comparison.targetFitness = targetFitness;
+  },
+
+  // Show one compared run; parameter changes then apply to that run
+  focusRun(host, { index }) {
+    const run = host.comparison?.runs[index];
+    if (!run) return;
+    host.simulation = run.simulation;
+    host.selectedId = null;
+    host.markAllChanged();
+  },
+
+  select(host, { id }) {
+    host.selectedId = id ?? null;
+  },
+
+  // Clicks and drags on the canvas with the active tool
+  tool(host, { tool, x, y, brush, radius, design }) {
+    if (tool === 'food') {
+      host.intervene({ type: 'addFood', x, y });
+    } else if (tool === 'predator') {
+      host.intervene({ type: 'releasePredator', x, y });
+    } else if (tool === 'terrain') {
+      host.intervene({ type: 'paintTerrain', x, y, radius, brush });
+      host.terrainChanged = true;
+    } else if (tool === 'design') {
+      host.intervene({ type: 'placeOrganism', x, y, genes: design?.genes, diet: design?.diet });
+    } else {
+      throw new Error(`Unknown tool: ${tool}`);
+    }
+  },
+
+  intervene(host, { action, id }) {
+    if (!['clone', 'mutate', 'eliminate'].includes(action)) {
+      throw new Error(`Unknown intervention: ${action}`);
+    }
+    host.intervene({ type: action, id });
+    if (action === 'eliminate') host.selectedId = null;
+  },
+
+  // Gene values typed into the genome editor; clamped by the engine
+  editGenes(host, { id, genes }) {
+    host.intervene({ type: 'editGenes', id, genes });
+  },
+
+  triggerEvent(host, { eventType }) {
+    host.intervene({ type: 'triggerEvent', eventType });
+  },
+
+  addTimelineEvent(host, { event }) {
+    host.intervene({ type: 'addTimelineEvent', event });
+  },
+
+  removeTimelineEvent(host, { id }) {
+    host.intervene({ type: 'removeTimelineEvent', id });
+  },
+
+  // Rebuild the run as it was at an earlier frame (or the start of a generation)
+  seek(host, { frame, generation }) {
+    const history = host.requireHistory();
+    host.world.pause();
+    host.cancel();
+    const target = generation !== undefined ? history.frameOfGeneration(generation) : frame;
+    host.replaceSimulation(history.seek(target));
+  },
+
+  // Drop the recorded future and carry on from here as a new run
+  branch(host) {
+    host.requireHistory().branch(host.simulation);
+  },
+
+  save(host) {
+    host.post({ type: 'snapshot', snapshot: host.simulation.toJSON() });
+  },
+
+  // A snapshot holds a single run, so loading one leaves island mode
+  load(host, { snapshot }) {
+    const simulation = Simulation.fromJSON(snapshot);
+    host.world.pause();
+    host.cancel();
+    host.setWorld(simulation);
+  },
+
+  // Start over from a scenario, in a world the size of the current one unless
+  // the scenario sets its own
+  loadScenario(host, { scenario }) {
+    const { width, height } = host.simulation.environment;
+    const simulation = createScenarioSimulation(readScenario(scenario), { width, height });
+    host.world.pause();
+    host.cancel();
+    host.setWorld(simulation);
+  },
+
+  exportScenario(host, { name, description }) {
+    host.post({ type: 'scenario', scenario: scenarioFromSimulation(host.simulation, { name, description }) });
+  }
+};
+
+export class SimulationHost {
+  constructor(post, { frameInterval = FRAME_INTERVAL } = {}) {
+    this.post = post;
+    this.frameInterval = frameInterval;
+    this.world = null;      // Simulation, Archipelago or Comparison being stepped
+    this.simulation = null; // Run on screen: the world itself, or the focused island or run
+    this.archipelago = null;
+    this.comparison = null;
+    this.speed = 1; // Updates per step
+    this.selectedId = null;
+    this.timer = null;
+    this.history = null; // Recording of a single run (see History.js); islands are not recorded
+    this.markAllChanged();
+  }
+
+  // Every Simulation being stepped
+  simulations() {
+    if (this.archipelago) return this.archipelago.islands;
+    if (this.comparison) return this.comparison.simulations;
+    return [this.simulation];
+  }
+
+  setWorld(world) {
+    this.world = world;
+    this.archipelago = world instanceof Archipelago ? world : null;
+    this.comparison = world instanceof Comparison ? world : null;
+    this.simulation = this.archipelago || this.comparison ? this.simulations()[0] : world;
+    this.selectedId = null;
+    this.markAllChanged();
+    this.startHistory();
+  }
+
+  // Record the run from its current frame on
+  startHistory() {
+    this.history = this.world === this.simulation ? new RunHistory(this.simulation) : null;
+  }
+
+  requireHistory() {
+    if (!this.history) {
+      throw new Error('History is only recorded for a single run');
+    }
+    return this.history;
+  }
+
+  // Swap in a rebuilt copy of the recorded run, keeping its history
+  replaceSimulation(simulation) {
+    this.world = simulation;
+    this.simulation = simulation;
+    this.markAllChanged();
+  }
+
+  // Apply a change to the run on screen, logging it when the run is recorded
+  intervene(intervention) {
+    if (this.history) {
+      this.history.intervene(this.simulation, intervention);
+    } else {
+      applyIntervention(this.simulation, intervention);
+    }
+  }
+
+  // Send terrain, stats and settings with the next state message
+  markAllChanged() {
+    this.terrainChanged = true;
+    this.settingsChanged = true;
+    this.statsKey = null;
+    this.comparisonKey = null;
+  }
+
+  // Apply one command, then report the new state
+  handle(message) {
+    const command = COMMANDS[message?.type];
+    try {
+      if (!command) {
+        throw new Error(`Unknown command: ${message?.type}`);
+      }
+      if (!this.world && message.type !== 'init') {
+        throw new Error('Simulation not initialized');
+      }
+      command(this, message);
+    } catch (error) {
+      this.post({ type: 'error', command: message?.type, message: error.message });
+      return;
+    }
+    if (this.world && !['save', 'exportScenario'].includes(message.type)) {
+      this.postState();
+    }
+  }
+
+  schedule() {
+    if (this.timer !== null) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.step();
+    }, this.frameInterval);
+  }
+
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // One tick while running: `speed` updates, then a state message. A failing
+  // update stops the run and is reported, rather than leaving it frozen.
+  step() {
+    if (!this.world.running) return;
+    try {
+      for (let i = 0; i < this.speed; i++) {
+        this.world.update();
+        this.history?.afterUpdate(this.simulation);
+      }
+    } catch (error) {
+      this.world.pause();
+      this.post({ type: 'error', message: error.message });
+      this.postState();
+      return;
+    }
+    this.postState();
+    this.schedule();
+  }
+
+  postState() {
+    this.post(this.buildState());
+  }
+
+  dispose() {
+    this.cancel();
+    this.world?.pause();
+  }
+
+  // Everything the UI draws, as plain data. Terrain, the stats history and
+  // settings are only included when they changed since the last message.
+  buildState() {
+    const simulation = this.simulation;
+    const { environment } = simulation;
+    const organismView = (organism) => {
+      const species = simulation.species.get(organism.speciesId);
+      return {
+        id: organism.id,
+        x: organism.x,
+        y: organism.y,
+        size: organism.genome.genes.size,
+        vision: organism.genome.genes.vision,
+        energy: organism.energy,
+        carnivore: organism.isCarnivore(),
+        color: organism.genome.getColor(),
+        speciesColor: species ? species.color : null
+      };
+    };
+
+    const state = {
+      type: 'state',
+      running: this.world.running,
+      generation: simulation.generation,
+      frame: simulation.frame,
+      world: {
+        width: environment.width,
+        height: environment.height,
+        boundary: environment.boundary,
+        abundanceModifier: environment.abundanceModifier
+      },
+      food: environment.food.map(food => ({ x: food.x, y: food.y, radius: food.radius })),
+      organisms: simulation.population.filter(o => o.alive).map(organismView),
+      activeEvents: simulation.activeEvents.map(event => ({ ...event })),
+      summary: simulation.getStats(),
+      distributions: simulation.getDistributions(),
+      species: simulation.getSpecies(),
+      extinctSpecies: simulation.species.getExtinct().length,
+      timeline: simulation.timeline.toJSON(),
+      selected: this.selectedOrganism(),
+      islands: this.islandsState(),
+      comparison: this.comparisonState(),
+      history: this.historyState()
+    };
+
+    const statsKey = `${simulation.stats.time.length}:${simulation.stats.events.length}`;
+    if (statsKey !== this.statsKey) {
+      state.stats = JSON.parse(JSON.stringify(simulation.stats));
+      this.statsKey = statsKey;
+    }
+    // Every compared run's stats, for the overlaid charts
+    const comparisonKey = this.comparison ? this.comparison.simulations.map(run => run.stats.time.length).join(':') : '';
+    if (comparisonKey !== this.comparisonKey) {
+      state.comparisonStats = this.comparison
+        ? this.comparison.simulations.map(run => JSON.parse(JSON.stringify(run.stats)))
+        : null;
+      this.comparisonKey = comparisonKey;
+    }
+    if (this.terrainChanged) {
+      state.terrain = environment.terrain.toJSON();
+      this.terrainChanged = false;
+    }
+    if (this.settingsChanged) {
+      state.settings = this.settings();
+      this.settingsChanged = false;
+    }
+    return state;
+  }
+
+  // Full detail of the selected organism, or null once it is gone
+  selectedOrganism() {
+    const simulation = this.simulation;
+    const organism = simulation.population.find(o => o.id === this.selectedId && o.alive);
+    if (!organism) return null;
+
+    const data = organism.toJSON();
+    const { brain } = organism.genome;
+    if (brain) {
+      data.genome.brain = { ...data.genome.brain, hiddenSize: brain.hiddenSize, activations: brain.activations };
+    }
+    data.familyTree = simulation.getFamilyTree(organism.id, FAMILY_TREE_DEPTH);
+    return data;
+  }
+
+  // Extent of the recording, for the timeline scrubber
+  historyState() {
+    const history = this.history;
+    if (!history) return null;
+
+    return {
+      start: history.startFrame,
+      end: history.frame,
+      replaying: history.isReplaying(this.simulation),
+      interventions: history.interventions.length
+    };
+  }
+
+  islandsState() {
+    const archipelago = this.archipelago;
+    if (!archipelago) return null;
+
+    return {
+      focused: archipelago.islands.indexOf(this.simulation),
+      divergence: archipelago.getDivergence(),
+      migrants: archipelago.migrations.reduce((sum, migration) => sum + migration.count, 0),
+      list: archipelago.islands.map(island => ({
+        summary: island.getStats(),
+        ...this.thumbnail(island)
+      }))
+    };
+  }
+
+  // Each compared run's configuration and progress towards the target fitness
+  comparisonState() {
+    const comparison = this.comparison;
+    if (!comparison) return null;
+
+    const { reached, leaders } = comparison.getResults();
+    return {
+      focused: comparison.simulations.indexOf(this.simulation),
+      targetFitness: comparison.targetFitness,
+      leaders,
+      runs: comparison.runs.map(({ label, parameters, simulation }, index) => ({
+        label,
+        parameters,
+        reached: reached[index],
+        summary: simulation.getStats(),
+        ...this.thumbnail(simulation)
+      }))
+    };
+  }
+
+  // Just enough of a run to draw it small: food and living organisms
+  thumbnail(simulation) {
+    return {
+      width: simulation.environment.width,
+      height: simulation.environment.height,
+      food: simulation.environment.food.map(food => ({ x: food.x, y: food.y })),
+      organisms: simulation.population.filter(o => o.alive).map(organism => ({
+        x: organism.x,
+        y: organism.y,
+        size: organism.genome.genes.size,
+        color: organism.genome.getColor(),
+        speciesColor: simulation.species.get(organism.speciesId)?.color ?? null
+      }))
+    };
+  }
+
+  // Current settings of the run on screen, in engine units
+  settings() {
+    const simulation = this.simulation;
+    return {
+      seed: this.world.seed,
+      mode: simulation.mode,
+      brains: simulation.brains,
+      boundary: simulation.environment.boundary,
+      foodAbundance: simulation.environment.foodAbundance,
+      seasonAmplitude: simulation.timeline.seasons.amplitude,
+      seasonPeriod: simulation.timeline.seasons.period,
+      driftRate: simulation.timeline.drift.rate,
+      speciesThreshold: simulation.species.threshold,
+      fitnessWeights: { ...simulation.fitnessWeights },
+      ...Object.fromEntries(SIMULATION_PARAMETERS.map(name => [name, simulation[name]])),
+      islands: this.archipelago ? this.archipelago.islands.length : 1,
+      migrationRate: this.archipelago?.migrationRate ?? null,
+      topology: this.archipelago?.topology ?? null
+    };
+  }
+}
@@ -0,0 +1,243 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import { SimulationHost } from './SimulationHost';
+import { createSimulationClient } from './SimulationClient';
+import { getPreset } from './Presets';
+
+// Host whose messages are collected instead of posted
+const createHost = () => {
+  const messages = [];
+  const host = new SimulationHost(message => messages.push(message), { frameInterval: 10 });
+  host.handle({ type: 'init', width: 300, height: 200, population: 12, seed: 7 });
+  return { host, messages, last: () => messages[messages.length - 1] };
+};
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('SimulationHost', () => {
+  test('init reports a full state as plain data', () => {
+    const { messages, last } = createHost();
+    const state = last();
+
+    expect(messages).toHaveLength(1);
+    expect(state.type).toBe('state');
+    expect(state.organisms).toHaveLength(12);
+    expect(state.world).toMatchObject({ width: 300, height: 200 });
+    expect(state.settings.seed).toBe(7);
+    expect(state.terrain).toBeDefined();
+    expect(state.islands).toBeNull();
+    expect(structuredClone(state)).toEqual(state);
+  });
+
+  test('init can start from a scenario\'s parameters and events', () => {
+    const messages = [];
+    const host = new SimulationHost(message => messages.push(message));
+    host.handle({
+      type: 'init', width: 300, height: 200, population: 8, seed: 3,
+      parameters: { mutationRate: 0.25, foodAbundance: 80 },
+      events: [{ type: 'meteor', generation: 4 }]
+    });
+
+    const [state] = messages;
+    expect(state.settings).toMatchObject({ seed: 3, mutationRate: 0.25, foodAbundance: 80 });
+    expect(state.timeline.events).toMatchObject([{ type: 'meteor', generation: 4 }]);
+    expect(state.organisms).toHaveLength(8);
+    expect(host.history.interventions).toEqual([]);
+  });
+
+  test('steps on its own timer while running and stops when paused', () => {
+    vi.useFakeTimers();
+    const { host, last } = createHost();
+
+    host.handle({ type: 'setSpeed', speed: 3 });
+    host.handle({ type: 'start' });
+    vi.advanceTimersByTime(50);
+    expect(last().frame).toBe(15);
+    expect(last().running).toBe(true);
+    // Settings and terrain are only sent again after they change
+    expect(last().settings).toBeUndefined();
+    expect(last().terrain).toBeUndefined();
+
+    host.handle({ type: 'pause' });
+    const frame = last().frame;
+    vi.advanceTimersByTime(50);
+    expect(last().frame).toBe(frame);
+    expect(last().running).toBe(false);
+  });
+
+  test('an update that fails stops the run and is reported', () => {
+    vi.useFakeTimers();
+    const { host, messages, last } = createHost();
+    host.handle({ type: 'start' });
+    host.simulation.fitnessFunction = 'bogus';
+    host.simulation.generationTimer = host.simulation.generationLength;
+
+    vi.advanceTimersByTime(50);
+    const error = messages.find(message => message.type === 'error');
+    expect(error.message).toBe('Unknown fitness function: bogus');
+    expect(last()).toMatchObject({ type: 'state', running: false });
+    expect(host.timer).toBeNull();
+
+    const count = messages.length;
+    vi.advanceTimersByTime(50);
+    expect(messages).toHaveLength(count);
+  });
+
+  test('parameters apply to the run and come back with the settings', () => {
+    const { host, last } = createHost();
+
+    host.handle({ type: 'setParameter', name: 'mutationRate', value: 0.3 });
+    host.handle({ type: 'setParameter', name: 'seasonAmplitude', value: 0.5 });
+    expect(host.simulation.mutationRate).toBe(0.3);
+    expect(host.simulation.timeline.seasons.amplitude).toBe(0.5);
+
+    host.handle({ type: 'setParameter', name: 'mode', value: 'continuous' });
+    expect(last().settings).toMatchObject({ mode: 'continuous', mutationRate: 0.3, seed: 7 });
+  });
+
+  test('selected organisms are sent with their family tree until they die', () => {
+    const { host, last } = createHost();
+    const [organism] = host.simulation.population;
+
+    host.handle({ type: 'select', id: organism.id });
+    expect(last().selected.id).toBe(organism.id);
+    expect(last().selected.familyTree).toBeDefined();
+
+    host.handle({ type: 'intervene', action: 'eliminate', id: organism.id });
+    expect(last().selected).toBeNull();
+  });
+
+  test('genome edits and designed organisms go through the run history', () => {
+    const { host, last } = createHost();
+    const [organism] = host.simulation.population;
+
+    host.handle({ type: 'select', id: organism.id });
+    host.handle({ type: 'editGenes', id: organism.id, genes: { speed: 2.5 } });
+    expect(last().selected.genome.genes.speed).toBe(2.5);
+
+    host.handle({ type: 'tool', tool: 'design', x: 40, y: 50, design: { genes: { size: 9 }, diet: 'carnivore' } });
+    expect(last().organisms).toHaveLength(13);
+    expect(host.history.interventions.map(i => i.type)).toEqual(['editGenes', 'placeOrganism']);
+
+    host.handle({ type: 'editGenes', id: organism.id, genes: { wings: 1 } });
+    expect(last().message).toBe('Unknown gene: wings');
+  });
+
+  test('save replies with a snapshot that load accepts', () => {
+    const { host, messages, last } = createHost();
+    host.handle({ type: 'save' });
+    const { type, snapshot } = last();
+    expect(type).toBe('snapshot');
+
+    host.handle({ type: 'nextGeneration' });
+    host.handle({ type: 'load', snapshot });
+    expect(last().generation).toBe(0);
+    expect(last().organisms).toEqual(messages[0].organisms);
+  });
+
+  test('seeking back replays the recorded run, and branching drops its future', () => {
+    vi.useFakeTimers();
+    const { host, last } = createHost();
+    host.handle({ type: 'setSpeed', speed: 10 });
+    host.handle({ type: 'start' });
+    vi.advanceTimersByTime(300);
+    host.handle({ type: 'pause' });
+    const end = last().frame;
+
+    host.handle({ type: 'seek', frame: 100 });
+    expect(last()).toMatchObject({ frame: 100, running: false });
+    expect(last().history).toMatchObject({ start: 0, end, replaying: true });
+
+    host.handle({ type: 'branch' });
+    expect(last().history).toMatchObject({ end: 100, replaying: false });
+  });
+
+  test('bad commands are reported as errors', () => {
+    const { host, last } = createHost();
+
+    host.handle({ type: 'fly' });
+    expect(last()).toEqual({ type: 'error', command: 'fly', message: 'Unknown command: fly' });
+    host.handle({ type: 'setParameter', name: 'gravity', value: 1 });
+    expect(last().message).toBe('Unknown parameter: gravity');
+  });
+
+  test('islands copy the current settings and report their own state', () => {
+    const { host, last } = createHost();
+    host.handle({ type: 'setParameter', name: 'foodAbundance', value: 20 });
+    host.handle({ type: 'setIslands', count: 3, migrationRate: 0.2 });
+
+    const { islands, settings } = last();
+    expect(islands.list).toHaveLength(3);
+    expect(islands.focused).toBe(0);
+    expect(settings).toMatchObject({ islands: 3, migrationRate: 0.2 });
+    expect(host.archipelago.islands.every(island => island.environment.foodAbundance === 20)).toBe(true);
+
+    host.handle({ type: 'focusIsland', index: 2 });
+    expect(last().islands.focused).toBe(2);
+    expect(host.simulation).toBe(host.archipelago.islands[2]);
+    expect(last().history).toBeNull();
+  });
+
+  test('comparisons run each configuration from the same seed and can be left again', () => {
+    const { host, last } = createHost();
+    host.handle({
+      type: 'setComparison',
+      configs: [{ label: 'Low', parameters: { mutationRate: 0.05 } }, { label: 'High', parameters: { mutationRate: 0.2 } }],
+      targetFitness: 1000
+    });
+
+    const { comparison, comparisonStats, history } = last();
+    expect(comparison.runs.map(run => run.label)).toEqual(['Low', 'High']);
+    expect(comparison).toMatchObject({ focused: 0, targetFitness: 1000, leaders: [] });
+    expect(comparisonStats).toHaveLength(2);
+    expect(history).toBeNull();
+
+    host.handle({ type: 'focusRun', index: 1 });
+    expect(last().settings).toMatchObject({ mutationRate: 0.2, seed: 7 });
+    host.handle({ type: 'nextGeneration' });
+    expect(host.comparison.simulations.map(run => run.generation)).toEqual([1, 1]);
+
+    host.handle({ type: 'setComparison', configs: [] });
+    expect(last()).toMatchObject({ comparison: null, comparisonStats: null, generation: 1 });
+    expect(host.simulation.mutationRate).toBe(0.2);
+    expect(last().history).not.toBeNull();
+  });
+
+  test('scenarios can be loaded in place of the run and exported from it', () => {
+    const { host, messages, last } = createHost();
+    host.handle({ type: 'loadScenario', scenario: getPreset('predators-and-prey') });
+
+    expect(last().world).toMatchObject({ width: 800, height: 600 });
+    expect(last().summary).toMatchObject({ herbivores: 30, carnivores: 4 });
+    expect(last().history).not.toBeNull();
+
+    const count = messages.length;
+    host.handle({ type: 'exportScenario', name: 'Mine' });
+    expect(messages).toHaveLength(count + 1);
+    const { type, scenario } = last();
+    expect(type).toBe('scenario');
+    expect(scenario).toMatchObject({ name: 'Mine', seed: host.world.seed });
+    expect(scenario.population).toEqual(getPreset('predators-and-prey').population);
+
+    host.handle({ type: 'loadScenario', scenario: { name: 'Not one' } });
+    expect(last()).toMatchObject({ type: 'error', command: 'loadScenario', message: 'Not a scenario file' });
+    expect(host.simulation.population).toHaveLength(34);
+  });
+});
+
+describe('SimulationClient', () => {
+  test('runs the host on this thread when workers are unavailable', async () => {
+    const messages = [];
+    const client = createSimulationClient(message => messages.push(message));
+    expect(client.inWorker).toBe(false);
+
+    client.send({ type: 'init', width: 300, height: 200, population: 5, seed: 1 });
+    expect(messages).toHaveLength(0); // Delivered asynchronously, as from a worker
+    await Promise.resolve();
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].organisms).toHaveLength(5);
+    client.terminate();
+  });
+});
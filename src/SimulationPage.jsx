@@ -1,36 +1,212 @@
 import { useEffect, useRef, useState } from 'react';
-import { Simulation } from './SimulationEngine';
+import { DIET, MODE } from './SimulationEngine';
+import { randomSeed } from './Random';
+import { snapshotFileName } from './Snapshot';
+import { SELECTION_STRATEGIES } from './Selection';
+import { DEFAULT_FITNESS_FUNCTION, DEFAULT_FITNESS_WEIGHTS, FITNESS_FUNCTIONS } from './Fitness';
+import { GENE_SCHEMA, GENES, clampGene, defaultGeneValue, geneFraction, traitStatKey } from './Genes';
+import { BRAIN_INPUTS, BRAIN_OUTPUTS } from './Brain';
+import { BOUNDARY, TERRAIN_TYPES, TerrainMap } from './Terrain';
+import { EVENT_TYPES } from './Events';
+import { TOPOLOGY } from './Archipelago';
+import { createSimulationClient } from './SimulationClient';
+import { FAMILY_TREE_DEPTH } from './SimulationHost';
+import StatsChart from './StatsChart';
+import ComparisonChart from './ComparisonChart';
+import SweepHeatmap from './SweepHeatmap';
+import { readSweep } from './Sweep';
+import { hasScenario, parseScenario, scenarioToQuery } from './Scenario';
+import { readScenario, scenarioFileName } from './ScenarioFile';
+import { SCENARIO_PRESETS, getPreset } from './Presets';
+
+// Draw one data series as a line scaled to the canvas
+const strokeSeries = (ctx, canvas, data, maxValue, color) => {
+  const step = canvas.width / Math.max(data.length - 1, 1);
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+
+  data.forEach((value, i) => {
+    const x = i * step;
+    const y = canvas.height - (value / maxValue) * canvas.height;
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+
+  ctx.stroke();
+};
+
+const HERBIVORE_COLOR = 'rgba(111, 255, 176, 0.8)';
+const CARNIVORE_COLOR = 'rgba(255, 111, 97, 0.8)';
+
+// Family tree: first and second parent
+const PARENT_COLORS = ['rgba(74, 168, 255, 0.8)', 'rgba(255, 196, 87, 0.8)'];
+
+// Registered event type, or a placeholder for one that is no longer registered
+const eventInfo = (type) => EVENT_TYPES[type] || { icon: '•', label: type };
+
+// Terrain brush radius in world pixels
+const TERRAIN_BRUSH = 25;
+
+// Species panel: largest species listed
+const SPECIES_SHOWN = 8;
+const hsl = ({ h, s, l }) => `hsl(${h}, ${s}%, ${l}%)`;
+
+// Controls shown in percent that the engine takes as fractions
+const PERCENT_PARAMETERS = ['mutationRate', 'selectionPressure', 'seasonAmplitude', 'driftRate', 'speciesThreshold'];
+
+// Island model: most islands offered, and the size of each island's thumbnail
+const MAX_ISLANDS = 6;
+const ISLAND_VIEW_WIDTH = 128;
+const ISLAND_VIEW_HEIGHT = 80;
+
+// Comparison mode: parameters a configuration can vary, most runs offered,
+// each run's colour, and the size of each run's view
+const COMPARED_PARAMETERS = {
+  mutationRate: { label: 'Mutation', percent: true },
+  selectionPressure: { label: 'Selection', percent: true },
+  foodAbundance: { label: 'Food', percent: false },
+  elitism: { label: 'Elitism', percent: false }
+};
+const MAX_COMPARED_RUNS = 4;
+const RUN_COLORS = ['rgba(111, 255, 176, 0.9)', 'rgba(255, 111, 97, 0.9)', 'rgba(74, 168, 255, 0.9)', 'rgba(255, 196, 87, 0.9)'];
+const RUN_VIEW_WIDTH = 240;
+const RUN_VIEW_HEIGHT = 150;
+
+// One configuration per value typed in ("5, 20"), in engine units
+const comparisonConfigs = (parameter, values) => {
+  const { label, percent } = COMPARED_PARAMETERS[parameter];
+  return values.split(',')
+    .map(value => value.trim())
+    .filter(value => value !== '' && Number.isFinite(Number(value)))
+    .slice(0, MAX_COMPARED_RUNS)
+    .map(value => ({
+      label: `${label} ${value}${percent ? '%' : ''}`,
+      parameters: { [parameter]: percent ? Number(value) / 100 : Number(value) }
+    }));
+};
+
+const parseTarget = value => value === '' || !Number.isFinite(Number(value)) ? null : Number(value);
+
+// Small view of a run: food and organisms only, outlined when it is on the main canvas
+const drawThumbnail = (canvas, run, focused, colorBy) => {
+  const ctx = canvas.getContext('2d');
+  const scale = Math.min(canvas.width / run.width, canvas.height / run.height);
+
+  ctx.fillStyle = '#0C0C10';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.fillStyle = 'rgba(111, 255, 176, 0.5)';
+  for (let food of run.food) {
+    ctx.fillRect(food.x * scale, food.y * scale, 1, 1);
+  }
+
+  for (let organism of run.organisms) {
+    const bySpecies = colorBy === 'species' && organism.speciesColor;
+    ctx.fillStyle = bySpecies ? hsl(organism.speciesColor) : organism.color;
+    ctx.beginPath();
+    ctx.arc(organism.x * scale, organism.y * scale, Math.max(1.5, organism.size * scale), 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  if (focused) {
+    ctx.strokeStyle = 'rgba(74, 168, 255, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(1, 1, canvas.width - 2, canvas.height - 2);
+  }
+};
+
+// Starting point of the organism designer: every gene at the centre of its founder range
+const defaultDesign = () => ({
+  genes: Object.fromEntries(GENE_SCHEMA.map(gene => [gene.name, defaultGeneValue(gene.name)])),
+  diet: DIET.HERBIVORE
+});
+
+// Brain view: positive weights and activations in cyan, negative in coral
+const activationColor = (value, alpha = 1) => value >= 0
+  ? `rgba(74, 168, 255, ${Math.min(1, Math.abs(value)) * alpha})`
+  : `rgba(255, 111, 97, ${Math.min(1, Math.abs(value)) * alpha})`;
 
 function SimulationPage({ onExit }) {
   const canvasRef = useRef(null);
-  const fitnessGraphRef = useRef(null);
-  const simulationRef = useRef(null);
-  const animationFrameRef = useRef(null);
+  const familyTreeRef = useRef(null);
+  const brainRef = useRef(null);
+  const trophicPopulationRef = useRef(null);
+  const trophicFitnessRef = useRef(null);
+  const histogramRef = useRef(null);
+  const clientRef = useRef(null); // Connection to the engine (see SimulationClient.js)
+  const viewRef = useRef(null); // Latest state from the engine, with terrain and stats kept between messages
+  const messageHandlerRef = useRef(null);
+  const previousScenarioRef = useRef(null); // Scenario to go back to if a load is rejected
+  const islandViewRefs = useRef([]);
+  const runViewRefs = useRef([]);
+  const snapshotInputRef = useRef(null);
+  const sweepInputRef = useRef(null);
 
   const [isRunning, setIsRunning] = useState(false);
   const [generation, setGeneration] = useState(0);
+  const [frame, setFrame] = useState(0);
   const [stats, setStats] = useState({
     population: 0,
+    herbivores: 0,
+    carnivores: 0,
     avgFitness: '0.00',
     bestFitness: '0.00',
     foodCount: 0,
-    avgSpeed: '0.00',
-    avgVision: '0',
-    avgSize: '0.00',
-    avgEfficiency: '0.00'
+    diversity: '0.0',
+    ...Object.fromEntries(GENE_SCHEMA.map(gene => [traitStatKey(gene.name), (0).toFixed(gene.precision)]))
   });
 
-  const [selectedOrganism, setSelectedOrganism] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [histogramGene, setHistogramGene] = useState(GENE_SCHEMA[0].name);
   const [activeTool, setActiveTool] = useState('select');
+  const [terrainBrush, setTerrainBrush] = useState('wall');
+  const [design, setDesign] = useState(defaultDesign);
+  const [sweep, setSweep] = useState(null); // { name, result } of an opened sweep results file
+  const [comparisonSetup, setComparisonSetup] = useState({ parameter: 'mutationRate', values: '5, 20', targetFitness: '4000' });
+  const paintingRef = useRef(false);
+  const [seedInput, setSeedInput] = useState('');
+  const [runSeed, setRunSeed] = useState(null); // Seed of the run on screen
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Setup from a scenario link, if the page was opened with one (see Scenario.js)
+  const [scenario] = useState(() => parseScenario(window.location.search));
+  // Preset or imported scenario file the run started from (see ScenarioFile.js);
+  // without a link, the page opens on the picker
+  const [activeScenario, setActiveScenario] = useState(() => scenario.preset ? getPreset(scenario.preset) : null);
+  const [choosingScenario, setChoosingScenario] = useState(() => !hasScenario(window.location.search));
 
   const [controls, setControls] = useState({
     mutationRate: 10,
     selectionPressure: 50,
+    selectionStrategy: 'truncation',
+    tournamentSize: 3,
+    elitism: 0,
+    fitnessFunction: DEFAULT_FITNESS_FUNCTION,
+    fitnessWeights: { ...DEFAULT_FITNESS_WEIGHTS },
     foodAbundance: 50,
-    simSpeed: 1
+    simSpeed: scenario.speed ?? 1,
+    population: scenario.population ?? 30,
+    mode: MODE.GENERATIONAL,
+    brains: false,
+    boundary: BOUNDARY.WRAP,
+    seasonAmplitude: 0,
+    seasonPeriod: 2000,
+    driftRate: 0,
+    speciesThreshold: 15,
+    assortativeMating: false,
+    colorBy: 'genome',
+    islands: 1,
+    migrationRate: 10,
+    topology: TOPOLOGY.RING
   });
+  const [newEvent, setNewEvent] = useState({ type: 'meteor', unit: 'generation', at: 10 });
 
-  // Initialize simulation
+  // Start the engine. It steps the run on its own and sends back state to draw.
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
@@ -39,52 +215,89 @@ function SimulationPage({ onExit }) {
     canvas.width = parent.clientWidth;
     canvas.height = parent.clientHeight;
 
-    simulationRef.current = new Simulation(canvas.width, canvas.height, 30);
-    updateStats();
+    const client = createSimulationClient(message => messageHandlerRef.current(message));
+    clientRef.current = client;
+    const { mutationRate, selectionPressure, foodAbundance } = scenario;
+    client.send({
+      type: 'init',
+      width: scenario.width ?? canvas.width,
+      height: scenario.height ?? canvas.height,
+      population: controls.population,
+      seed: scenario.seed,
+      scenario: activeScenario ?? undefined,
+      parameters: Object.fromEntries(Object.entries({ mutationRate, selectionPressure, foodAbundance })
+        .filter(([, value]) => value !== undefined)),
+      events: scenario.events
+    });
+    client.send({ type: 'setSpeed', speed: controls.simSpeed });
 
-    return () => {
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
-      }
-    };
+    return () => client.terminate();
   }, []);
 
-  // Main animation loop
-  useEffect(() => {
-    if (!isRunning) return;
-
-    const animate = () => {
-      const simulation = simulationRef.current;
-      if (!simulation) return;
+  const send = (command) => clientRef.current?.send(command);
 
-      // Update simulation multiple times based on speed
-      for (let i = 0; i < controls.simSpeed; i++) {
-        simulation.update();
+  // Messages from the engine (see SimulationHost.js)
+  const handleHostMessage = (message) => {
+    if (message.type === 'snapshot') {
+      downloadJSON(message.snapshot, snapshotFileName(message.snapshot));
+      return;
+    }
+    if (message.type === 'scenario') {
+      downloadJSON(message.scenario, scenarioFileName(message.scenario));
+      return;
+    }
+    if (message.type === 'error') {
+      if (['load', 'loadScenario'].includes(message.command)) {
+        setActiveScenario(previousScenarioRef.current); // The old run goes on
       }
+      const failed = message.command
+        ? { load: 'Could not load snapshot', loadScenario: 'Could not load scenario' }[message.command]
+        : 'The run stopped';
+      window.alert(failed ? `${failed}: ${message.message}` : message.message);
+      return;
+    }
 
-      renderSimulation();
-      updateStats();
-      renderFitnessGraph();
-
-      setGeneration(simulation.generation);
-
-      animationFrameRef.current = requestAnimationFrame(animate);
+    const previous = viewRef.current;
+    const { world } = message;
+    viewRef.current = {
+      ...message,
+      terrain: message.terrain ? TerrainMap.fromJSON(message.terrain, world.width, world.height) : previous?.terrain,
+      stats: message.stats || previous?.stats,
+      comparisonStats: message.comparisonStats !== undefined ? message.comparisonStats : previous?.comparisonStats
     };
 
-    animate();
+    // A loaded run keeps its own world size
+    const canvas = canvasRef.current;
+    if (canvas.width !== world.width || canvas.height !== world.height) {
+      canvas.width = world.width;
+      canvas.height = world.height;
+    }
 
-    return () => {
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
-      }
-    };
-  }, [isRunning, controls.simSpeed]);
+    if (message.settings) {
+      applySettings(message.settings);
+    }
+    setIsRunning(message.running); // The engine may also stop a run itself, e.g. on an error
+    setGeneration(message.generation);
+    setFrame(message.frame);
+    setStats(message.summary);
+  };
+  messageHandlerRef.current = handleHostMessage;
+
+  // Redraw every canvas after each state from the engine
+  useEffect(() => {
+    renderSimulation();
+    renderThumbnails();
+    renderTrophicGraphs();
+    renderHistogram();
+    renderFamilyTree();
+    renderBrain();
+  }, [stats, selectedId, controls.colorBy, histogramGene]);
 
   // Render simulation on canvas
   const renderSimulation = () => {
     const canvas = canvasRef.current;
-    const simulation = simulationRef.current;
-    if (!canvas || !simulation) return;
+    const view = viewRef.current;
+    if (!canvas || !view) return;
 
     const ctx = canvas.getContext('2d');
 
@@ -92,8 +305,46 @@ function SimulationPage({ onExit }) {
     ctx.fillStyle = '#0C0C10';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
+    // Draw terrain (plain ground is left as background)
+    const { terrain } = view;
+    const { boundary } = view.world;
+    if (terrain.painted > 0) {
+      const { cellSize, cols } = terrain;
+      terrain.cells.forEach((_, index) => {
+        const x = (index % cols) * cellSize;
+        const y = Math.floor(index / cols) * cellSize;
+        const { color } = terrain.typeAt(x, y);
+        if (color) {
+          ctx.fillStyle = color;
+          ctx.fillRect(x, y, cellSize, cellSize);
+        }
+      });
+    }
+
+    // Areas of active events, fading as they run out
+    view.activeEvents.forEach(event => {
+      if (event.radius === null) return;
+      const left = event.remaining / event.duration;
+      ctx.fillStyle = `rgba(255, 111, 97, ${0.25 * left})`;
+      ctx.strokeStyle = `rgba(255, 111, 97, ${0.4 + 0.4 * left})`;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(event.x, event.y, event.radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    // Solid or lethal world edges
+    if (boundary !== BOUNDARY.WRAP) {
+      ctx.strokeStyle = boundary === BOUNDARY.LETHAL ? CARNIVORE_COLOR : TERRAIN_TYPES.wall.color;
+      ctx.lineWidth = 4;
+      ctx.setLineDash(boundary === BOUNDARY.LETHAL ? [10, 6] : []);
+      ctx.strokeRect(2, 2, canvas.width - 4, canvas.height - 4);
+      ctx.setLineDash([]);
+    }
+
     // Draw food
-    simulation.environment.food.forEach(food => {
+    view.food.forEach(food => {
       ctx.fillStyle = 'rgba(111, 255, 176, 0.6)';
       ctx.beginPath();
       ctx.arc(food.x, food.y, food.radius, 0, Math.PI * 2);
@@ -107,26 +358,32 @@ function SimulationPage({ onExit }) {
     });
 
     // Draw organisms
-    simulation.population.forEach(organism => {
-      if (!organism.alive) return;
-
-      const size = organism.genome.genes.size;
+    view.organisms.forEach(organism => {
+      const { size } = organism;
 
       // Draw vision range (if selected)
-      if (selectedOrganism && selectedOrganism.id === organism.id) {
+      if (organism.id === selectedId) {
         ctx.strokeStyle = 'rgba(74, 168, 255, 0.2)';
         ctx.lineWidth = 1;
         ctx.beginPath();
-        ctx.arc(organism.x, organism.y, organism.genome.genes.vision, 0, Math.PI * 2);
+        ctx.arc(organism.x, organism.y, organism.vision, 0, Math.PI * 2);
         ctx.stroke();
       }
 
       // Draw organism body
-      ctx.fillStyle = organism.genome.getColor();
+      const bySpecies = controls.colorBy === 'species' && organism.speciesColor;
+      ctx.fillStyle = bySpecies ? hsl(organism.speciesColor) : organism.color;
       ctx.beginPath();
       ctx.arc(organism.x, organism.y, size, 0, Math.PI * 2);
       ctx.fill();
 
+      // Predators get a coral ring
+      if (organism.carnivore) {
+        ctx.strokeStyle = CARNIVORE_COLOR;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+
       // Energy indicator
       const energyPercent = organism.energy / 100;
       ctx.fillStyle = `rgba(255, 255, 255, ${energyPercent * 0.5})`;
@@ -135,7 +392,7 @@ function SimulationPage({ onExit }) {
       ctx.fill();
 
       // Selection highlight
-      if (selectedOrganism && selectedOrganism.id === organism.id) {
+      if (organism.id === selectedId) {
         ctx.strokeStyle = 'rgba(111, 255, 176, 0.8)';
         ctx.lineWidth = 2;
         ctx.beginPath();
@@ -145,165 +402,510 @@ function SimulationPage({ onExit }) {
     });
   };
 
-  // Update statistics
-  const updateStats = () => {
-    const simulation = simulationRef.current;
-    if (!simulation) return;
-
-    setStats(simulation.getStats());
+  // Every island's thumbnail, or every compared run's view
+  const renderThumbnails = () => {
+    const view = viewRef.current;
+    const draw = (list, focused, canvases) => list.forEach((run, index) => {
+      if (canvases[index]) drawThumbnail(canvases[index], run, index === focused, controls.colorBy);
+    });
+    if (view?.islands) draw(view.islands.list, view.islands.focused, islandViewRefs.current);
+    if (view?.comparison) draw(view.comparison.runs, view.comparison.focused, runViewRefs.current);
   };
 
-  // Render fitness graph
-  const renderFitnessGraph = () => {
-    const canvas = fitnessGraphRef.current;
-    const simulation = simulationRef.current;
-    if (!canvas || !simulation) return;
+  // Render population and fitness per trophic level
+  const renderTrophicGraphs = () => {
+    const stats = viewRef.current?.stats;
+    if (!stats) return;
 
-    const ctx = canvas.getContext('2d');
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const { trophic } = stats;
+    const levels = [
+      [trophic[DIET.HERBIVORE], HERBIVORE_COLOR],
+      [trophic[DIET.CARNIVORE], CARNIVORE_COLOR]
+    ];
 
-    const avgData = simulation.stats.avgFitness;
-    const bestData = simulation.stats.bestFitness;
+    [[trophicPopulationRef, 'population'], [trophicFitnessRef, 'avgFitness']].forEach(([ref, key]) => {
+      const canvas = ref.current;
+      if (!canvas) return;
 
-    if (avgData.length < 2) return;
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      if (trophic[DIET.HERBIVORE][key].length < 2) return;
 
-    const maxValue = Math.max(...bestData, 100);
-    const step = canvas.width / Math.max(avgData.length - 1, 1);
+      const maxValue = Math.max(...levels.flatMap(([series]) => series[key]), 1);
+      levels.forEach(([series, color]) => strokeSeries(ctx, canvas, series[key], maxValue, color));
+    });
+  };
+
+  // Histogram of one gene over the living population, across the gene's full range
+  const renderHistogram = () => {
+    const canvas = histogramRef.current;
+    const distribution = viewRef.current?.distributions[histogramGene];
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!distribution) return;
+
+    const { histogram } = distribution;
+    const maxCount = Math.max(...histogram, 1);
+    const barWidth = canvas.width / histogram.length;
+    ctx.fillStyle = 'rgba(74, 168, 255, 0.6)';
+    histogram.forEach((count, i) => {
+      const height = (count / maxCount) * (canvas.height - 12);
+      ctx.fillRect(i * barWidth + 1, canvas.height - height, barWidth - 2, height);
+    });
 
-    // Draw best fitness
+    // Median marker
+    const x = geneFraction(histogramGene, distribution.median) * canvas.width;
     ctx.strokeStyle = 'rgba(111, 255, 176, 0.8)';
     ctx.lineWidth = 2;
     ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, canvas.height);
+    ctx.stroke();
+  };
 
-    bestData.forEach((value, i) => {
-      const x = i * step;
-      const y = canvas.height - (value / maxValue) * canvas.height;
-      if (i === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
-      }
-    });
+  // Draw the selected organism's ancestry: itself at the bottom, one row per
+  // generation above, edges coloured by which parent they lead to
+  const renderFamilyTree = () => {
+    const canvas = familyTreeRef.current;
+    const tree = viewRef.current?.selected?.familyTree;
+    if (!canvas || !tree) return;
 
-    ctx.stroke();
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    // Draw average fitness
-    ctx.strokeStyle = 'rgba(74, 168, 255, 0.6)';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
+    const rowHeight = canvas.height / (FAMILY_TREE_DEPTH + 1);
+    const position = (level, slot) => ({
+      x: (slot + 0.5) * canvas.width / 2 ** level,
+      y: canvas.height - (level + 0.5) * rowHeight
+    });
+
+    const drawNode = (node, level, slot) => {
+      const { x, y } = position(level, slot);
 
-    avgData.forEach((value, i) => {
-      const x = i * step;
-      const y = canvas.height - (value / maxValue) * canvas.height;
-      if (i === 0) {
+      node.parents.forEach((parent, i) => {
+        if (!parent) return;
+        const above = position(level + 1, slot * 2 + i);
+        ctx.strokeStyle = PARENT_COLORS[i];
+        ctx.lineWidth = 2;
+        ctx.beginPath();
         ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
+        ctx.lineTo(above.x, above.y);
+        ctx.stroke();
+        drawNode(parent, level + 1, slot * 2 + i);
+      });
+
+      const { color, diet } = node.record;
+      ctx.fillStyle = `hsl(${color.h}, ${color.s}%, ${color.l}%)`;
+      ctx.beginPath();
+      ctx.arc(x, y, level === 0 ? 8 : 6, 0, Math.PI * 2);
+      ctx.fill();
+      if (diet === DIET.CARNIVORE) {
+        ctx.strokeStyle = CARNIVORE_COLOR;
+        ctx.lineWidth = 2;
+        ctx.stroke();
       }
+    };
+
+    drawNode(tree, 0, 0);
+  };
+
+  // Draw the selected organism's network with the activations of its last decision
+  const renderBrain = () => {
+    const canvas = brainRef.current;
+    const brain = viewRef.current?.selected?.genome.brain;
+    if (!canvas || !brain) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const activations = brain.activations || {
+      inputs: BRAIN_INPUTS.map(() => 0),
+      hidden: brain.inputWeights.map(() => 0),
+      outputs: BRAIN_OUTPUTS.map(() => 0)
+    };
+    const columns = [activations.inputs, activations.hidden, activations.outputs];
+    const columnX = [70, canvas.width / 2 + 10, canvas.width - 50];
+    const nodeY = (count, i) => (i + 0.5) * canvas.height / count;
+
+    // Edges, weighted by how much signal they carried
+    [brain.inputWeights, brain.outputWeights].forEach((weights, layer) => {
+      const from = columns[layer];
+      weights.forEach((row, j) => {
+        from.forEach((value, i) => {
+          ctx.strokeStyle = activationColor(row[i] * value, 0.8);
+          ctx.lineWidth = Math.min(3, Math.abs(row[i]));
+          ctx.beginPath();
+          ctx.moveTo(columnX[layer], nodeY(from.length, i));
+          ctx.lineTo(columnX[layer + 1], nodeY(weights.length, j));
+          ctx.stroke();
+        });
+      });
     });
 
-    ctx.stroke();
+    // Neurons
+    columns.forEach((values, layer) => {
+      values.forEach((value, i) => {
+        const y = nodeY(values.length, i);
+        ctx.fillStyle = '#0C0C10';
+        ctx.strokeStyle = 'rgba(230, 230, 234, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(columnX[layer], y, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = activationColor(value);
+        ctx.fill();
+      });
+    });
+
+    // Labels
+    ctx.font = '9px sans-serif';
+    ctx.fillStyle = 'rgba(230, 230, 234, 0.6)';
+    ctx.textAlign = 'right';
+    BRAIN_INPUTS.forEach((label, i) => ctx.fillText(label, columnX[0] - 8, nodeY(BRAIN_INPUTS.length, i) + 3));
+    ctx.textAlign = 'left';
+    BRAIN_OUTPUTS.forEach((label, i) => ctx.fillText(label, columnX[2] + 8, nodeY(BRAIN_OUTPUTS.length, i) + 3));
+  };
+
+  // Canvas pixels may differ from its on-screen size (e.g. after loading a snapshot)
+  const toWorld = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  };
+
+  // Terrain tool: paint while the mouse button is held down
+  const paintTerrain = (e) => {
+    const { x, y } = toWorld(e);
+    send({ type: 'tool', tool: 'terrain', x, y, brush: terrainBrush, radius: TERRAIN_BRUSH });
+  };
+
+  const handleCanvasMouseDown = (e) => {
+    if (activeTool !== 'terrain') return;
+    paintingRef.current = true;
+    paintTerrain(e);
+  };
+
+  const handleCanvasMouseMove = (e) => {
+    if (paintingRef.current) paintTerrain(e);
+  };
+
+  const handleCanvasMouseUp = () => {
+    paintingRef.current = false;
   };
 
   // Handle canvas click
   const handleCanvasClick = (e) => {
-    const canvas = canvasRef.current;
-    const simulation = simulationRef.current;
-    if (!canvas || !simulation) return;
+    const view = viewRef.current;
+    if (!view) return;
 
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+    const { x, y } = toWorld(e);
 
     if (activeTool === 'select') {
       // Find clicked organism
-      const clicked = simulation.population.find(org => {
-        if (!org.alive) return false;
-        const dist = Math.hypot(org.x - x, org.y - y);
-        return dist < org.genome.genes.size + 5;
-      });
-
-      setSelectedOrganism(clicked || null);
-    } else if (activeTool === 'food') {
-      // Add food
-      simulation.environment.food.push({
-        x,
-        y,
-        energy: 20,
-        radius: 4
-      });
-      renderSimulation();
+      const clicked = view.organisms.find(org => Math.hypot(org.x - x, org.y - y) < org.size + 5);
+      const id = clicked ? clicked.id : null;
+      setSelectedId(id);
+      send({ type: 'select', id });
+    } else if (activeTool === 'food' || activeTool === 'predator') {
+      // Add food or release a carnivore
+      send({ type: 'tool', tool: activeTool, x, y });
+    } else if (activeTool === 'design') {
+      // Place the organism built in the designer
+      send({ type: 'tool', tool: 'design', x, y, design });
     }
   };
 
   // Control handlers
   const handlePlayPause = () => {
-    if (isRunning) {
-      simulationRef.current.pause();
-    } else {
-      simulationRef.current.start();
-    }
-    setIsRunning(!isRunning);
+    send({ type: isRunning ? 'pause' : 'start' });
   };
 
   const handleNextGen = () => {
-    simulationRef.current.nextGeneration();
-    setGeneration(simulationRef.current.generation);
-    updateStats();
-    renderSimulation();
+    send({ type: 'nextGeneration' });
   };
 
-  const handleReset = () => {
-    simulationRef.current.reset();
-    setIsRunning(false);
-    setGeneration(0);
-    setSelectedOrganism(null);
-    updateStats();
-    renderSimulation();
+  // Commands that stop the run and start over
+  const restart = (command) => {
+    send(command);
+    setSelectedId(null);
   };
 
-  const handleControlChange = (name, value) => {
-    setControls(prev => ({ ...prev, [name]: value }));
+  const handleReset = (seed = seedInput) => {
+    restart({ type: 'reset', seed: seed.trim() });
+  };
 
-    const simulation = simulationRef.current;
-    if (!simulation) return;
+  const handleNewSeed = () => {
+    handleReset(String(randomSeed()));
+  };
 
-    if (name === 'mutationRate') {
-      simulation.mutationRate = value / 100;
-    } else if (name === 'selectionPressure') {
-      simulation.selectionPressure = value / 100;
-    } else if (name === 'foodAbundance') {
-      simulation.environment.foodAbundance = value;
+  // The address bar always holds a link to the current scenario
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt('Copy this link to share the scenario', window.location.href);
     }
   };
 
-  const handleEvent = (eventType) => {
-    simulationRef.current.triggerEvent(eventType);
-    renderSimulation();
+  // The engine replies with a snapshot message (see handleHostMessage)
+  const handleSaveSnapshot = () => {
+    send({ type: 'save' });
+  };
+
+  const downloadJSON = (data, fileName) => {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
   };
 
-  const handleCloneSelected = () => {
-    if (selectedOrganism) {
-      simulationRef.current.cloneOrganism(selectedOrganism);
-      renderSimulation();
+  const handleLoadSnapshot = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await file.text());
+    } catch (error) {
+      window.alert(`Could not load snapshot: ${error.message}`);
+      return;
     }
+    previousScenarioRef.current = activeScenario;
+    restart({ type: 'load', snapshot });
+    setActiveScenario(null);
+  };
+
+  // Start over from a preset or an imported scenario file. The engine may
+  // still reject it; see handleHostMessage.
+  const handlePickScenario = (picked) => {
+    previousScenarioRef.current = activeScenario;
+    restart({ type: 'loadScenario', scenario: picked });
+    setActiveScenario(picked);
+    setChoosingScenario(false);
   };
 
-  const handleMutateSelected = () => {
-    if (selectedOrganism) {
-      simulationRef.current.mutateOrganism(selectedOrganism, 0.5);
-      renderSimulation();
+  const handleImportScenario = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      handlePickScenario(readScenario(JSON.parse(await file.text())));
+    } catch (error) {
+      window.alert(`Could not import scenario: ${error.message}`);
     }
   };
 
-  const handleEliminateSelected = () => {
-    if (selectedOrganism) {
-      simulationRef.current.eliminateOrganism(selectedOrganism);
-      setSelectedOrganism(null);
-      renderSimulation();
+  // The engine replies with a scenario message (see handleHostMessage)
+  const handleExportScenario = () => {
+    send({ type: 'exportScenario', name: activeScenario?.name, description: activeScenario?.description });
+  };
+
+  // Results of `npm run sweep` (JSON), shown as a heatmap
+  const handleOpenSweep = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setSweep({ name: file.name, result: readSweep(JSON.parse(await file.text())) });
+    } catch (error) {
+      window.alert(`Could not open sweep results: ${error.message}`);
     }
   };
 
+  // Show the settings of the run on screen (engine units) in the controls
+  const applySettings = (settings) => {
+    const percent = name => Math.round(settings[name] * 100);
+    setSeedInput(String(settings.seed));
+    setRunSeed(settings.seed);
+    setControls(prev => ({
+      ...prev,
+      mode: settings.mode,
+      brains: settings.brains,
+      boundary: settings.boundary,
+      foodAbundance: settings.foodAbundance,
+      seasonPeriod: settings.seasonPeriod,
+      selectionStrategy: settings.selectionStrategy,
+      tournamentSize: settings.tournamentSize,
+      elitism: settings.elitism,
+      fitnessFunction: settings.fitnessFunction,
+      fitnessWeights: { ...settings.fitnessWeights },
+      assortativeMating: settings.assortativeMating,
+      ...Object.fromEntries(PERCENT_PARAMETERS.map(name => [name, percent(name)])),
+      driftRate: settings.driftRate * 100,
+      islands: settings.islands,
+      migrationRate: settings.migrationRate !== null ? percent('migrationRate') : prev.migrationRate,
+      topology: settings.topology ?? prev.topology
+    }));
+  };
+
+  // Going from one run to several islands copies the current settings and
+  // terrain to every island; going back keeps the focused island
+  const handleIslandsChange = (count) => {
+    setControls(prev => ({ ...prev, islands: count }));
+    restart({
+      type: 'setIslands',
+      count,
+      topology: controls.topology,
+      migrationRate: controls.migrationRate / 100
+    });
+  };
+
+  // Show one island on the main canvas; the controls then edit that island
+  const handleFocusIsland = (index) => {
+    setSelectedId(null);
+    send({ type: 'focusIsland', index });
+  };
+
+  const handleMigrationChange = (name, value) => {
+    setControls(prev => ({ ...prev, [name]: value }));
+    send({ type: 'setMigration', [name]: name === 'migrationRate' ? value / 100 : value });
+  };
+
+  // Run one configuration per value side by side, all from the current run's
+  // settings and seed; stopping keeps the run on screen
+  const handleStartComparison = () => {
+    const configs = comparisonConfigs(comparisonSetup.parameter, comparisonSetup.values);
+    if (configs.length < 2) {
+      window.alert('Enter at least two values to compare, separated by commas');
+      return;
+    }
+    restart({ type: 'setComparison', configs, targetFitness: parseTarget(comparisonSetup.targetFitness) });
+  };
+
+  const handleStopComparison = () => {
+    restart({ type: 'setComparison', configs: [] });
+  };
+
+  const handleComparisonSetup = (name, value) => {
+    setComparisonSetup(prev => ({ ...prev, [name]: value }));
+    if (name === 'targetFitness') {
+      send({ type: 'setTargetFitness', targetFitness: parseTarget(value) });
+    }
+  };
+
+  // Show one compared run on the main canvas; the controls then edit that run
+  const handleFocusRun = (index) => {
+    setSelectedId(null);
+    send({ type: 'focusRun', index });
+  };
+
+  const handleControlChange = (name, value) => {
+    setControls(prev => ({ ...prev, [name]: value }));
+
+    if (name === 'simSpeed') {
+      send({ type: 'setSpeed', speed: value });
+    } else if (name !== 'colorBy') {
+      send({ type: 'setParameter', name, value: PERCENT_PARAMETERS.includes(name) ? value / 100 : value });
+    }
+  };
+
+  // Switching between generational and continuous evolution starts a new run
+  // (on every island, since migrants must fit in wherever they land)
+  const handleModeChange = (mode) => {
+    setControls(prev => ({ ...prev, mode }));
+    restart({ type: 'setParameter', name: 'mode', value: mode });
+  };
+
+  // Brains are part of every genome, so switching steering also starts a new run
+  const handleBrainsChange = (brains) => {
+    setControls(prev => ({ ...prev, brains }));
+    restart({ type: 'setParameter', name: 'brains', value: brains });
+  };
+
+  const handleEvent = (eventType) => {
+    send({ type: 'triggerEvent', eventType });
+  };
+
+  // Timeline: schedule or drop an event (the list comes back with the next state)
+  const handleAddTimelineEvent = () => {
+    const at = Math.max(0, parseInt(newEvent.at) || 0);
+    send({ type: 'addTimelineEvent', event: { type: newEvent.type, [newEvent.unit]: at } });
+  };
+
+  const handleRemoveTimelineEvent = (id) => {
+    send({ type: 'removeTimelineEvent', id });
+  };
+
+  // Replay: rebuild the recorded run at an earlier point (pausing it first)
+  const handleSeek = (target) => {
+    send({ type: 'seek', ...target });
+  };
+
+  // Keep the replayed run from here on, dropping what was recorded after it
+  const handleBranch = () => {
+    send({ type: 'branch' });
+  };
+
+  // Clone, mutate or eliminate the selected organism
+  const handleIntervention = (action) => {
+    if (selectedId === null) return;
+    send({ type: 'intervene', action, id: selectedId });
+    if (action === 'eliminate') setSelectedId(null);
+  };
+
+  // Live gene edits on the selected organism (clamped and logged by the engine)
+  const handleGeneEdit = (name, value) => {
+    if (selectedId === null) return;
+    send({ type: 'editGenes', id: selectedId, genes: { [name]: value } });
+  };
+
+  const handleDesignGene = (name, value) => {
+    setDesign(current => ({ ...current, genes: { ...current.genes, [name]: value } }));
+  };
+
+  // Plain data from the engine's latest state
+  const view = viewRef.current;
+  const selected = view?.selected ?? null;
+  const distribution = view?.distributions[histogramGene] ?? null;
+  const formatGene = value => value.toFixed(GENES[histogramGene].precision);
+
+  // Scenario link for the address bar: what the run started from, with the current
+  // settings. Imported scenario files cannot be linked to; they are shared as files.
+  const presetId = activeScenario?.id ?? null;
+  const importedScenario = activeScenario !== null && presetId === null;
+  const scenarioQuery = view && runSeed !== null && !importedScenario ? scenarioToQuery({
+    preset: presetId,
+    seed: runSeed,
+    population: presetId === null ? controls.population : undefined,
+    mutationRate: controls.mutationRate / 100,
+    selectionPressure: controls.selectionPressure / 100,
+    foodAbundance: controls.foodAbundance,
+    speed: controls.simSpeed,
+    width: view.world.width,
+    height: view.world.height,
+    events: view.timeline.events
+  }) : null;
+
+  useEffect(() => {
+    if (importedScenario) {
+      window.history.replaceState(null, '', window.location.pathname);
+    } else if (scenarioQuery !== null) {
+      window.history.replaceState(null, '', `${window.location.pathname}?${scenarioQuery}`);
+    }
+  }, [scenarioQuery, importedScenario]);
+
+  // Turnover at the most recent stats sample (unknown for samples loaded from older saves)
+  const history = view?.stats;
+  const last = history ? history.time.length - 1 : -1;
+  const lastSample = last >= 0 && history.births[last] !== null
+    ? { births: history.births[last], deaths: history.deaths[last], foodConsumed: history.foodConsumed[last] }
+    : null;
+
   return (
     <div className="page active">
       <div className="simulation-layout">
@@ -328,6 +930,48 @@ function SimulationPage({ onExit }) {
                 <circle cx="12" cy="12" r="6" />
               </svg>
             </button>
+            <button
+              className={`tool-btn ${activeTool === 'predator' ? 'active' : ''}`}
+              onClick={() => setActiveTool('predator')}
+              title="Release Predator"
+            >
+              <svg viewBox="0 0 24 24">
+                <path d="M12 3l3 6 6 1-4.5 4.5 1 6.5-5.5-3-5.5 3 1-6.5L3 10l6-1z" />
+              </svg>
+            </button>
+            <button
+              className={`tool-btn ${activeTool === 'terrain' ? 'active' : ''}`}
+              onClick={() => setActiveTool('terrain')}
+              title="Paint Terrain"
+            >
+              <svg viewBox="0 0 24 24">
+                <path d="M3 20l6-10 4 6 3-4 5 8z" />
+              </svg>
+            </button>
+            <button
+              className={`tool-btn ${activeTool === 'design' ? 'active' : ''}`}
+              onClick={() => setActiveTool('design')}
+              title="Place Designed Organism"
+            >
+              <svg viewBox="0 0 24 24">
+                <path d="M7 3c0 6 10 6 10 9s-10 3-10 9M17 3c0 6-10 6-10 9s10 3 10 9M9 7h6M9 17h6" />
+              </svg>
+            </button>
+
+            {/* Terrain brushes; plain ground erases */}
+            {activeTool === 'terrain' && Object.entries(TERRAIN_TYPES).map(([name, type]) => (
+              <button
+                key={name}
+                className={`terrain-swatch ${terrainBrush === name ? 'active' : ''}`}
+                style={{ background: type.color || 'transparent' }}
+                onClick={() => setTerrainBrush(name)}
+                title={type.passable
+                  ? `${type.label}: movement x${type.movementCost}, food x${type.foodGrowth}`
+                  : `${type.label}: impassable`}
+              >
+                {type.label.slice(0, 2)}
+              </button>
+            ))}
           </div>
         </aside>
 
@@ -339,7 +983,11 @@ function SimulationPage({ onExit }) {
                 <span className="icon">{isRunning ? '' : ''}</span>
                 <span className="label">{isRunning ? 'Pause' : 'Start'}</span>
               </button>
-              <button className="control-btn" onClick={handleNextGen} disabled={isRunning}>
+              <button
+                className="control-btn"
+                onClick={handleNextGen}
+                disabled={isRunning || controls.mode === MODE.CONTINUOUS}
+              >
                 <span className="label">Next Generation</span>
               </button>
             </div>
@@ -347,18 +995,147 @@ function SimulationPage({ onExit }) {
             <div className="generation-display">
               <span className="gen-label">Generation</span>
               <span className="gen-value">{generation}</span>
+              {controls.mode === MODE.CONTINUOUS && (
+                <>
+                  <span className="gen-label">Frame</span>
+                  <span className="gen-value">{frame}</span>
+                </>
+              )}
+            </div>
+
+            <div className="seed-control">
+              <label className="gen-label" htmlFor="seed-input">Seed</label>
+              <input
+                id="seed-input"
+                className="seed-input"
+                type="text"
+                value={seedInput}
+                onChange={e => setSeedInput(e.target.value)}
+                onKeyDown={e => e.key === 'Enter' && handleReset()}
+                title="Same seed + same interventions = identical run"
+              />
+              <button className="control-btn secondary" onClick={handleNewSeed} title="Reset with a new random seed">
+                🎲
+              </button>
             </div>
 
             <div className="control-group">
-              <button className="control-btn secondary" onClick={handleReset}>Reset</button>
+              <button
+                className="control-btn secondary"
+                onClick={() => setChoosingScenario(true)}
+                title="Start from a preset, or import or export a scenario file"
+              >
+                Scenario
+              </button>
+              <button
+                className="control-btn secondary"
+                onClick={handleCopyLink}
+                disabled={importedScenario}
+                title={importedScenario ? 'Imported scenarios are shared by exporting them' : 'Copy a link that opens this scenario'}
+              >
+                {linkCopied ? 'Copied' : 'Share'}
+              </button>
+              <button className="control-btn secondary" onClick={handleSaveSnapshot} title="Download a snapshot of this run">
+                Save
+              </button>
+              <button
+                className="control-btn secondary"
+                onClick={() => snapshotInputRef.current.click()}
+                title="Restore a run from a snapshot file"
+              >
+                Load
+              </button>
+              <input
+                ref={snapshotInputRef}
+                type="file"
+                accept="application/json,.json"
+                hidden
+                onChange={handleLoadSnapshot}
+              />
+              <button className="control-btn secondary" onClick={() => handleReset()}>Reset</button>
               <button className="control-btn secondary" onClick={onExit}>Exit</button>
             </div>
           </div>
 
           <div className="canvas-container">
-            <canvas ref={canvasRef} id="simulation-canvas" onClick={handleCanvasClick}></canvas>
+            <canvas
+              ref={canvasRef}
+              id="simulation-canvas"
+              onClick={handleCanvasClick}
+              onMouseDown={handleCanvasMouseDown}
+              onMouseMove={handleCanvasMouseMove}
+              onMouseUp={handleCanvasMouseUp}
+              onMouseLeave={handleCanvasMouseUp}
+            ></canvas>
           </div>
 
+          {/* Comparison: every compared run side by side */}
+          {view?.comparison && (
+            <div className="run-views">
+              {view.comparison.runs.map(({ label, summary }, index) => (
+                <button
+                  key={index}
+                  className={`island-view ${index === view.comparison.focused ? 'active' : ''}`}
+                  onClick={() => handleFocusRun(index)}
+                  title="Show this run on the main canvas"
+                >
+                  <canvas
+                    ref={canvas => { runViewRefs.current[index] = canvas; }}
+                    width={RUN_VIEW_WIDTH}
+                    height={RUN_VIEW_HEIGHT}
+                  ></canvas>
+                  <span className="island-name">
+                    <span className="species-swatch" style={{ background: RUN_COLORS[index] }}></span>
+                    {label}
+                  </span>
+                  <span className="island-trait">
+                    {summary.population} alive · best fitness {summary.bestFitness}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Replay: scrub back through the recorded run */}
+          {view?.history && (
+            <div className="history-scrubber">
+              <button
+                className="control-btn secondary"
+                onClick={() => handleSeek({ generation: generation - 1 })}
+                disabled={generation === 0}
+                title="Previous generation"
+              >
+                ◀
+              </button>
+              <input
+                type="range"
+                className="slider"
+                min={view.history.start}
+                max={view.history.end}
+                value={frame}
+                disabled={view.history.end === view.history.start}
+                onChange={e => handleSeek({ frame: parseInt(e.target.value) })}
+                title="Drag back to replay an earlier moment"
+              />
+              <button
+                className="control-btn secondary"
+                onClick={() => handleSeek({ generation: generation + 1 })}
+                disabled={!view.history.replaying}
+                title="Next generation"
+              >
+                ▶
+              </button>
+              <span className="history-position">
+                {view.history.replaying ? 'Replaying' : 'Live'} · frame {frame} of {view.history.end}
+              </span>
+              {view.history.replaying && (
+                <button className="control-btn secondary" onClick={handleBranch} title="Drop the recorded future and continue from here">
+                  Branch here
+                </button>
+              )}
+            </div>
+          )}
+
           <div className="intervention-controls">
             <div className="control-panel">
               <div className="control-item">
@@ -387,10 +1164,93 @@ function SimulationPage({ onExit }) {
                   min="0"
                   max="100"
                   value={controls.selectionPressure}
+                  disabled={!SELECTION_STRATEGIES[controls.selectionStrategy].usesPressure}
+                  title={SELECTION_STRATEGIES[controls.selectionStrategy].usesPressure
+                    ? 'Share of each generation allowed to breed'
+                    : 'Only used by truncation selection'}
                   onChange={e => handleControlChange('selectionPressure', parseInt(e.target.value))}
                 />
               </div>
 
+              <div className="control-item">
+                <label className="control-label" htmlFor="selection-strategy">
+                  <span>Selection Strategy</span>
+                </label>
+                <select
+                  id="selection-strategy"
+                  className="select"
+                  value={controls.selectionStrategy}
+                  onChange={e => handleControlChange('selectionStrategy', e.target.value)}
+                >
+                  {Object.entries(SELECTION_STRATEGIES).map(([name, strategy]) => (
+                    <option key={name} value={name}>{strategy.label}</option>
+                  ))}
+                </select>
+                <div className="control-inline">
+                  {controls.selectionStrategy === 'tournament' && (
+                    <label className="control-label">
+                      <span>Tournament size</span>
+                      <input
+                        type="number"
+                        className="number-input"
+                        min="1"
+                        max="10"
+                        value={controls.tournamentSize}
+                        onChange={e => handleControlChange('tournamentSize', Math.max(1, parseInt(e.target.value) || 1))}
+                      />
+                    </label>
+                  )}
+                  <label className="control-label" title="Best genomes copied unchanged into the next generation">
+                    <span>Elitism</span>
+                    <input
+                      type="number"
+                      className="number-input"
+                      min="0"
+                      max="10"
+                      value={controls.elitism}
+                      onChange={e => handleControlChange('elitism', Math.max(0, parseInt(e.target.value) || 0))}
+                    />
+                  </label>
+                </div>
+              </div>
+
+              <div className="control-item">
+                <label className="control-label" htmlFor="fitness-select">
+                  <span>Fitness Function</span>
+                </label>
+                <select
+                  id="fitness-select"
+                  className="select"
+                  value={controls.fitnessFunction}
+                  title="What the run selects for"
+                  onChange={e => handleControlChange('fitnessFunction', e.target.value)}
+                >
+                  {Object.entries(FITNESS_FUNCTIONS).map(([name, fitness]) => (
+                    <option key={name} value={name}>{fitness.label}</option>
+                  ))}
+                </select>
+                {FITNESS_FUNCTIONS[controls.fitnessFunction]?.usesWeights && (
+                  <div className="control-inline wrap">
+                    {Object.keys(DEFAULT_FITNESS_WEIGHTS).map(key => (
+                      <label key={key} className="control-label">
+                        <span>{key}</span>
+                        <input
+                          type="number"
+                          className="number-input"
+                          min="0"
+                          step="any"
+                          value={controls.fitnessWeights[key]}
+                          onChange={e => handleControlChange('fitnessWeights', {
+                            ...controls.fitnessWeights,
+                            [key]: Math.max(0, parseFloat(e.target.value) || 0)
+                          })}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+
               <div className="control-item">
                 <label className="control-label">
                   <span>Food Abundance</span>
@@ -420,32 +1280,180 @@ function SimulationPage({ onExit }) {
                   onChange={e => handleControlChange('simSpeed', parseInt(e.target.value))}
                 />
               </div>
+
+              <div className="control-item">
+                <label className="control-label" htmlFor="mode-select">
+                  <span>Evolution Mode</span>
+                </label>
+                <select
+                  id="mode-select"
+                  className="select"
+                  value={controls.mode}
+                  onChange={e => handleModeChange(e.target.value)}
+                  title="Changing the mode restarts the run"
+                >
+                  <option value={MODE.GENERATIONAL}>Generations</option>
+                  <option value={MODE.CONTINUOUS}>Continuous (overlapping)</option>
+                </select>
+              </div>
+
+              <div className="control-item">
+                <label className="control-label" htmlFor="islands-select">
+                  <span>Islands</span>
+                </label>
+                <select
+                  id="islands-select"
+                  className="select"
+                  value={controls.islands}
+                  onChange={e => handleIslandsChange(parseInt(e.target.value))}
+                  title="Changing the number of islands restarts the run"
+                >
+                  {Array.from({ length: MAX_ISLANDS }, (_, i) => i + 1).map(count => (
+                    <option key={count} value={count}>
+                      {count === 1 ? 'One population' : `${count} islands`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="control-item">
+                <label className="control-label" htmlFor="steering-select">
+                  <span>Steering</span>
+                </label>
+                <select
+                  id="steering-select"
+                  className="select"
+                  value={controls.brains ? 'brains' : 'built-in'}
+                  onChange={e => handleBrainsChange(e.target.value === 'brains')}
+                  title="Changing the steering restarts the run"
+                >
+                  <option value="built-in">Built-in behaviour</option>
+                  <option value="brains">Evolved neural networks</option>
+                </select>
+              </div>
+
+              <div className="control-item">
+                <label className="control-label" htmlFor="boundary-select">
+                  <span>World Edges</span>
+                </label>
+                <select
+                  id="boundary-select"
+                  className="select"
+                  value={controls.boundary}
+                  onChange={e => handleControlChange('boundary', e.target.value)}
+                >
+                  <option value={BOUNDARY.WRAP}>Wrap around</option>
+                  <option value={BOUNDARY.WALLS}>Solid walls</option>
+                  <option value={BOUNDARY.LETHAL}>Lethal</option>
+                </select>
+              </div>
+
+              <div className="control-item">
+                <label className="control-label" htmlFor="mating-select">
+                  <span>Mating</span>
+                </label>
+                <select
+                  id="mating-select"
+                  className="select"
+                  value={controls.assortativeMating ? 'species' : 'any'}
+                  onChange={e => handleControlChange('assortativeMating', e.target.value === 'species')}
+                >
+                  <option value="any">Any partner</option>
+                  <option value="species">Same species only</option>
+                </select>
+              </div>
+
+              <div className="control-item">
+                <label className="control-label" htmlFor="color-select">
+                  <span>Colour By</span>
+                </label>
+                <select
+                  id="color-select"
+                  className="select"
+                  value={controls.colorBy}
+                  onChange={e => handleControlChange('colorBy', e.target.value)}
+                >
+                  <option value="genome">Genome</option>
+                  <option value="species">Species</option>
+                </select>
+              </div>
             </div>
 
             <div className="event-buttons">
-              <button className="event-btn" onClick={() => handleEvent('meteor')}>
-                <span className="event-icon">☄️</span>
-                <span>Meteor Strike</span>
-              </button>
-              <button className="event-btn" onClick={() => handleEvent('ice-age')}>
-                <span className="event-icon">❄️</span>
-                <span>Ice Age</span>
-              </button>
-              <button className="event-btn" onClick={() => handleEvent('abundance')}>
-                <span className="event-icon">🌱</span>
-                <span>Resource Boom</span>
-              </button>
-              <button className="event-btn" onClick={() => handleEvent('plague')}>
-                <span className="event-icon">☣️</span>
-                <span>Plague</span>
-              </button>
+              {Object.entries(EVENT_TYPES).map(([type, { icon, label }]) => (
+                <button key={type} className="event-btn" onClick={() => handleEvent(type)}>
+                  <span className="event-icon">{icon}</span>
+                  <span>{label}</span>
+                </button>
+              ))}
             </div>
+
+            {/* Countdown for events still in effect */}
+            {view?.activeEvents.length > 0 && (
+              <div className="active-events">
+                {view.activeEvents.map(event => (
+                  <span key={event.id} className="active-event" title={`Intensity ${event.intensity}`}>
+                    {eventInfo(event.type).icon} {eventInfo(event.type).label}
+                    <span className="active-event-countdown">{event.remaining}</span>
+                  </span>
+                ))}
+              </div>
+            )}
           </div>
         </main>
 
         {/* Right Sidebar */}
         <aside className="sidebar right-sidebar">
           <div className="data-panels">
+            {/* Organism Designer */}
+            {activeTool === 'design' && (
+              <div className="data-panel">
+                <h3 className="panel-title">Design Organism</h3>
+                <span className="graph-caption">Click the world to place one</span>
+                <select
+                  className="select"
+                  value={design.diet}
+                  onChange={e => setDesign(current => ({ ...current, diet: e.target.value }))}
+                >
+                  <option value={DIET.HERBIVORE}>Herbivore</option>
+                  <option value={DIET.CARNIVORE}>Carnivore</option>
+                </select>
+                <GeneEditor genes={design.genes} onChange={handleDesignGene} />
+                <div className="genome-editor">
+                  <button
+                    className="genome-btn"
+                    onClick={() => setDesign({ genes: { ...selected.genome.genes }, diet: selected.genome.diet })}
+                    disabled={!selected}
+                  >
+                    Copy Selected
+                  </button>
+                  <button className="genome-btn" onClick={() => setDesign(defaultDesign())}>Reset</button>
+                </div>
+              </div>
+            )}
+
+            {/* Islands */}
+            {view?.islands && (
+              <IslandsPanel
+                islands={view.islands}
+                viewRefs={islandViewRefs}
+                migrationRate={controls.migrationRate}
+                topology={controls.topology}
+                onFocus={handleFocusIsland}
+                onMigrationChange={handleMigrationChange}
+              />
+            )}
+
+            {/* Comparison */}
+            <ComparisonPanel
+              comparison={view?.comparison ?? null}
+              stats={view?.comparisonStats ?? null}
+              setup={comparisonSetup}
+              onSetupChange={handleComparisonSetup}
+              onStart={handleStartComparison}
+              onStop={handleStopComparison}
+            />
+
             {/* Statistics Panel */}
             <div className="data-panel">
               <h3 className="panel-title">Population Stats</h3>
@@ -466,82 +1474,612 @@ function SimulationPage({ onExit }) {
                   <span className="stat-label">Food Available</span>
                   <span className="stat-value">{stats.foodCount}</span>
                 </div>
+                <div className="stat-item">
+                  <span className="stat-label" title="Typical genetic distance between two organisms">Diversity</span>
+                  <span className="stat-value">{stats.diversity}%</span>
+                </div>
+              </div>
+              {lastSample && (
+                <span className="graph-caption">
+                  Last {controls.mode === MODE.CONTINUOUS ? 'sample' : 'generation'}: {lastSample.births} born ·
+                  {' '}{lastSample.deaths} died · {lastSample.foodConsumed} eaten
+                </span>
+              )}
+            </div>
+
+            {/* Trophic Levels */}
+            <div className="data-panel">
+              <h3 className="panel-title">Food Web</h3>
+              <div className="stat-items">
+                <div className="stat-item">
+                  <span className="stat-label">Herbivores</span>
+                  <span className="stat-value herbivore">{stats.herbivores}</span>
+                </div>
+                <div className="stat-item">
+                  <span className="stat-label">Carnivores</span>
+                  <span className="stat-value carnivore">{stats.carnivores}</span>
+                </div>
               </div>
+              <span className="graph-caption">
+                {controls.mode === MODE.CONTINUOUS ? 'Population over time' : 'Survivors per generation'}
+              </span>
+              <canvas ref={trophicPopulationRef} className="data-canvas compact" width="268" height="80"></canvas>
+              <span className="graph-caption">Average fitness</span>
+              <canvas ref={trophicFitnessRef} className="data-canvas compact" width="268" height="80"></canvas>
+            </div>
+
+            {/* History of every tracked statistic */}
+            <div className="data-panel">
+              <h3 className="panel-title">Over Time</h3>
+              <span className="graph-caption">
+                Fitness scored by {FITNESS_FUNCTIONS[controls.fitnessFunction]?.label ?? controls.fitnessFunction}
+              </span>
+              <StatsChart stats={history} eventIcon={type => eventInfo(type).icon} />
             </div>
 
-            {/* Fitness Graph */}
+            {/* Timeline */}
             <div className="data-panel">
-              <h3 className="panel-title">Fitness Over Time</h3>
-              <canvas ref={fitnessGraphRef} className="data-canvas" width="268" height="150"></canvas>
+              <h3 className="panel-title">Timeline</h3>
+              <div className="control-item">
+                <label className="control-label">
+                  <span>Season swing</span>
+                  <span className="control-value">±{controls.seasonAmplitude}%</span>
+                </label>
+                <input
+                  type="range"
+                  className="slider"
+                  min="0"
+                  max="100"
+                  value={controls.seasonAmplitude}
+                  onChange={e => handleControlChange('seasonAmplitude', parseInt(e.target.value))}
+                />
+                <div className="control-inline">
+                  <label className="control-label" title="Frames per full cycle">
+                    <span>Period</span>
+                    <input
+                      type="number"
+                      className="number-input wide"
+                      min="100"
+                      step="100"
+                      value={controls.seasonPeriod}
+                      onChange={e => handleControlChange('seasonPeriod', Math.max(100, parseInt(e.target.value) || 100))}
+                    />
+                  </label>
+                  <label className="control-label" title="Food change per 1000 frames, % of base">
+                    <span>Drift</span>
+                    <input
+                      type="number"
+                      className="number-input"
+                      step="1"
+                      value={controls.driftRate}
+                      onChange={e => handleControlChange('driftRate', parseFloat(e.target.value) || 0)}
+                    />
+                  </label>
+                </div>
+              </div>
+              <span className="graph-caption">
+                Food level now ×{(view?.world.abundanceModifier ?? 1).toFixed(2)}
+              </span>
+
+              <ul className="timeline-events">
+                {(view?.timeline.events || []).map(event => (
+                  <li key={event.id} className={event.fired ? 'fired' : undefined}>
+                    <span>
+                      {eventInfo(event.type).icon} {eventInfo(event.type).label}
+                      {event.generation !== null ? ` · gen ${event.generation}` : ` · frame ${event.frame}`}
+                    </span>
+                    <button className="timeline-remove" onClick={() => handleRemoveTimelineEvent(event.id)} title="Remove">
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <div className="control-inline wrap">
+                <select
+                  className="select compact"
+                  value={newEvent.type}
+                  onChange={e => setNewEvent(prev => ({ ...prev, type: e.target.value }))}
+                >
+                  {Object.entries(EVENT_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+                </select>
+                <select
+                  className="select compact"
+                  value={newEvent.unit}
+                  onChange={e => setNewEvent(prev => ({ ...prev, unit: e.target.value }))}
+                >
+                  <option value="generation">at generation</option>
+                  <option value="frame">at frame</option>
+                </select>
+                <input
+                  type="number"
+                  className="number-input wide"
+                  min="0"
+                  value={newEvent.at}
+                  onChange={e => setNewEvent(prev => ({ ...prev, at: e.target.value }))}
+                />
+                <button className="genome-btn" onClick={handleAddTimelineEvent}>Schedule</button>
+              </div>
             </div>
 
             {/* Trait Distribution */}
             <div className="data-panel">
               <h3 className="panel-title">Trait Averages</h3>
               <div className="trait-bars">
-                <div className="trait-bar-item">
-                  <span className="trait-bar-label">Speed</span>
-                  <div className="trait-bar-bg">
-                    <div className="trait-bar-fill" style={{ width: `${(parseFloat(stats.avgSpeed) / 6) * 100}%` }}></div>
-                  </div>
-                  <span className="trait-bar-value">{stats.avgSpeed}</span>
-                </div>
-                <div className="trait-bar-item">
-                  <span className="trait-bar-label">Vision</span>
-                  <div className="trait-bar-bg">
-                    <div className="trait-bar-fill" style={{ width: `${(parseInt(stats.avgVision) / 150) * 100}%` }}></div>
-                  </div>
-                  <span className="trait-bar-value">{stats.avgVision}</span>
-                </div>
-                <div className="trait-bar-item">
-                  <span className="trait-bar-label">Size</span>
-                  <div className="trait-bar-bg">
-                    <div className="trait-bar-fill" style={{ width: `${(parseFloat(stats.avgSize) / 20) * 100}%` }}></div>
-                  </div>
-                  <span className="trait-bar-value">{stats.avgSize}</span>
-                </div>
-                <div className="trait-bar-item">
-                  <span className="trait-bar-label">Efficiency</span>
-                  <div className="trait-bar-bg">
-                    <div className="trait-bar-fill" style={{ width: `${parseFloat(stats.avgEfficiency) * 100}%` }}></div>
-                  </div>
-                  <span className="trait-bar-value">{stats.avgEfficiency}</span>
-                </div>
+                {GENE_SCHEMA.map(gene => {
+                  const value = stats[traitStatKey(gene.name)];
+                  const fraction = Math.min(1, Math.max(0, geneFraction(gene.name, parseFloat(value))));
+                  return (
+                    <div key={gene.name} className="trait-bar-item" title={`${gene.min}-${gene.max} ${gene.unit}`.trim()}>
+                      <span className="trait-bar-label">{gene.label}</span>
+                      <div className="trait-bar-bg">
+                        <div className="trait-bar-fill" style={{ width: `${fraction * 100}%` }}></div>
+                      </div>
+                      <span className="trait-bar-value">{value}</span>
+                    </div>
+                  );
+                })}
               </div>
             </div>
 
+            {/* Trait Histogram */}
+            <div className="data-panel">
+              <h3 className="panel-title">Trait Histogram</h3>
+              <div className="control-inline">
+                <select
+                  className="select compact"
+                  value={histogramGene}
+                  onChange={e => setHistogramGene(e.target.value)}
+                >
+                  {GENE_SCHEMA.map(gene => <option key={gene.name} value={gene.name}>{gene.label}</option>)}
+                </select>
+                <span className="graph-caption">
+                  {GENES[histogramGene].min}-{GENES[histogramGene].max} {GENES[histogramGene].unit}
+                </span>
+              </div>
+              <canvas ref={histogramRef} className="data-canvas compact" width="268" height="80"></canvas>
+              {distribution && (
+                <span className="graph-caption">
+                  min {formatGene(distribution.min)} · median {formatGene(distribution.median)} ·
+                  max {formatGene(distribution.max)} · sd {formatGene(distribution.stddev)}
+                </span>
+              )}
+            </div>
+
+            {/* Parameter sweep results */}
+            <div className="data-panel">
+              <h3 className="panel-title">Parameter Sweep</h3>
+              <span className="graph-caption">
+                {sweep ? sweep.name : 'Results saved as JSON by npm run sweep'}
+              </span>
+              {sweep && <SweepHeatmap key={Object.keys(sweep.result.ranges).join()} result={sweep.result} />}
+              <div className="genome-editor">
+                <button className="genome-btn" onClick={() => sweepInputRef.current.click()}>Open Results</button>
+                {sweep && <button className="genome-btn" onClick={() => setSweep(null)}>Close</button>}
+              </div>
+              <input
+                ref={sweepInputRef}
+                type="file"
+                accept="application/json,.json"
+                hidden
+                onChange={handleOpenSweep}
+              />
+            </div>
+
+            {/* Species */}
+            {view && (
+              <SpeciesPanel
+                species={view.species}
+                extinct={view.extinctSpecies}
+                threshold={controls.speciesThreshold}
+                onThresholdChange={value => handleControlChange('speciesThreshold', value)}
+              />
+            )}
+
             {/* Selected Organism */}
-            {selectedOrganism && (
+            {selected && (
               <div className="data-panel">
                 <h3 className="panel-title">Selected Organism</h3>
                 <div className="stat-items">
                   <div className="stat-item">
                     <span className="stat-label">Energy</span>
-                    <span className="stat-value">{selectedOrganism.energy.toFixed(0)}</span>
+                    <span className="stat-value">{selected.energy.toFixed(0)}</span>
                   </div>
                   <div className="stat-item">
                     <span className="stat-label">Food</span>
-                    <span className="stat-value">{selectedOrganism.foodCollected}</span>
+                    <span className="stat-value">{selected.foodCollected}</span>
                   </div>
                   <div className="stat-item">
                     <span className="stat-label">Age</span>
-                    <span className="stat-value">{selectedOrganism.age}</span>
+                    <span className="stat-value">{selected.age}</span>
                   </div>
                   <div className="stat-item">
                     <span className="stat-label">Fitness</span>
-                    <span className="stat-value">{selectedOrganism.fitness.toFixed(1)}</span>
+                    <span className="stat-value">{selected.fitness.toFixed(1)}</span>
+                  </div>
+                  <div className="stat-item">
+                    <span className="stat-label">Species</span>
+                    <span className="stat-value">
+                      {selected.speciesId !== null ? `#${selected.speciesId}` : '—'}
+                    </span>
                   </div>
                 </div>
                 <div className="genome-editor">
-                  <button className="genome-btn" onClick={handleCloneSelected}>Clone</button>
-                  <button className="genome-btn" onClick={handleMutateSelected}>Mutate</button>
-                  <button className="genome-btn danger" onClick={handleEliminateSelected}>Eliminate</button>
+                  <button className="genome-btn" onClick={() => handleIntervention('clone')}>Clone</button>
+                  <button className="genome-btn" onClick={() => handleIntervention('mutate')}>Mutate</button>
+                  <button className="genome-btn danger" onClick={() => handleIntervention('eliminate')}>Eliminate</button>
                 </div>
+                <GeneEditor genes={selected.genome.genes} onChange={handleGeneEdit} />
               </div>
             )}
+
+            {/* Brain */}
+            {selected?.genome.brain && (
+              <div className="data-panel">
+                <h3 className="panel-title">Brain</h3>
+                <span className="graph-caption">
+                  {selected.genome.brain.hiddenSize} hidden neurons · live activations
+                </span>
+                <canvas ref={brainRef} className="data-canvas" width="268" height="150"></canvas>
+              </div>
+            )}
+
+            {/* Family Tree */}
+            {selected && (
+              <FamilyTreePanel
+                tree={selected.familyTree}
+                organism={selected}
+                canvasRef={familyTreeRef}
+              />
+            )}
           </div>
         </aside>
       </div>
+
+      {choosingScenario && (
+        <ScenarioPicker
+          active={activeScenario}
+          onPick={handlePickScenario}
+          onImport={handleImportScenario}
+          onExport={handleExportScenario}
+          onClose={() => setChoosingScenario(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+// Presets to start from, and scenario files to import or export. Shown on
+// entry and from the Scenario button; closing it keeps the current run.
+function ScenarioPicker({ active, onPick, onImport, onExport, onClose }) {
+  const inputRef = useRef(null);
+
+  return (
+    <div className="scenario-picker" onClick={e => e.target === e.currentTarget && onClose()}>
+      <div className="scenario-dialog">
+        <h3 className="panel-title">Choose a Scenario</h3>
+        <div className="scenario-list">
+          {SCENARIO_PRESETS.map(preset => (
+            <button
+              key={preset.id}
+              className={`scenario-card ${active?.id === preset.id ? 'active' : ''}`}
+              onClick={() => onPick(preset)}
+            >
+              <span className="scenario-name">{preset.name}</span>
+              <span className="scenario-description">{preset.description}</span>
+            </button>
+          ))}
+        </div>
+        <div className="genome-editor">
+          <button className="genome-btn" onClick={() => inputRef.current.click()} title="Start from a scenario file">
+            Import File
+          </button>
+          <button className="genome-btn" onClick={onExport} title="Download the setup of the current run as a scenario file">
+            Export Current
+          </button>
+          <button className="genome-btn" onClick={onClose}>Keep Current Run</button>
+        </div>
+        <input ref={inputRef} type="file" accept="application/json,.json" hidden onChange={onImport} />
+      </div>
+    </div>
+  );
+}
+
+// Slider and exact value for every gene. Typed values are applied on Enter or
+// when the field loses focus.
+function GeneEditor({ genes, onChange }) {
+  return (
+    <div className="gene-editor">
+      {GENE_SCHEMA.map(gene => {
+        const shown = genes[gene.name].toFixed(gene.precision);
+        const step = 10 ** -gene.precision;
+        const commit = (e) => {
+          const value = parseFloat(e.target.value);
+          if (Number.isFinite(value)) {
+            onChange(gene.name, clampGene(gene.name, value));
+          } else {
+            e.target.value = shown;
+          }
+        };
+        return (
+          <label key={gene.name} className="gene-editor-row" title={`${gene.min}-${gene.max} ${gene.unit}`}>
+            <span className="trait-bar-label">{gene.label}</span>
+            <input
+              type="range"
+              className="slider"
+              min={gene.min}
+              max={gene.max}
+              step={step}
+              value={genes[gene.name]}
+              onChange={e => onChange(gene.name, Number(e.target.value))}
+            />
+            <input
+              key={shown}
+              type="number"
+              className="number-input"
+              min={gene.min}
+              max={gene.max}
+              step={step}
+              defaultValue={shown}
+              onBlur={commit}
+              onKeyDown={e => { if (e.key === 'Enter') commit(e); }}
+            />
+          </label>
+        );
+      })}
+    </div>
+  );
+}
+
+// Thumbnail and trait averages per island; clicking an island puts it on the main canvas
+function IslandsPanel({ islands, viewRefs, migrationRate, topology, onFocus, onMigrationChange }) {
+  return (
+    <div className="data-panel">
+      <h3 className="panel-title">Islands</h3>
+      <span className="graph-caption">
+        Divergence {(islands.divergence * 100).toFixed(1)}% · {islands.migrants > 0
+          ? `${islands.migrants} migrants so far`
+          : 'no migration yet'}
+      </span>
+
+      <div className="control-item">
+        <label className="control-label">
+          <span>Migration Rate</span>
+          <span className="control-value">{migrationRate}%</span>
+        </label>
+        <input
+          type="range"
+          className="slider"
+          min="0"
+          max="50"
+          value={migrationRate}
+          onChange={e => onMigrationChange('migrationRate', parseInt(e.target.value))}
+        />
+      </div>
+      <div className="control-inline">
+        <span className="control-label">Topology</span>
+        <select
+          className="select compact"
+          value={topology}
+          onChange={e => onMigrationChange('topology', e.target.value)}
+        >
+          <option value={TOPOLOGY.RING}>Ring</option>
+          <option value={TOPOLOGY.FULL}>Fully connected</option>
+        </select>
+      </div>
+
+      <div className="island-grid">
+        {islands.list.map(({ summary }, index) => (
+          <button
+            key={index}
+            className={`island-view ${index === islands.focused ? 'active' : ''}`}
+            onClick={() => onFocus(index)}
+            title="Show this island"
+          >
+            <canvas
+              ref={canvas => { viewRefs.current[index] = canvas; }}
+              width={ISLAND_VIEW_WIDTH}
+              height={ISLAND_VIEW_HEIGHT}
+            ></canvas>
+            <span className="island-name">Island {index + 1} · {summary.population}</span>
+            {GENE_SCHEMA.map(gene => (
+              <span key={gene.name} className="island-trait">
+                {gene.label} {summary[traitStatKey(gene.name)]}
+              </span>
+            ))}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Comparison setup, or the compared runs' progress towards the target fitness
+// with their curves overlaid
+function ComparisonPanel({ comparison, stats, setup, onSetupChange, onStart, onStop }) {
+  const runs = comparison?.runs.map((run, index) => ({ ...run, color: RUN_COLORS[index] }));
+  const reachedAt = ({ frame, generation }) => generation !== null ? `gen ${generation}` : `frame ${frame}`;
+
+  let verdict = 'No target fitness set';
+  if (comparison && comparison.targetFitness !== null) {
+    const { leaders, targetFitness } = comparison;
+    verdict = leaders.length === 0
+      ? `No run has reached ${targetFitness} yet`
+      : `${leaders.map(index => runs[index].label).join(' and ')} reached ${targetFitness} first (${reachedAt(runs[leaders[0]].reached)})`;
+  }
+
+  return (
+    <div className="data-panel">
+      <h3 className="panel-title">Compare</h3>
+      {comparison ? (
+        <>
+          <span className="graph-caption">{verdict}</span>
+          <ul className="timeline-events">
+            {runs.map(({ label, color, reached }, index) => (
+              <li key={index}>
+                <span>
+                  <span className="species-swatch" style={{ background: color }}></span>
+                  {label}
+                </span>
+                <span>{reached ? reachedAt(reached) : '—'}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <>
+          <span className="graph-caption">Same seed and settings, one run per value</span>
+          <div className="control-inline">
+            <select
+              className="select compact"
+              value={setup.parameter}
+              onChange={e => onSetupChange('parameter', e.target.value)}
+            >
+              {Object.entries(COMPARED_PARAMETERS).map(([name, { label, percent }]) => (
+                <option key={name} value={name}>{label}{percent ? ' (%)' : ''}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              className="number-input wide"
+              value={setup.values}
+              onChange={e => onSetupChange('values', e.target.value)}
+              title={`Up to ${MAX_COMPARED_RUNS} values, separated by commas`}
+            />
+          </div>
+        </>
+      )}
+
+      <div className="control-inline">
+        <label className="control-label" title="Best fitness the runs race to; leave empty for none">
+          <span>Target fitness</span>
+          <input
+            type="number"
+            className="number-input wide"
+            value={setup.targetFitness}
+            onChange={e => onSetupChange('targetFitness', e.target.value)}
+          />
+        </label>
+      </div>
+      <div className="genome-editor">
+        {comparison
+          ? <button className="genome-btn" onClick={onStop}>Stop Comparing</button>
+          : <button className="genome-btn" onClick={onStart}>Compare</button>}
+      </div>
+
+      {comparison && stats && (
+        <ComparisonChart runs={runs} stats={stats} targetFitness={comparison.targetFitness} />
+      )}
+    </div>
+  );
+}
+
+// Living species, largest first, with the distance that separates them
+function SpeciesPanel({ species, extinct, threshold, onThresholdChange }) {
+  return (
+    <div className="data-panel">
+      <h3 className="panel-title">Species</h3>
+      <span className="graph-caption">
+        {species.length} living · {extinct} extinct
+      </span>
+
+      <div className="control-item">
+        <label className="control-label">
+          <span>Split Distance</span>
+          <span className="control-value">{threshold}%</span>
+        </label>
+        <input
+          type="range"
+          className="slider"
+          min="5"
+          max="40"
+          value={threshold}
+          onChange={e => onThresholdChange(parseInt(e.target.value))}
+          title="Genetic distance from a species' centre at which a new species is founded"
+        />
+      </div>
+
+      <table className="lineage-table">
+        <thead>
+          <tr>
+            <th>Species</th>
+            <th>Members</th>
+            <th>Since</th>
+            <th>From</th>
+          </tr>
+        </thead>
+        <tbody>
+          {species.slice(0, SPECIES_SHOWN).map(record => (
+            <tr key={record.id}>
+              <td>
+                <span className="species-swatch" style={{ background: hsl(record.color) }}></span>
+                #{record.id}{record.diet === DIET.CARNIVORE && ' · predator'}
+              </td>
+              <td>{record.size}</td>
+              <td>Gen {record.founded.generation}</td>
+              <td>{record.parentId !== null ? `#${record.parentId}` : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {species.length > SPECIES_SHOWN && (
+        <span className="graph-caption">and {species.length - SPECIES_SHOWN} smaller species</span>
+      )}
+    </div>
+  );
+}
+
+// Ancestry canvas plus a table of where each of the organism's genes came from
+function FamilyTreePanel({ tree, organism, canvasRef }) {
+  const parents = tree ? tree.parents.map(node => node?.record || null) : [];
+  const { genes, inheritance } = organism.genome;
+
+  return (
+    <div className="data-panel">
+      <h3 className="panel-title">Family Tree</h3>
+      <span className="graph-caption">
+        Generation {organism.generation}
+        {organism.parentIds.length === 0 && ' · founder'}
+        {organism.parentIds.length === 1 && ' · clone'}
+      </span>
+      <canvas ref={canvasRef} className="data-canvas" width="268" height="160"></canvas>
+
+      {parents.length > 0 && (
+        <table className="lineage-table">
+          <thead>
+            <tr>
+              <th>Gene</th>
+              <th>Value</th>
+              {parents.map((parent, i) => (
+                <th key={i} style={{ color: PARENT_COLORS[i] }}>Parent {i === 0 ? 'A' : 'B'}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.keys(genes).map(gene => {
+              const source = inheritance?.[gene] ?? null;
+              const sourceValue = parents[source]?.genes[gene];
+              const mutated = sourceValue !== undefined && sourceValue !== genes[gene];
+              return (
+                <tr key={gene}>
+                  <td>{GENES[gene]?.label ?? gene}</td>
+                  <td title={mutated ? 'Changed by mutation' : undefined}>
+                    {genes[gene].toFixed(2)}{mutated && '*'}
+                  </td>
+                  {parents.map((parent, i) => (
+                    <td
+                      key={i}
+                      className={source === i ? 'inherited' : undefined}
+                      style={source === i ? { borderColor: PARENT_COLORS[i] } : undefined}
+                    >
+                      {parent ? parent.genes[gene].toFixed(2) : '—'}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 }
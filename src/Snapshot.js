@@ -0,0 +1,254 @@
+/**
+ * SIMULATION SNAPSHOTS
+ * Versioned save format for a full run, plus migrations for older versions
+ */
+
+export const SNAPSHOT_FORMAT = 'evolution-simulation-snapshot';
+export const SNAPSHOT_VERSION = 15;
+
+// Each migration upgrades a snapshot from version N to N + 1.
+// When the format changes, bump SNAPSHOT_VERSION and add an entry here
+// so files saved by older builds keep loading.
+const MIGRATIONS = {
+  // v2: diets and per-trophic-level stats. Every v1 organism was a herbivore.
+  1: (snapshot) => {
+    const generations = snapshot.stats.avgFitness.length;
+    const zeros = () => new Array(generations).fill(0);
+
+    return {
+      ...snapshot,
+      population: snapshot.population.map(organism => ({
+        ...organism,
+        genome: { ...organism.genome, diet: 'herbivore' }
+      })),
+      stats: {
+        ...snapshot.stats,
+        trophic: {
+          herbivore: {
+            population: new Array(generations).fill(null),
+            avgFitness: [...snapshot.stats.avgFitness],
+            bestFitness: [...snapshot.stats.bestFitness]
+          },
+          carnivore: { population: zeros(), avgFitness: zeros(), bestFitness: zeros() }
+        }
+      }
+    };
+  },
+
+  // v3: frame counter, run mode and sample times. v2 runs were all generational;
+  // their sample frames were never recorded.
+  2: (snapshot) => ({
+    ...snapshot,
+    frame: snapshot.generation * snapshot.parameters.generationLength + snapshot.generationTimer,
+    parameters: { ...snapshot.parameters, mode: 'generational' },
+    population: snapshot.population.map(organism => ({
+      ...organism,
+      generation: snapshot.generation
+    })),
+    stats: {
+      ...snapshot.stats,
+      time: new Array(snapshot.stats.avgFitness.length).fill(null)
+    }
+  }),
+
+  // v4: selectable fitness functions and lifetime energy counters. v3 runs all
+  // used the classic score; their energy history is unknown.
+  3: (snapshot) => ({
+    ...snapshot,
+    parameters: {
+      ...snapshot.parameters,
+      fitnessFunction: 'classic',
+      fitnessWeights: { food: 10, survival: 0.1, energy: 1, efficiency: 0 }
+    },
+    population: snapshot.population.map(organism => ({
+      ...organism,
+      energyGained: 0,
+      energySpent: 0
+    })),
+    stats: {
+      ...snapshot.stats,
+      fitnessFunction: new Array(snapshot.stats.avgFitness.length).fill('classic')
+    }
+  }),
+
+  // v5: lineage. Parents were never recorded, so the saved population
+  // becomes the founders of the family tree.
+  4: (snapshot) => {
+    const population = snapshot.population.map(organism => ({
+      ...organism,
+      parentIds: [],
+      genome: { ...organism.genome, inheritance: null }
+    }));
+
+    return {
+      ...snapshot,
+      population,
+      genealogy: {
+        depth: 10,
+        records: population.map(organism => ({
+          id: organism.id,
+          parentIds: [],
+          generation: organism.generation,
+          diet: organism.genome.diet,
+          genes: { ...organism.genome.genes },
+          color: { ...organism.genome.color },
+          inheritance: null,
+          fitness: organism.fitness
+        }))
+      }
+    };
+  },
+
+  // v6: optional neural-network brains and a heading to steer them by
+  5: (snapshot) => ({
+    ...snapshot,
+    parameters: { ...snapshot.parameters, brains: false },
+    population: snapshot.population.map(organism => ({
+      ...organism,
+      heading: 0,
+      genome: { ...organism.genome, brain: null }
+    }))
+  }),
+
+  // v7: terrain and boundary modes. Older worlds were plain, wrapping tori.
+  6: (snapshot) => {
+    const { width, height } = snapshot.environment;
+    const cells = Math.ceil(width / 20) * Math.ceil(height / 20);
+
+    return {
+      ...snapshot,
+      environment: {
+        ...snapshot.environment,
+        boundary: 'wrap',
+        terrain: { cellSize: 20, runs: [['plain', cells]] }
+      },
+      population: snapshot.population.map(organism => ({ ...organism, detour: 0 }))
+    };
+  },
+
+  // v8: environment timelines and a log of fired events. Earlier manual
+  // events were not recorded.
+  7: (snapshot) => ({
+    ...snapshot,
+    timeline: { seasons: {}, drift: {}, events: [] },
+    stats: { ...snapshot.stats, events: [] }
+  }),
+
+  // v9: time-limited events. Old events took effect instantly, so none are active.
+  8: (snapshot) => ({
+    ...snapshot,
+    environment: { ...snapshot.environment, eventFoodModifier: 1, movementCostModifier: 1 },
+    activeEvents: [],
+    nextEventId: 1
+  }),
+
+  // v10: species. Older runs are classified when they load; their species
+  // history is unknown.
+  9: (snapshot) => {
+    const samples = snapshot.stats.avgFitness.length;
+    const unknown = () => new Array(samples).fill(null);
+
+    return {
+      ...snapshot,
+      parameters: { ...snapshot.parameters, assortativeMating: false },
+      population: snapshot.population.map(organism => ({ ...organism, speciesId: null })),
+      species: { threshold: 0.15, nextId: 1, species: [] },
+      stats: { ...snapshot.stats, speciesCount: unknown(), speciesBorn: unknown(), speciesExtinct: unknown() }
+    };
+  },
+
+  // v11: turnover, diversity and gene distributions, with every series one
+  // entry per sample. Trait means used to skip samples where everyone had
+  // died; the gaps can no longer be placed, so the recorded means are kept
+  // as the most recent samples. Distributions are filled in on load.
+  10: (snapshot) => {
+    const samples = snapshot.stats.time.length;
+    const unknown = () => new Array(samples).fill(null);
+    const align = series => [...new Array(Math.max(0, samples - series.length)).fill(null), ...series];
+    const traits = ['avgSpeed', 'avgVision', 'avgSize', 'avgEfficiency'].filter(key => snapshot.stats[key]);
+
+    return {
+      ...snapshot,
+      tally: { births: 0, deaths: 0, foodConsumed: 0 },
+      stats: {
+        ...snapshot.stats,
+        ...Object.fromEntries(traits.map(key => [key, align(snapshot.stats[key])])),
+        births: unknown(),
+        deaths: unknown(),
+        foodConsumed: unknown(),
+        diversity: unknown(),
+        genes: {}
+      }
+    };
+  },
+
+  // v12: generation at every sample. Generational runs sample once per
+  // generation from 0; when continuous samples were taken is unknown.
+  11: (snapshot) => ({
+    ...snapshot,
+    stats: {
+      ...snapshot.stats,
+      generation: snapshot.stats.time.map((_, i) => snapshot.parameters.mode === 'continuous' ? null : i)
+    }
+  }),
+
+  // v13: scenario founders, a set amount of starting food and food spawners.
+  // Older runs started from random founders and 50 scattered food items.
+  12: (snapshot) => ({
+    ...snapshot,
+    founders: null,
+    environment: { ...snapshot.environment, initialFood: 50, spawners: [] }
+  }),
+
+  // v14: the size a run started at, for resets. Older runs did not record it,
+  // so they start again at the size they were saved at.
+  13: (snapshot) => {
+    const predators = snapshot.population.filter(organism => organism.genome.diet === 'carnivore').length;
+    return {
+      ...snapshot,
+      startingPopulation: { herbivores: snapshot.population.length - predators, predators }
+    };
+  },
+
+  // v15: organisms numbered by the run instead of random base-36 ids. Numbers
+  // never equal the old text ids, so counting can start from 1.
+  14: (snapshot) => ({
+    ...snapshot,
+    organismIds: { first: 1, step: 1, next: 1 }
+  })
+};
+
+export class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SnapshotError';
+  }
+}
+
+// Bring any supported snapshot up to the current version
+export function migrateSnapshot(data) {
+  if (!data || typeof data !== 'object' || data.format !== SNAPSHOT_FORMAT) {
+    throw new SnapshotError('Not a simulation snapshot');
+  }
+
+  const version = data.version;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new SnapshotError(`Invalid snapshot version: ${version}`);
+  }
+  if (version > SNAPSHOT_VERSION) {
+    throw new SnapshotError(
+      `Snapshot version ${version} is newer than this build supports (${SNAPSHOT_VERSION})`
+    );
+  }
+
+  let snapshot = data;
+  for (let v = version; v < SNAPSHOT_VERSION; v++) {
+    snapshot = { ...MIGRATIONS[v](snapshot), version: v + 1 };
+  }
+  return snapshot;
+}
+
+// File name used when downloading a snapshot
+export function snapshotFileName(snapshot) {
+  return `evolution-seed-${snapshot.seed}-gen-${snapshot.generation}.json`;
+}
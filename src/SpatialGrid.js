@@ -0,0 +1,159 @@
+/**
+ * SPATIAL GRID
+ * Uniform bucket grid for fast "what is near this point" queries.
+ * Understands the wrap-around world, so items near one edge are found
+ * from the opposite edge.
+ */
+
+export class SpatialGrid {
+  constructor(width, height, cellSize = 50, wrap = true) {
+    this.width = width;
+    this.height = height;
+    this.cellSize = cellSize;
+    this.wrap = wrap;
+    this.cols = Math.max(1, Math.ceil(width / cellSize));
+    this.rows = Math.max(1, Math.ceil(height / cellSize));
+    this.cells = Array.from({ length: this.cols * this.rows }, () => []);
+    this.cellOf = new Map(); // item -> cell index
+  }
+
+  get size() {
+    return this.cellOf.size;
+  }
+
+  clear() {
+    for (let cell of this.cells) {
+      cell.length = 0;
+    }
+    this.cellOf.clear();
+  }
+
+  // Coordinates are wrapped into the world before they are bucketed: the last
+  // column and row are only partly inside it when the size is not a multiple
+  // of cellSize, so wrapping cell numbers instead would land in the wrong cell
+  cellIndex(x, y) {
+    const col = this.wrapIndex(Math.floor(this.wrapCoordinate(x, this.width) / this.cellSize), this.cols);
+    const row = this.wrapIndex(Math.floor(this.wrapCoordinate(y, this.height) / this.cellSize), this.rows);
+    return row * this.cols + col;
+  }
+
+  wrapCoordinate(value, size) {
+    return this.wrap ? ((value % size) + size) % size : value;
+  }
+
+  wrapIndex(index, count) {
+    if (this.wrap) {
+      return ((index % count) + count) % count;
+    }
+    return Math.min(count - 1, Math.max(0, index));
+  }
+
+  insert(item) {
+    const index = this.cellIndex(item.x, item.y);
+    this.cells[index].push(item);
+    this.cellOf.set(item, index);
+  }
+
+  remove(item) {
+    const index = this.cellOf.get(item);
+    if (index === undefined) return false;
+
+    const cell = this.cells[index];
+    const position = cell.indexOf(item);
+    cell[position] = cell[cell.length - 1];
+    cell.pop();
+    this.cellOf.delete(item);
+    return true;
+  }
+
+  // Re-bucket an item after its position changed
+  move(item) {
+    const index = this.cellIndex(item.x, item.y);
+    if (this.cellOf.get(item) === index) return;
+    this.remove(item);
+    this.insert(item);
+  }
+
+  // Shortest offset from (x, y) to (tx, ty), across the edges when wrapping
+  delta(x, y, tx, ty) {
+    let dx = tx - x;
+    let dy = ty - y;
+    if (this.wrap) {
+      if (dx > this.width / 2) dx -= this.width;
+      else if (dx < -this.width / 2) dx += this.width;
+      if (dy > this.height / 2) dy -= this.height;
+      else if (dy < -this.height / 2) dy += this.height;
+    }
+    return { dx, dy };
+  }
+
+  distance(x, y, tx, ty) {
+    const { dx, dy } = this.delta(x, y, tx, ty);
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  // Cells along one axis covering the coordinates from - to, each once. When
+  // wrapping, the range is wrapped into the world first and split at its edge.
+  spanCells(from, to, size, count) {
+    const cellAt = value => Math.min(count - 1, Math.max(0, Math.floor(value / this.cellSize)));
+    const range = (first, last) => Array.from({ length: last - first + 1 }, (_, i) => first + i);
+
+    if (!this.wrap) {
+      return range(cellAt(from), cellAt(to));
+    }
+    if (to - from >= size) {
+      return range(0, count - 1);
+    }
+    const start = this.wrapCoordinate(from, size);
+    const end = start + (to - from);
+    if (end < size) {
+      return range(cellAt(start), cellAt(end));
+    }
+    const cells = new Set([...range(cellAt(start), count - 1), ...range(0, cellAt(end - size))]);
+    return [...cells];
+  }
+
+  // Visit every item in the cells overlapping the circle (x, y, radius)
+  forEachCandidate(x, y, radius, visit) {
+    const cols = this.spanCells(x - radius, x + radius, this.width, this.cols);
+    const rows = this.spanCells(y - radius, y + radius, this.height, this.rows);
+
+    for (let row of rows) {
+      const rowIndex = row * this.cols;
+
+      for (let col of cols) {
+        const cell = this.cells[rowIndex + col];
+        for (let i = 0; i < cell.length; i++) {
+          visit(cell[i]);
+        }
+      }
+    }
+  }
+
+  // All items strictly within radius of (x, y)
+  queryRadius(x, y, radius, filter = null) {
+    const found = [];
+    this.forEachCandidate(x, y, radius, item => {
+      if (filter && !filter(item)) return;
+      if (this.distance(x, y, item.x, item.y) < radius) {
+        found.push(item);
+      }
+    });
+    return found;
+  }
+
+  // Closest item strictly within radius of (x, y), or null
+  nearest(x, y, radius, filter = null) {
+    let nearest = null;
+    let minDist = radius;
+    this.forEachCandidate(x, y, radius, item => {
+      if (filter && !filter(item)) return;
+      const dist = this.distance(x, y, item.x, item.y);
+      if (dist < minDist) {
+        minDist = dist;
+        nearest = item;
+      }
+    });
+    return nearest;
+  }
+}
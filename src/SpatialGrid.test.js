@@ -0,0 +1,104 @@
+import { describe, expect, test } from 'vitest';
+import { SpatialGrid } from './SpatialGrid';
+import { Random } from './Random';
+
+const point = (x, y) => ({ x, y });
+
+describe('SpatialGrid', () => {
+  test('finds items across the wrap-around edge', () => {
+    const grid = new SpatialGrid(500, 400, 50);
+    const nearRight = point(495, 200);
+    grid.insert(nearRight);
+
+    expect(grid.nearest(5, 200, 20)).toBe(nearRight);
+    expect(grid.queryRadius(5, 200, 20)).toEqual([nearRight]);
+  });
+
+  test('finds items across the edge of a world that is not a whole number of cells', () => {
+    const grid = new SpatialGrid(820, 610, 50);
+    const nearRight = point(790, 100);
+    const nearBottom = point(300, 600);
+    grid.insert(nearRight);
+    grid.insert(nearBottom);
+
+    expect(grid.nearest(5, 100, 40)).toBe(nearRight);
+    expect(grid.queryRadius(300, 5, 20)).toEqual([nearBottom]);
+
+    // Brute force over the whole seam
+    const rng = new Random(4);
+    const items = Array.from({ length: 200 }, () => point(rng.range(0, 820), rng.range(0, 610)));
+    items.forEach(item => grid.insert(item));
+    for (let i = 0; i < 100; i++) {
+      const x = rng.pick([rng.range(0, 60), rng.range(760, 820)]);
+      const y = rng.range(0, 610);
+      const radius = rng.range(10, 120);
+      const expected = [nearRight, nearBottom, ...items].filter(item => grid.distance(x, y, item.x, item.y) < radius);
+      expect(new Set(grid.queryRadius(x, y, radius))).toEqual(new Set(expected));
+    }
+  });
+
+  test('does not wrap when wrapping is disabled', () => {
+    const grid = new SpatialGrid(500, 400, 50, false);
+    grid.insert(point(495, 200));
+
+    expect(grid.nearest(5, 200, 20)).toBeNull();
+  });
+
+  test('long-range queries reach the far side of a grid that does not wrap', () => {
+    const grid = new SpatialGrid(300, 200, 50, false);
+    const far = point(200, 100);
+    grid.insert(far);
+
+    expect(grid.nearest(50, 100, 300)).toBe(far);
+    expect(grid.queryRadius(50, 100, 300)).toEqual([far]);
+    expect(grid.nearest(250, 150, 1000)).toBe(far);
+  });
+
+  test('matches a brute-force nearest search', () => {
+    const rng = new Random(9);
+    const grid = new SpatialGrid(600, 400, 40);
+    const items = Array.from({ length: 300 }, () => point(rng.range(0, 600), rng.range(0, 400)));
+    items.forEach(item => grid.insert(item));
+
+    for (let i = 0; i < 50; i++) {
+      const x = rng.range(0, 600);
+      const y = rng.range(0, 400);
+      const radius = rng.range(10, 150);
+
+      let expected = null;
+      let best = radius;
+      for (let item of items) {
+        const dist = grid.distance(x, y, item.x, item.y);
+        if (dist < best) {
+          best = dist;
+          expected = item;
+        }
+      }
+
+      expect(grid.nearest(x, y, radius)).toBe(expected);
+    }
+  });
+
+  test('a radius larger than the world visits each item once', () => {
+    const grid = new SpatialGrid(100, 100, 50);
+    grid.insert(point(10, 10));
+    grid.insert(point(90, 90));
+
+    expect(grid.queryRadius(50, 50, 500)).toHaveLength(2);
+  });
+
+  test('remove and move keep buckets in sync', () => {
+    const grid = new SpatialGrid(200, 200, 50);
+    const item = point(10, 10);
+    grid.insert(item);
+
+    item.x = 150;
+    grid.move(item);
+    expect(grid.nearest(10, 10, 30)).toBeNull();
+    expect(grid.nearest(150, 10, 5)).toBe(item);
+
+    expect(grid.remove(item)).toBe(true);
+    expect(grid.remove(item)).toBe(false);
+    expect(grid.size).toBe(0);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * SPECIES
+ * Groups the population into species by genetic distance. Species keep their
+ * id and colour from one classification to the next for as long as they have
+ * members, so births, extinctions and splits can be followed over a run.
+ */
+
+import { GENE_NAMES, geneFraction } from './Genes.js';
+
+export const DEFAULT_SPECIES_THRESHOLD = 0.15; // Largest distance to a species' centre that still counts as a member
+const MAX_EXTINCT_SPECIES = 50; // Extinct species remembered for the panel
+
+// Distance between two gene sets, 0-1: root mean square of the differences,
+// each gene scaled by its range in the schema
+export function geneticDistance(genesA, genesB) {
+  let sum = 0;
+  for (let name of GENE_NAMES) {
+    const difference = geneFraction(name, genesA[name]) - geneFraction(name, genesB[name]);
+    sum += difference * difference;
+  }
+  return Math.sqrt(sum / GENE_NAMES.length);
+}
+
+// Well-spread hues by id (golden angle), so colours never depend on the run's random numbers
+export function speciesColor(id) {
+  return { h: (id * 137.508) % 360, s: 75, l: 60 };
+}
+
+export class SpeciesTracker {
+  constructor(threshold = DEFAULT_SPECIES_THRESHOLD) {
+    this.threshold = threshold;
+    this.species = new Map(); // id -> record, living and recently extinct
+    this.nextId = 1;
+  }
+
+  get(id) {
+    return this.species.get(id) || null;
+  }
+
+  getLiving() {
+    return [...this.species.values()].filter(record => record.extinct === null);
+  }
+
+  getExtinct() {
+    return [...this.species.values()].filter(record => record.extinct !== null);
+  }
+
+  // Nearest living species of the same diet within the threshold, or null
+  findSpecies(genes, diet) {
+    let best = null;
+    let bestDistance = this.threshold;
+    for (let record of this.species.values()) {
+      if (record.extinct !== null || record.diet !== diet) continue;
+      const distance = geneticDistance(genes, record.centroid);
+      if (distance <= bestDistance) {
+        best = record;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  // Assign every organism given a species (organism.speciesId). Organisms
+  // stay in their current species while they are close enough to its centre;
+  // otherwise they join the nearest one or found a new species.
+  // Returns the ids of species born and gone extinct in this pass.
+  classify(population, { generation = 0, frame = 0 } = {}) {
+    const born = [];
+    const members = new Map();
+
+    for (let organism of population) {
+      const { genes, diet } = organism.genome;
+
+      const current = this.get(organism.speciesId);
+      let record = current && current.extinct === null && current.diet === diet &&
+        geneticDistance(genes, current.centroid) <= this.threshold
+        ? current
+        : this.findSpecies(genes, diet);
+
+      if (!record) {
+        const id = this.nextId++;
+        record = {
+          id,
+          parentId: organism.speciesId ?? null, // Species it split from
+          diet,
+          color: speciesColor(id),
+          centroid: { ...genes },
+          size: 0,
+          peakSize: 0,
+          founded: { generation, frame },
+          extinct: null
+        };
+        this.species.set(record.id, record);
+        born.push(record.id);
+      }
+
+      organism.speciesId = record.id;
+      if (!members.has(record.id)) members.set(record.id, []);
+      members.get(record.id).push(organism);
+    }
+
+    // Move each centre to the average of its members; empty species die out
+    const extinct = [];
+    for (let record of this.species.values()) {
+      if (record.extinct !== null) continue;
+      const group = members.get(record.id);
+      if (!group) {
+        record.size = 0;
+        record.extinct = { generation, frame };
+        extinct.push(record.id);
+        continue;
+      }
+      for (let name of GENE_NAMES) {
+        record.centroid[name] = group.reduce((sum, o) => sum + o.genome.genes[name], 0) / group.length;
+      }
+      record.size = group.length;
+      record.peakSize = Math.max(record.peakSize, group.length);
+    }
+
+    this.forgetOldExtinctions();
+    return { born, extinct };
+  }
+
+  forgetOldExtinctions() {
+    const extinct = this.getExtinct();
+    for (let record of extinct.slice(0, Math.max(0, extinct.length - MAX_EXTINCT_SPECIES))) {
+      this.species.delete(record.id);
+    }
+  }
+
+  toJSON() {
+    return {
+      threshold: this.threshold,
+      nextId: this.nextId,
+      species: [...this.species.values()].map(record => JSON.parse(JSON.stringify(record)))
+    };
+  }
+
+  static fromJSON(data) {
+    const tracker = new SpeciesTracker(data.threshold);
+    tracker.nextId = data.nextId;
+    for (let record of data.species) {
+      tracker.species.set(record.id, JSON.parse(JSON.stringify(record)));
+    }
+    return tracker;
+  }
+}
@@ -0,0 +1,96 @@
+import { describe, expect, test } from 'vitest';
+import { SpeciesTracker, geneticDistance } from './Species';
+import { Genome, Organism, Simulation } from './SimulationEngine';
+import { Random } from './Random';
+
+const SMALL_AND_SLOW = { speed: 1, vision: 60, size: 5, efficiency: 0.5 };
+const LARGE_AND_FAST = { speed: 9, vision: 280, size: 35, efficiency: 1.4 };
+
+const organism = (genes, rng) => new Organism(0, 0, new Genome({ ...genes }, rng), rng);
+
+// Two clusters that are far apart genetically
+const twoClusters = (rng, size = 10) => [
+  ...Array.from({ length: size }, () => organism(SMALL_AND_SLOW, rng)),
+  ...Array.from({ length: size }, () => organism(LARGE_AND_FAST, rng))
+];
+
+describe('Genetic distance', () => {
+  test('is 0 for identical genes and 1 for opposite ends of every range', () => {
+    const min = { speed: 0.5, vision: 30, size: 3, efficiency: 0.3 };
+    const max = { speed: 10, vision: 300, size: 40, efficiency: 1.5 };
+    expect(geneticDistance(min, min)).toBe(0);
+    expect(geneticDistance(min, max)).toBeCloseTo(1);
+  });
+});
+
+describe('SpeciesTracker', () => {
+  test('separates distant clusters and keeps their ids', () => {
+    const rng = new Random(1);
+    const population = twoClusters(rng);
+    const tracker = new SpeciesTracker();
+
+    const first = tracker.classify(population);
+    expect(first.born).toHaveLength(2);
+    expect(new Set(population.slice(0, 10).map(o => o.speciesId)).size).toBe(1);
+    expect(population[0].speciesId).not.toBe(population[10].speciesId);
+
+    const ids = population.map(o => o.speciesId);
+    const second = tracker.classify(population);
+    expect(second).toEqual({ born: [], extinct: [] });
+    expect(population.map(o => o.speciesId)).toEqual(ids);
+  });
+
+  test('records extinctions and splits', () => {
+    const rng = new Random(2);
+    const population = twoClusters(rng);
+    const tracker = new SpeciesTracker();
+    tracker.classify(population);
+    const [small, large] = [population[0].speciesId, population[10].speciesId];
+
+    // The large organisms die out; a few small ones drift far away
+    const survivors = population.slice(0, 10);
+    for (let o of survivors.slice(0, 3)) {
+      o.genome.genes.vision = 300;
+      o.genome.genes.speed = 10;
+    }
+    const { born, extinct } = tracker.classify(survivors, { generation: 7 });
+
+    expect(extinct).toEqual([large]);
+    expect(tracker.get(large).extinct).toEqual({ generation: 7, frame: 0 });
+    expect(born).toHaveLength(1);
+    expect(tracker.get(born[0]).parentId).toBe(small);
+    expect(tracker.getLiving().map(record => record.size).sort()).toEqual([3, 7]);
+  });
+});
+
+describe('Species in a simulation', () => {
+  test('species are counted at every sample and survive a save', () => {
+    const simulation = new Simulation(400, 300, 20, { seed: 3 });
+    simulation.nextGeneration();
+    simulation.nextGeneration();
+
+    expect(simulation.stats.speciesCount).toHaveLength(2);
+    expect(simulation.stats.speciesCount[0]).toBeGreaterThan(0);
+    expect(simulation.population.every(o => simulation.species.get(o.speciesId))).toBe(true);
+
+    const restored = Simulation.fromJSON(JSON.parse(JSON.stringify(simulation.toJSON())));
+    expect(restored.getSpecies()).toEqual(simulation.getSpecies());
+    expect(restored.population.map(o => o.speciesId)).toEqual(simulation.population.map(o => o.speciesId));
+  });
+
+  test('assortative mating only pairs members of the same species', () => {
+    const simulation = new Simulation(400, 300, 0, { seed: 4 });
+    simulation.population = twoClusters(simulation.rng);
+    simulation.species.classify(simulation.population);
+    simulation.assortativeMating = true;
+    simulation.mutationRate = 0;
+
+    const parents = new Map(simulation.population.map(o => [o.id, o]));
+    simulation.nextGeneration();
+
+    for (let child of simulation.population) {
+      const species = child.parentIds.map(id => parents.get(id).speciesId);
+      expect(species[0]).toBe(species[1]);
+    }
+  });
+});
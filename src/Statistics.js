@@ -0,0 +1,93 @@
+/**
+ * POPULATION STATISTICS
+ * Summaries of a population's genes: spread, shape and diversity. Used for
+ * the per-sample stats series and for the histograms in the stats panel,
+ * and for the confidence intervals of parameter sweeps.
+ */
+
+import { GENE_NAMES, GENES, geneFraction } from './Genes.js';
+
+export const HISTOGRAM_BINS = 10;
+
+// Series kept for every gene besides the mean (avgSpeed, ...)
+export const DISTRIBUTION_STATS = ['min', 'max', 'median', 'stddev'];
+
+export function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Population standard deviation
+export function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+}
+
+// Two-sided 95% critical values of Student's t for 1-30 degrees of freedom
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Beyond the table the normal value with a first-order correction is within 0.001
+const tCritical = df => df <= T_95.length ? T_95[df - 1] : 1.96 + 9.489 / (4 * df);
+
+// Mean of the known (non-null) values with a 95% confidence interval for it.
+// With a single value the interval is that value; with none everything is null.
+export function meanConfidence(values) {
+  const known = values.filter(value => value !== null && Number.isFinite(value));
+  const n = known.length;
+  if (n === 0) return { mean: null, low: null, high: null, n };
+
+  const average = mean(known);
+  // Standard error from the sample standard deviation: population SD / sqrt(n - 1)
+  const margin = n > 1 ? tCritical(n - 1) * standardDeviation(known) / Math.sqrt(n - 1) : 0;
+  return { mean: average, low: average - margin, high: average + margin, n };
+}
+
+// Counts of values in equal-width bins between min and max; max itself falls in the last bin
+export function histogram(values, min, max, bins = HISTOGRAM_BINS) {
+  const counts = new Array(bins).fill(0);
+  const width = (max - min) / bins;
+  for (let value of values) {
+    const bin = Math.min(bins - 1, Math.max(0, Math.floor((value - min) / width)));
+    counts[bin]++;
+  }
+  return counts;
+}
+
+// Spread of one gene over a set of genomes' genes, binned across the gene's
+// full range; null when there are no genomes
+export function geneDistribution(genesList, name) {
+  if (genesList.length === 0) return null;
+
+  const values = genesList.map(genes => genes[name]);
+  const { min, max } = GENES[name];
+  return {
+    mean: mean(values),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    median: median(values),
+    stddev: standardDeviation(values),
+    histogram: histogram(values, min, max)
+  };
+}
+
+// Genetic diversity, 0-1: the root-mean-square genetic distance (see
+// Species.js) between two genomes drawn at random. Computed from per-gene
+// variances, which gives the same value as comparing every pair.
+export function geneticDiversity(genesList) {
+  if (genesList.length < 2) return 0;
+
+  const variance = GENE_NAMES.reduce((sum, name) => {
+    const fractions = genesList.map(genes => geneFraction(name, genes[name]));
+    return sum + standardDeviation(fractions) ** 2;
+  }, 0);
+  return Math.sqrt(2 * variance / GENE_NAMES.length);
+}
@@ -0,0 +1,108 @@
+import { describe, expect, test } from 'vitest';
+import { geneDistribution, geneticDiversity, histogram, meanConfidence, median, standardDeviation } from './Statistics';
+import { geneticDistance } from './Species';
+import { MODE, Simulation } from './SimulationEngine';
+import { GENE_NAMES, TRAIT_STATS } from './Genes';
+
+describe('Summaries', () => {
+  test('median, spread and histogram bins', () => {
+    expect(median([5, 1, 3])).toBe(3);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+    expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBe(2);
+    expect(histogram([0, 0.5, 9.9, 10, 12], 0, 10, 5)).toEqual([2, 0, 0, 0, 3]);
+  });
+
+  test('confidence intervals use Student\'s t on the known values', () => {
+    const { mean, low, high, n } = meanConfidence([2, 4, null, 6]);
+    expect(n).toBe(3);
+    expect(mean).toBe(4);
+    expect(high - mean).toBeCloseTo(4.303 * 2 / Math.sqrt(3));
+    expect(mean - low).toBeCloseTo(high - mean);
+
+    expect(meanConfidence([5])).toEqual({ mean: 5, low: 5, high: 5, n: 1 });
+    expect(meanConfidence([null])).toEqual({ mean: null, low: null, high: null, n: 0 });
+  });
+
+  test('gene distributions are binned across the gene range', () => {
+    const genesList = [{ speed: 0.5 }, { speed: 5 }, { speed: 10 }];
+    const distribution = geneDistribution(genesList, 'speed');
+
+    expect(distribution).toMatchObject({ min: 0.5, max: 10, median: 5 });
+    expect(distribution.histogram).toHaveLength(10);
+    expect(distribution.histogram.reduce((a, b) => a + b)).toBe(3);
+    expect(geneDistribution([], 'speed')).toBeNull();
+  });
+
+  test('diversity is the RMS distance between random pairs of genomes', () => {
+    const simulation = new Simulation(300, 200, 15, { seed: 1 });
+    const genesList = simulation.population.map(o => o.genome.genes);
+
+    let sum = 0;
+    for (let a of genesList) {
+      for (let b of genesList) sum += geneticDistance(a, b) ** 2;
+    }
+    expect(geneticDiversity(genesList)).toBeCloseTo(Math.sqrt(sum / genesList.length ** 2));
+    expect(geneticDiversity([genesList[0], genesList[0]])).toBe(0);
+  });
+});
+
+describe('Stats series', () => {
+  const lengths = (stats) => [
+    stats.time.length,
+    stats.births.length,
+    stats.diversity.length,
+    ...TRAIT_STATS.map(key => stats[key].length),
+    ...GENE_NAMES.map(name => stats.genes[name].histogram.length)
+  ];
+
+  test('every series has one entry per sample, even when nobody is left', () => {
+    const simulation = new Simulation(300, 200, 0, { seed: 2 });
+    simulation.nextGeneration();
+
+    expect(lengths(simulation.stats).every(length => length === 1)).toBe(true);
+    expect(simulation.stats.avgSpeed).toEqual([null]);
+    expect(simulation.stats.genes.speed.median).toEqual([null]);
+  });
+
+  test('births and deaths are counted between samples', () => {
+    const simulation = new Simulation(300, 200, 20, { seed: 3 });
+    simulation.population.slice(0, 3).forEach(o => { o.alive = false; });
+    simulation.nextGeneration();
+    simulation.nextGeneration();
+
+    expect(simulation.stats.deaths).toEqual([3, 0]);
+    expect(simulation.stats.births).toEqual([0, 20]);
+  });
+
+  test('continuous runs count the food eaten and keep the tally across a save', () => {
+    const simulation = new Simulation(300, 200, 20, { seed: 4, mode: MODE.CONTINUOUS });
+    simulation.start();
+    for (let i = 0; i < 150; i++) simulation.update();
+
+    const restored = Simulation.fromJSON(JSON.parse(JSON.stringify(simulation.toJSON())));
+    restored.start();
+    for (let i = 0; i < 50; i++) {
+      simulation.update();
+      restored.update();
+    }
+
+    expect(simulation.stats.foodConsumed.reduce((a, b) => a + b)).toBeGreaterThan(0);
+    expect(restored.stats).toEqual(simulation.stats);
+  });
+
+  test('version 10 snapshots get aligned series and no distribution history', () => {
+    const simulation = new Simulation(300, 200, 10, { seed: 5 });
+    simulation.nextGeneration();
+    simulation.nextGeneration();
+    const { births, deaths, foodConsumed, diversity, genes, generation, ...stats } = simulation.toJSON().stats;
+    const { tally, ...current } = simulation.toJSON();
+    const v10 = { ...current, version: 10, stats: { ...stats, avgSpeed: stats.avgSpeed.slice(1) } };
+
+    const restored = Simulation.fromJSON(v10);
+    expect(restored.stats.avgSpeed).toEqual([null, stats.avgSpeed[1]]);
+    expect(restored.stats.births).toEqual([null, null]);
+    expect(restored.stats.genes.size.histogram).toEqual([null, null]);
+    expect(restored.tally).toEqual({ births: 0, deaths: 0, foodConsumed: 0 });
+    expect(restored.stats.generation).toEqual([0, 1]);
+  });
+});
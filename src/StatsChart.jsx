@@ -0,0 +1,245 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  CHART_SERIES, DEFAULT_CHART_SERIES, chartWindow, formatTick, frameToSample, niceTicks,
+  panWindow, sampleAt, valueScale, zoomWindow
+} from './Chart';
+
+// Room around the plot for axis labels and event icons
+const MARGIN = { left: 34, right: 8, top: 16, bottom: 18 };
+const ZOOM_STEP = 1.25; // Span change per wheel notch or button press
+
+// Selectable, zoomable line chart of a run's stats series (see Chart.js)
+function StatsChart({ stats, eventIcon, width = 268, height = 180 }) {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null); // { x, range } while panning
+  const lengthRef = useRef(0);
+  const [selected, setSelected] = useState(DEFAULT_CHART_SERIES);
+  const [log, setLog] = useState(false);
+  const [range, setRange] = useState(null); // Zoomed sample range, null for the whole run
+  const [hover, setHover] = useState(null); // Sample index under the mouse
+
+  const length = stats ? stats.time.length : 0;
+  lengthRef.current = length;
+  const { start, end } = chartWindow(range, length);
+  const plotWidth = width - MARGIN.left - MARGIN.right;
+  const plotHeight = height - MARGIN.top - MARGIN.bottom;
+
+  const series = length > 0
+    ? selected.map(key => ({ key, ...CHART_SERIES[key], data: CHART_SERIES[key].values(stats) }))
+    : [];
+  const scale = valueScale(series.flatMap(({ data }) => data.slice(start, end + 1)), log);
+  const xAt = i => MARGIN.left + (end > start ? (i - start) / (end - start) : 0) * plotWidth;
+  const yAt = value => {
+    const position = scale.position(value);
+    return position === null ? null : MARGIN.top + (1 - position) * plotHeight;
+  };
+
+  // The page would scroll on a passive wheel listener, so zoom is bound by hand
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const { fraction } = pointer(e);
+      const factor = e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      setRange(prev => zoomWindow(prev, lengthRef.current, factor, Math.min(1, Math.max(0, fraction))));
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    if (length < 2) return;
+
+    // Value axis
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.lineWidth = 1;
+    for (let tick of scale.ticks) {
+      const y = yAt(tick);
+      ctx.strokeStyle = 'rgba(230, 230, 234, 0.08)';
+      ctx.beginPath();
+      ctx.moveTo(MARGIN.left, y);
+      ctx.lineTo(width - MARGIN.right, y);
+      ctx.stroke();
+      ctx.fillStyle = 'rgba(230, 230, 234, 0.5)';
+      ctx.fillText(formatTick(tick), MARGIN.left - 4, y + 3);
+    }
+
+    // Generation axis: round sample positions, labelled with the generation sampled there
+    ctx.textAlign = 'center';
+    for (let i of niceTicks(start, end).filter(Number.isInteger)) {
+      ctx.fillText(String(stats.generation[i] ?? i), xAt(i), height - 5);
+    }
+
+    // Event markers: scheduled ones in amber, manual ones in grey
+    ctx.font = '10px sans-serif';
+    for (let event of stats.events) {
+      const sample = frameToSample(stats.time, event.frame);
+      if (sample === null || sample < start || sample > end) continue;
+      const x = xAt(sample);
+      ctx.strokeStyle = event.source === 'timeline' ? 'rgba(255, 196, 87, 0.7)' : 'rgba(230, 230, 234, 0.4)';
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x, MARGIN.top);
+      ctx.lineTo(x, MARGIN.top + plotHeight);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillText(eventIcon(event.type), x, MARGIN.top - 4);
+    }
+
+    // Series, broken wherever a value is unknown (or not positive on a log scale)
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(MARGIN.left, MARGIN.top - 2, plotWidth, plotHeight + 4);
+    ctx.clip();
+    for (let { color, data } of series) {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      let drawing = false;
+      for (let i = start; i <= end; i++) {
+        const y = yAt(data[i]);
+        if (y === null) {
+          drawing = false;
+        } else if (drawing) {
+          ctx.lineTo(xAt(i), y);
+        } else {
+          ctx.moveTo(xAt(i), y);
+          drawing = true;
+        }
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+
+    // Hovered sample
+    if (hover !== null && hover >= start && hover <= end) {
+      const x = xAt(hover);
+      ctx.strokeStyle = 'rgba(230, 230, 234, 0.4)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, MARGIN.top);
+      ctx.lineTo(x, MARGIN.top + plotHeight);
+      ctx.stroke();
+      for (let { color, data } of series) {
+        const y = yAt(data[hover]);
+        if (y === null) continue;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }, [stats, selected, log, range, hover, width, height]);
+
+  // Mouse position across the plot as 0-1, and the plot's width on screen
+  const pointer = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (canvas.width / rect.width);
+    return { fraction: (x - MARGIN.left) / plotWidth, plotPixels: rect.width * plotWidth / canvas.width };
+  };
+
+  const handleMouseDown = (e) => {
+    if (range) dragRef.current = { x: e.clientX, range: { start, end } };
+  };
+
+  const handleMouseMove = (e) => {
+    const { fraction, plotPixels } = pointer(e);
+    const drag = dragRef.current;
+    if (drag) {
+      const samples = (drag.x - e.clientX) / plotPixels * (drag.range.end - drag.range.start);
+      setRange(panWindow(drag.range, length, samples));
+    } else if (length > 0 && fraction >= 0 && fraction <= 1) {
+      setHover(sampleAt(range, length, fraction));
+    } else {
+      setHover(null);
+    }
+  };
+
+  const handleMouseUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleMouseLeave = () => {
+    dragRef.current = null;
+    setHover(null);
+  };
+
+  const toggleSeries = (key) => {
+    setSelected(prev => prev.includes(key)
+      ? prev.filter(k => k !== key)
+      : Object.keys(CHART_SERIES).filter(k => k === key || prev.includes(k)));
+  };
+
+  const zoom = (factor) => setRange(prev => zoomWindow(prev, length, factor));
+
+  const hovered = hover !== null && hover < length ? hover : null;
+
+  return (
+    <div className="chart">
+      <div className="chart-plot">
+        <canvas
+          ref={canvasRef}
+          className="data-canvas chart-canvas"
+          width={width}
+          height={height}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={handleMouseLeave}
+          onDoubleClick={() => setRange(null)}
+        ></canvas>
+        {hovered !== null && series.length > 0 && (
+          <div
+            className={`chart-tooltip ${xAt(hovered) > width / 2 ? 'left' : ''}`}
+            style={{ left: `${(xAt(hovered) / width) * 100}%` }}
+          >
+            <span className="chart-tooltip-title">
+              Gen {stats.generation[hovered] ?? '?'} · frame {stats.time[hovered] ?? '?'}
+            </span>
+            {series.map(({ key, label, color, precision, data }) => (
+              <span key={key}>
+                <span className="species-swatch" style={{ background: color }}></span>
+                {label} {data[hovered] === null ? '—' : data[hovered].toFixed(precision)}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="control-inline chart-controls">
+        <button className="genome-btn" onClick={() => zoom(1 / ZOOM_STEP)} disabled={length < 2} title="Zoom in">+</button>
+        <button className="genome-btn" onClick={() => zoom(ZOOM_STEP)} disabled={!range} title="Zoom out">−</button>
+        <button className="genome-btn" onClick={() => setRange(null)} disabled={!range}>All</button>
+        <label className="control-label">
+          <input type="checkbox" checked={log} onChange={e => setLog(e.target.checked)} />
+          <span>Log</span>
+        </label>
+      </div>
+      <span className="graph-caption">
+        {range
+          ? `Samples ${start + 1}-${end + 1} of ${length} · drag to pan, double-click for all`
+          : 'Scroll to zoom'}
+      </span>
+
+      <div className="chart-series">
+        {Object.entries(CHART_SERIES).map(([key, { label, color }]) => (
+          <button
+            key={key}
+            className={`chart-series-btn ${selected.includes(key) ? 'active' : ''}`}
+            onClick={() => toggleSeries(key)}
+          >
+            <span className="species-swatch" style={{ background: color }}></span>
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default StatsChart;
@@ -0,0 +1,159 @@
+/**
+ * PARAMETER SWEEPS
+ * Runs a headless experiment for every combination of the swept parameter
+ * values, several times each with different seeds, and summarises each
+ * combination with the mean and 95% confidence interval of its outcomes.
+ * Every combination uses the same replicate seeds, so differences between
+ * them come from the parameters rather than from luck.
+ */
+
+import { DEFAULT_RUN_CONFIG, runHeadless } from './HeadlessRunner.js';
+import { Random } from './Random.js';
+import { TRAIT_STATS } from './Genes.js';
+import { mean, meanConfidence } from './Statistics.js';
+
+export const SWEEP_FORMAT = 'evolution-simulation-sweep';
+export const DEFAULT_REPLICATES = 5;
+
+// Run settings that take a number can be swept (mutationRate, population, ...)
+export const SWEEP_PARAMETERS = Object.keys(DEFAULT_RUN_CONFIG)
+  .filter(key => typeof DEFAULT_RUN_CONFIG[key] === 'number');
+
+// Outcomes measured on every run: average fitness of the last generation, the
+// best fitness seen at any point, and the last generation's trait averages
+export const SWEEP_METRICS = ['finalFitness', 'bestFitness', ...TRAIT_STATS];
+
+// "0.05:0.25:0.05" (start:end:step) or "20,50,80" -> list of values
+export function parseRange(spec) {
+  const text = String(spec).trim();
+  if (text.includes(':')) {
+    const [start, end, step] = text.split(':').map(Number);
+    if (![start, end, step].every(Number.isFinite) || step <= 0 || end < start) {
+      throw new Error(`Invalid range: ${spec}`);
+    }
+    const count = Math.floor((end - start) / step + 1e-9) + 1;
+    return Array.from({ length: count }, (_, i) => Number((start + i * step).toFixed(10)));
+  }
+
+  const values = text.split(',').map(value => value.trim() === '' ? NaN : Number(value));
+  if (!values.every(Number.isFinite)) {
+    throw new Error(`Invalid range: ${spec}`);
+  }
+  return values;
+}
+
+// Every combination of the ranges' values, the first parameter varying slowest
+export function sweepCombinations(ranges) {
+  return Object.entries(ranges).reduce(
+    (combinations, [name, values]) => combinations.flatMap(combination =>
+      values.map(value => ({ ...combination, [name]: value }))
+    ),
+    [{}]
+  );
+}
+
+// Outcomes of one run from its records (null where nobody was left to measure)
+export function runMetrics(records) {
+  const last = records[records.length - 1];
+  const best = records.map(record => record.bestFitness).filter(value => value !== null);
+  return {
+    finalFitness: last?.avgFitness ?? null,
+    bestFitness: best.length > 0 ? Math.max(...best) : null,
+    ...Object.fromEntries(TRAIT_STATS.map(key => [key, last?.[key] ?? null]))
+  };
+}
+
+// Run the sweep. `config` holds the settings every run shares (see
+// DEFAULT_RUN_CONFIG), `ranges` the values to try for each swept parameter.
+// onRun(run, { cell, replicate, total }) is called after every run.
+export function runSweep({ config = {}, ranges, replicates = DEFAULT_REPLICATES, seed } = {}, { onRun } = {}) {
+  const parameters = Object.keys(ranges);
+  for (let name of parameters) {
+    if (!SWEEP_PARAMETERS.includes(name)) {
+      throw new Error(`Cannot sweep ${name}`);
+    }
+    if (!Array.isArray(ranges[name]) || ranges[name].length === 0) {
+      throw new Error(`No values to sweep for ${name}`);
+    }
+  }
+
+  const rng = new Random(seed);
+  const seeds = Array.from({ length: replicates }, () => rng.int(0x100000000));
+  const combinations = sweepCombinations(ranges);
+  const total = combinations.length * replicates;
+
+  const cells = combinations.map((values, cell) => {
+    const runs = seeds.map((runSeed, replicate) => {
+      const { records } = runHeadless({ ...config, ...values, seed: runSeed });
+      const run = { seed: runSeed, metrics: runMetrics(records) };
+      if (onRun) onRun(run, { cell, replicate, total });
+      return run;
+    });
+    const summary = Object.fromEntries(SWEEP_METRICS.map(metric => [
+      metric,
+      meanConfidence(runs.map(run => run.metrics[metric]))
+    ]));
+    return { values, runs, summary };
+  });
+
+  return {
+    format: SWEEP_FORMAT,
+    seed: rng.seed,
+    config: { ...DEFAULT_RUN_CONFIG, ...config },
+    ranges,
+    replicates,
+    metrics: SWEEP_METRICS,
+    cells
+  };
+}
+
+// Check that parsed JSON is a sweep result before showing it
+export function readSweep(data) {
+  if (data?.format !== SWEEP_FORMAT || !Array.isArray(data.cells) || !data.ranges) {
+    throw new Error('Not a sweep results file');
+  }
+  return data;
+}
+
+// One row per combination: parameter values, then mean and interval of every metric
+export function sweepToCSV(result) {
+  const parameters = Object.keys(result.ranges);
+  const fields = result.metrics.flatMap(metric => [`${metric}Mean`, `${metric}Low`, `${metric}High`]);
+  const lines = [[...parameters, 'replicates', ...fields].join(',')];
+  for (let { values, summary } of result.cells) {
+    lines.push([
+      ...parameters.map(name => values[name]),
+      result.replicates,
+      ...result.metrics.flatMap(metric => {
+        const { mean: average, low, high } = summary[metric];
+        return [average ?? '', low ?? '', high ?? ''];
+      })
+    ].join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Mean of a metric over a grid of two swept parameters (a single row when
+// yParameter is null). Cells that share x and y but differ in other swept
+// parameters are averaged together.
+export function sweepHeatmap(result, metric, xParameter, yParameter = null) {
+  const xValues = result.ranges[xParameter];
+  const yValues = yParameter !== null ? result.ranges[yParameter] : [null];
+
+  const grid = yValues.map(y => xValues.map(x => {
+    const means = result.cells
+      .filter(({ values }) => values[xParameter] === x && (yParameter === null || values[yParameter] === y))
+      .map(({ summary }) => summary[metric].mean)
+      .filter(value => value !== null);
+    return means.length > 0 ? mean(means) : null;
+  }));
+
+  const known = grid.flat().filter(value => value !== null);
+  return {
+    xValues,
+    yValues,
+    grid,
+    min: known.length > 0 ? Math.min(...known) : null,
+    max: known.length > 0 ? Math.max(...known) : null
+  };
+}
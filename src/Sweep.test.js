@@ -0,0 +1,71 @@
+import { describe, expect, test } from 'vitest';
+import {
+  SWEEP_METRICS, parseRange, readSweep, runSweep, sweepCombinations, sweepHeatmap, sweepToCSV
+} from './Sweep';
+
+const config = { generations: 2, population: 10, generationLength: 40, width: 200, height: 150 };
+
+describe('Sweep setup', () => {
+  test('ranges are steps or lists of values', () => {
+    expect(parseRange('0.05:0.25:0.05')).toEqual([0.05, 0.1, 0.15, 0.2, 0.25]);
+    expect(parseRange('20, 50,80')).toEqual([20, 50, 80]);
+    expect(parseRange('30')).toEqual([30]);
+    expect(() => parseRange('1:0:1')).toThrow('Invalid range: 1:0:1');
+    expect(() => parseRange('a,b')).toThrow('Invalid range');
+    expect(() => parseRange('')).toThrow('Invalid range');
+  });
+
+  test('every combination is run, the first parameter varying slowest', () => {
+    expect(sweepCombinations({ mutationRate: [0.1, 0.2], population: [10, 20] })).toEqual([
+      { mutationRate: 0.1, population: 10 },
+      { mutationRate: 0.1, population: 20 },
+      { mutationRate: 0.2, population: 10 },
+      { mutationRate: 0.2, population: 20 }
+    ]);
+  });
+});
+
+describe('runSweep', () => {
+  const sweep = () => runSweep({
+    config,
+    ranges: { mutationRate: [0.05, 0.3], foodAbundance: [20, 80] },
+    replicates: 2,
+    seed: 11
+  });
+
+  test('replicates share their seeds across combinations and sweeps repeat exactly', () => {
+    const result = sweep();
+
+    expect(result.cells).toHaveLength(4);
+    const seeds = result.cells.map(cell => cell.runs.map(run => run.seed));
+    expect(new Set(seeds.map(String)).size).toBe(1);
+    expect(new Set(seeds[0]).size).toBe(2);
+    expect(Object.keys(result.cells[0].summary)).toEqual(SWEEP_METRICS);
+    expect(result.cells[0].summary.finalFitness.n).toBe(2);
+    expect(JSON.parse(JSON.stringify(sweep()))).toEqual(JSON.parse(JSON.stringify(result)));
+  });
+
+  test('results export as CSV and read back for the heatmap', () => {
+    const result = readSweep(JSON.parse(JSON.stringify(sweep())));
+    const lines = sweepToCSV(result).trim().split('\n');
+    expect(lines).toHaveLength(5);
+    expect(lines[0].startsWith('mutationRate,foodAbundance,replicates,finalFitnessMean,finalFitnessLow')).toBe(true);
+
+    const heatmap = sweepHeatmap(result, 'finalFitness', 'foodAbundance', 'mutationRate');
+    expect(heatmap.xValues).toEqual([20, 80]);
+    expect(heatmap.grid[1][0]).toBe(result.cells[2].summary.finalFitness.mean);
+
+    // Without a second parameter, the other one is averaged out
+    const row = sweepHeatmap(result, 'finalFitness', 'foodAbundance');
+    const { mean: a } = result.cells[0].summary.finalFitness;
+    const { mean: b } = result.cells[2].summary.finalFitness;
+    expect(row.grid[0][0]).toBeCloseTo((a + b) / 2);
+
+    expect(() => readSweep({ format: 'evolution-simulation-snapshot' })).toThrow('Not a sweep results file');
+  });
+
+  test('only numeric run settings can be swept', () => {
+    expect(() => runSweep({ config, ranges: { mode: ['continuous'] } })).toThrow('Cannot sweep mode');
+    expect(() => runSweep({ config, ranges: { elitism: [] } })).toThrow('No values to sweep for elitism');
+  });
+});
@@ -0,0 +1,141 @@
+import { useEffect, useRef, useState } from 'react';
+import { sweepHeatmap } from './Sweep';
+import { formatTick } from './Chart';
+
+// Room for the value labels of both parameters
+const MARGIN = { left: 40, right: 6, top: 6, bottom: 18 };
+
+// Lowest means in dark blue, highest in bright green
+const heatColor = position => `hsl(${230 - 100 * position}, 70%, ${22 + 38 * position}%)`;
+
+// Mean outcome of a parameter sweep (see Sweep.js) over two of its parameters.
+// Other swept parameters are averaged out; hovering a cell shows its value and,
+// where it is a single combination, the 95% confidence interval.
+function SweepHeatmap({ result, width = 268, height = 200 }) {
+  const canvasRef = useRef(null);
+  const parameters = Object.keys(result.ranges);
+  const [metric, setMetric] = useState(result.metrics[0]);
+  const [xParameter, setXParameter] = useState(parameters[0]);
+  const [yParameter, setYParameter] = useState(parameters[1] ?? null);
+  const [hover, setHover] = useState(null); // { row, column }
+
+  const heatmap = sweepHeatmap(result, metric, xParameter, yParameter);
+  const plotWidth = width - MARGIN.left - MARGIN.right;
+  const plotHeight = height - MARGIN.top - MARGIN.bottom;
+  const cellWidth = plotWidth / heatmap.xValues.length;
+  const cellHeight = plotHeight / heatmap.yValues.length;
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    const { xValues, yValues, grid, min, max } = heatmap;
+
+    // Rows go up with the y parameter
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'center';
+    grid.forEach((row, r) => row.forEach((value, c) => {
+      const x = MARGIN.left + c * cellWidth;
+      const y = MARGIN.top + (yValues.length - 1 - r) * cellHeight;
+      ctx.fillStyle = value === null ? 'rgba(230, 230, 234, 0.05)' : heatColor(max > min ? (value - min) / (max - min) : 1);
+      ctx.fillRect(x + 1, y + 1, cellWidth - 2, cellHeight - 2);
+      if (value !== null && cellWidth >= 30 && cellHeight >= 14) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillText(formatTick(Number(value.toPrecision(3))), x + cellWidth / 2, y + cellHeight / 2 + 3);
+      }
+    }));
+    if (hover) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(
+        MARGIN.left + hover.column * cellWidth + 1,
+        MARGIN.top + (yValues.length - 1 - hover.row) * cellHeight + 1,
+        cellWidth - 2,
+        cellHeight - 2
+      );
+    }
+
+    // Parameter values along both axes
+    ctx.fillStyle = 'rgba(230, 230, 234, 0.6)';
+    xValues.forEach((value, c) => ctx.fillText(formatTick(value), MARGIN.left + (c + 0.5) * cellWidth, height - 5));
+    ctx.textAlign = 'right';
+    if (yParameter !== null) {
+      yValues.forEach((value, r) => ctx.fillText(
+        formatTick(value), MARGIN.left - 4, MARGIN.top + (yValues.length - 0.5 - r) * cellHeight + 3
+      ));
+    }
+  }, [result, metric, xParameter, yParameter, hover, width, height]);
+
+  const handleMouseMove = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (canvas.width / rect.width) - MARGIN.left;
+    const y = (e.clientY - rect.top) * (canvas.height / rect.height) - MARGIN.top;
+    const column = Math.floor(x / cellWidth);
+    const row = heatmap.yValues.length - 1 - Math.floor(y / cellHeight);
+    const inside = column >= 0 && column < heatmap.xValues.length && row >= 0 && row < heatmap.yValues.length;
+    setHover(inside ? { row, column } : null);
+  };
+
+  // Choosing the other axis's parameter swaps the two
+  const chooseAxis = (axis, value) => {
+    const other = axis === 'x' ? yParameter : xParameter;
+    const current = axis === 'x' ? xParameter : yParameter;
+    const swap = value === other;
+    if (axis === 'x') {
+      setXParameter(value);
+      if (swap) setYParameter(current);
+    } else {
+      setYParameter(value);
+      if (swap) setXParameter(current);
+    }
+    setHover(null);
+  };
+
+  let hovered = null;
+  if (hover) {
+    const xValue = heatmap.xValues[hover.column];
+    const yValue = heatmap.yValues[hover.row];
+    const value = heatmap.grid[hover.row][hover.column];
+    const cells = result.cells.filter(({ values }) =>
+      values[xParameter] === xValue && (yParameter === null || values[yParameter] === yValue)
+    );
+    const interval = cells.length === 1 ? cells[0].summary[metric] : null;
+    hovered = [
+      `${xParameter} ${xValue}`,
+      yParameter !== null ? ` · ${yParameter} ${yValue}` : '',
+      `: ${value === null ? '—' : value.toFixed(2)}`,
+      interval?.n > 1 ? ` (95% CI ${interval.low.toFixed(2)}-${interval.high.toFixed(2)})` : ''
+    ].join('');
+  }
+
+  return (
+    <div className="chart">
+      <div className="control-inline wrap">
+        <select className="select compact" value={metric} onChange={e => setMetric(e.target.value)}>
+          {result.metrics.map(key => <option key={key} value={key}>{key}</option>)}
+        </select>
+        <select className="select compact" value={xParameter} onChange={e => chooseAxis('x', e.target.value)} title="Across">
+          {parameters.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        {parameters.length > 1 && (
+          <select className="select compact" value={yParameter} onChange={e => chooseAxis('y', e.target.value)} title="Up">
+            {parameters.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        )}
+      </div>
+      <canvas
+        ref={canvasRef}
+        className="data-canvas chart-canvas"
+        width={width}
+        height={height}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHover(null)}
+      ></canvas>
+      <span className="graph-caption">
+        {hovered ?? `${result.replicates} runs per combination · mean shown`}
+      </span>
+    </div>
+  );
+}
+
+export default SweepHeatmap;
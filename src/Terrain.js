@@ -0,0 +1,165 @@
+/**
+ * TERRAIN
+ * A coarse grid of ground types laid over the world. Each type changes how
+ * expensive it is to move and how much food grows there; walls cannot be
+ * entered at all.
+ */
+
+// movementCost: multiplier on the energy spent moving
+// foodGrowth:   relative chance that food appears here (plain ground = 1)
+export const TERRAIN_TYPES = {
+  plain: { label: 'Plain', color: null, movementCost: 1, foodGrowth: 1, passable: true },
+  water: { label: 'Water', color: 'rgba(74, 168, 255, 0.25)', movementCost: 2.5, foodGrowth: 0, passable: true },
+  mud: { label: 'Mud', color: 'rgba(150, 110, 70, 0.35)', movementCost: 1.8, foodGrowth: 0.5, passable: true },
+  soil: { label: 'Rich soil', color: 'rgba(111, 255, 176, 0.12)', movementCost: 1, foodGrowth: 3, passable: true },
+  wall: { label: 'Wall', color: 'rgba(230, 230, 234, 0.55)', movementCost: 1, foodGrowth: 0, passable: false }
+};
+
+// Cells store an index into this list
+const TERRAIN_NAMES = Object.keys(TERRAIN_TYPES);
+const MAX_FOOD_GROWTH = Math.max(...Object.values(TERRAIN_TYPES).map(type => type.foodGrowth));
+
+// What happens at the edge of the world
+export const BOUNDARY = {
+  WRAP: 'wrap',     // Leave one side, come back on the other
+  WALLS: 'walls',   // Bounce off the edge
+  LETHAL: 'lethal'  // Crossing the edge kills
+};
+
+export class TerrainMap {
+  constructor(width, height, cellSize = 20) {
+    this.width = width;
+    this.height = height;
+    this.cellSize = cellSize;
+    this.cols = Math.max(1, Math.ceil(width / cellSize));
+    this.rows = Math.max(1, Math.ceil(height / cellSize));
+    this.cells = new Uint8Array(this.cols * this.rows); // 0 = plain
+    this.painted = 0; // Cells that are not plain ground
+  }
+
+  cellIndex(x, y) {
+    const col = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+    const row = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+    return row * this.cols + col;
+  }
+
+  // Terrain type name at a world position
+  get(x, y) {
+    return TERRAIN_NAMES[this.cells[this.cellIndex(x, y)]];
+  }
+
+  typeAt(x, y) {
+    return TERRAIN_TYPES[this.get(x, y)];
+  }
+
+  isPassable(x, y) {
+    return this.painted === 0 || this.typeAt(x, y).passable;
+  }
+
+  setCell(index, type) {
+    const value = TERRAIN_NAMES.indexOf(type);
+    if (value < 0) {
+      throw new Error(`Unknown terrain type: ${type}`);
+    }
+    this.painted += (value !== 0) - (this.cells[index] !== 0);
+    this.cells[index] = value;
+  }
+
+  // Paint every cell whose centre lies within radius of (x, y)
+  paint(x, y, radius, type) {
+    const reach = Math.ceil(radius / this.cellSize);
+    const centre = this.cellIndex(x, y);
+    const col0 = centre % this.cols;
+    const row0 = Math.floor(centre / this.cols);
+
+    for (let row = row0 - reach; row <= row0 + reach; row++) {
+      if (row < 0 || row >= this.rows) continue;
+      for (let col = col0 - reach; col <= col0 + reach; col++) {
+        if (col < 0 || col >= this.cols) continue;
+        const cx = (col + 0.5) * this.cellSize;
+        const cy = (row + 0.5) * this.cellSize;
+        if (Math.hypot(cx - x, cy - y) <= Math.max(radius, this.cellSize / 2)) {
+          this.setCell(row * this.cols + col, type);
+        }
+      }
+    }
+  }
+
+  clear() {
+    this.cells.fill(0);
+    this.painted = 0;
+  }
+
+  // Average food growth over the whole map (1 for an unpainted map)
+  meanFoodGrowth() {
+    if (this.painted === 0) return 1;
+    let total = 0;
+    for (let value of this.cells) {
+      total += TERRAIN_TYPES[TERRAIN_NAMES[value]].foodGrowth;
+    }
+    return total / this.cells.length;
+  }
+
+  // Random point where food can grow, favouring fertile ground.
+  // An unpainted map takes exactly two draws, like a plain random point.
+  randomFoodPosition(rng, attempts = 30) {
+    for (let i = 0; i < attempts; i++) {
+      const x = rng.next() * this.width;
+      const y = rng.next() * this.height;
+      if (this.painted === 0) return { x, y };
+      if (rng.next() * MAX_FOOD_GROWTH < this.typeAt(x, y).foodGrowth) return { x, y };
+    }
+    return null;
+  }
+
+  // Random point that is not inside a wall. Mostly walled maps, where random
+  // points keep missing, fall back to a random point in a random open cell.
+  randomOpenPosition(rng, attempts = 30) {
+    for (let i = 0; i < attempts; i++) {
+      const x = rng.next() * this.width;
+      const y = rng.next() * this.height;
+      if (this.isPassable(x, y)) return { x, y };
+    }
+
+    const open = [];
+    for (let index = 0; index < this.cells.length; index++) {
+      if (TERRAIN_TYPES[TERRAIN_NAMES[this.cells[index]]].passable) open.push(index);
+    }
+    if (open.length === 0) {
+      throw new Error('There is no open ground left in the world');
+    }
+    const index = rng.pick(open);
+    const left = (index % this.cols) * this.cellSize;
+    const top = Math.floor(index / this.cols) * this.cellSize;
+    // The last column and row may be cut short by the edge of the world
+    return {
+      x: left + rng.next() * Math.min(this.cellSize, this.width - left),
+      y: top + rng.next() * Math.min(this.cellSize, this.height - top)
+    };
+  }
+
+  // Cells as run-length pairs [typeName, count], row by row
+  toJSON() {
+    const runs = [];
+    for (let value of this.cells) {
+      const last = runs[runs.length - 1];
+      if (last && last[0] === TERRAIN_NAMES[value]) {
+        last[1]++;
+      } else {
+        runs.push([TERRAIN_NAMES[value], 1]);
+      }
+    }
+    return { cellSize: this.cellSize, runs };
+  }
+
+  static fromJSON(data, width, height) {
+    const terrain = new TerrainMap(width, height, data.cellSize);
+    let index = 0;
+    for (let [type, count] of data.runs) {
+      for (let i = 0; i < count && index < terrain.cells.length; i++) {
+        terrain.setCell(index++, type);
+      }
+    }
+    return terrain;
+  }
+}
@@ -0,0 +1,125 @@
+import { describe, expect, test } from 'vitest';
+import { BOUNDARY, TerrainMap } from './Terrain';
+import { Environment, Organism, Simulation } from './SimulationEngine';
+import { Random } from './Random';
+
+const walker = (environment, x, y, vx, vy) => {
+  const organism = new Organism(x, y, null, new Random(1));
+  organism.velocity = { x: vx, y: vy };
+  return organism;
+};
+
+describe('TerrainMap', () => {
+  test('paints cells and survives a JSON round trip', () => {
+    const terrain = new TerrainMap(200, 100, 20);
+    terrain.paint(50, 50, 25, 'water');
+    terrain.paint(150, 10, 5, 'wall');
+
+    expect(terrain.get(50, 50)).toBe('water');
+    expect(terrain.get(190, 90)).toBe('plain');
+    expect(terrain.isPassable(150, 10)).toBe(false);
+
+    const restored = TerrainMap.fromJSON(JSON.parse(JSON.stringify(terrain.toJSON())), 200, 100);
+    expect(restored.cells).toEqual(terrain.cells);
+    expect(restored.painted).toBe(terrain.painted);
+  });
+
+  test('food grows on fertile ground and never inside walls', () => {
+    const terrain = new TerrainMap(200, 100, 20);
+    terrain.paint(50, 50, 60, 'wall');
+    terrain.paint(150, 50, 30, 'soil');
+
+    const rng = new Random(2);
+    let onSoil = 0;
+    for (let i = 0; i < 500; i++) {
+      const { x, y } = terrain.randomFoodPosition(rng);
+      expect(terrain.isPassable(x, y)).toBe(true);
+      if (terrain.get(x, y) === 'soil') onSoil++;
+    }
+    expect(onSoil).toBeGreaterThan(250);
+  });
+
+  test('open positions are found on a map that is almost all wall', () => {
+    const terrain = new TerrainMap(210, 100, 20);
+    terrain.cells.forEach((_, index) => terrain.setCell(index, 'wall'));
+    terrain.setCell(terrain.cells.length - 1, 'plain'); // The corner cell, cut short by the edge
+
+    const rng = new Random(3);
+    for (let i = 0; i < 200; i++) {
+      const { x, y } = terrain.randomOpenPosition(rng);
+      expect(terrain.isPassable(x, y)).toBe(true);
+      expect(x).toBeGreaterThanOrEqual(200);
+      expect(x).toBeLessThan(210);
+      expect(y).toBeGreaterThanOrEqual(80);
+    }
+
+    terrain.setCell(terrain.cells.length - 1, 'wall');
+    expect(() => terrain.randomOpenPosition(rng)).toThrow('no open ground');
+  });
+});
+
+describe('Environment boundaries and walls', () => {
+  test('wrap mode comes back on the other side', () => {
+    const environment = new Environment(100, 100, new Random(3));
+    const organism = walker(environment, 99, 50, 3, 0);
+    environment.moveOrganism(organism);
+    expect(organism.x).toBeCloseTo(2);
+  });
+
+  test('solid edges bounce organisms back', () => {
+    const environment = new Environment(100, 100, new Random(3));
+    environment.setBoundary(BOUNDARY.WALLS);
+    const organism = walker(environment, 99, 50, 3, 0);
+    environment.moveOrganism(organism);
+
+    expect(organism.x).toBeLessThan(100);
+    expect(organism.velocity.x).toBe(-3);
+    expect(organism.alive).toBe(true);
+  });
+
+  test('lethal edges kill', () => {
+    const environment = new Environment(100, 100, new Random(3));
+    environment.setBoundary(BOUNDARY.LETHAL);
+    const organism = walker(environment, 99, 50, 3, 0);
+    environment.moveOrganism(organism);
+    expect(organism.alive).toBe(false);
+  });
+
+  test('walls cannot be entered; organisms slide or turn aside', () => {
+    const environment = new Environment(200, 200, new Random(3));
+    environment.paintTerrain(110, 100, 15, 'wall');
+
+    const headOn = walker(environment, 97, 100, 5, 0);
+    environment.moveOrganism(headOn);
+    expect(environment.terrain.isPassable(headOn.x, headOn.y)).toBe(true);
+    expect(headOn.detour).toBeGreaterThan(0);
+
+    const glancing = walker(environment, 97, 100, 5, 3);
+    environment.moveOrganism(glancing);
+    expect(environment.terrain.isPassable(glancing.x, glancing.y)).toBe(true);
+    expect(glancing.y).not.toBe(100);
+  });
+
+  test('rough ground costs more energy to cross', () => {
+    const cost = (type) => {
+      const environment = new Environment(200, 200, new Random(4));
+      if (type) environment.paintTerrain(100, 100, 60, type);
+      const organism = walker(environment, 100, 100, 2, 0);
+      organism.update(environment);
+      return 100 - organism.energy;
+    };
+    expect(cost('mud')).toBeGreaterThan(cost(null));
+    expect(cost('water')).toBeGreaterThan(cost('mud'));
+  });
+
+  test('terrain and boundary are saved with the run', () => {
+    const simulation = new Simulation(300, 200, 10, { seed: 5 });
+    simulation.environment.setBoundary(BOUNDARY.LETHAL);
+    simulation.environment.paintTerrain(60, 60, 30, 'mud');
+
+    const restored = Simulation.fromJSON(JSON.parse(JSON.stringify(simulation.toJSON())));
+    expect(restored.environment.boundary).toBe(BOUNDARY.LETHAL);
+    expect(restored.environment.terrain.get(60, 60)).toBe('mud');
+    expect(restored.environment.foodGrid.wrap).toBe(false);
+  });
+});
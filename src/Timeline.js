@@ -0,0 +1,88 @@
+/**
+ * ENVIRONMENT TIMELINE
+ * Scripted change over the course of a run: seasonal food cycles, slow
+ * climate drift and events fired at chosen generations or frames.
+ * Everything is plain data so a timeline can be saved and replayed exactly.
+ */
+
+export const DEFAULT_SEASONS = {
+  amplitude: 0, // Swing in food abundance, as a fraction of the base level (0-1)
+  period: 2000, // Frames per full season cycle
+  phase: 0      // Offset into the cycle, 0-1
+};
+
+export const DEFAULT_DRIFT = {
+  rate: 0 // Change in food abundance per 1000 frames, as a fraction of the base level
+};
+
+export class Timeline {
+  constructor({ seasons = {}, drift = {}, events = [] } = {}) {
+    this.seasons = { ...DEFAULT_SEASONS, ...seasons };
+    this.drift = { ...DEFAULT_DRIFT, ...drift };
+    this.events = [];
+    this.nextEventId = 1;
+    for (let event of events) {
+      this.addEvent(event);
+    }
+  }
+
+  // Multiplier on the base food abundance at a given frame (never negative)
+  abundanceModifier(frame) {
+    const { amplitude, period, phase } = this.seasons;
+    const season = amplitude > 0 && period > 0
+      ? amplitude * Math.sin(2 * Math.PI * (frame / period + phase))
+      : 0;
+    const drift = this.drift.rate * frame / 1000;
+    return Math.max(0, 1 + season + drift);
+  }
+
+  // Schedule an event at a generation or a frame, e.g. { type: 'meteor', generation: 20 }
+  addEvent({ type, generation = null, frame = null, fired = false, id = null, ...options }) {
+    if ((generation === null) === (frame === null)) {
+      throw new Error('A timeline event needs either a generation or a frame');
+    }
+    const event = { id: id ?? this.nextEventId, type, generation, frame, fired, ...options };
+    this.nextEventId = Math.max(this.nextEventId, event.id) + 1;
+    this.events.push(event);
+    this.events.sort((a, b) => (a.frame ?? Infinity) - (b.frame ?? Infinity) ||
+      (a.generation ?? Infinity) - (b.generation ?? Infinity));
+    return event;
+  }
+
+  removeEvent(id) {
+    const index = this.events.findIndex(event => event.id === id);
+    if (index < 0) return false;
+    this.events.splice(index, 1);
+    return true;
+  }
+
+  // Events that have come due and not fired yet; they are marked as fired
+  takeDueEvents(generation, frame) {
+    const due = this.events.filter(event => !event.fired && (
+      event.generation !== null ? generation >= event.generation : frame >= event.frame
+    ));
+    for (let event of due) {
+      event.fired = true;
+    }
+    return due;
+  }
+
+  // Start over (same schedule, nothing fired)
+  rewind() {
+    for (let event of this.events) {
+      event.fired = false;
+    }
+  }
+
+  toJSON() {
+    return {
+      seasons: { ...this.seasons },
+      drift: { ...this.drift },
+      events: this.events.map(event => ({ ...event }))
+    };
+  }
+
+  static fromJSON(data = {}) {
+    return new Timeline(data);
+  }
+}
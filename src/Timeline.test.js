@@ -0,0 +1,83 @@
+import { describe, expect, test } from 'vitest';
+import { Timeline } from './Timeline';
+import { Simulation } from './SimulationEngine';
+
+describe('Timeline', () => {
+  test('seasons swing food abundance around the base level', () => {
+    const timeline = new Timeline({ seasons: { amplitude: 0.5, period: 1000 } });
+    expect(timeline.abundanceModifier(0)).toBeCloseTo(1);
+    expect(timeline.abundanceModifier(250)).toBeCloseTo(1.5);
+    expect(timeline.abundanceModifier(750)).toBeCloseTo(0.5);
+  });
+
+  test('climate drift accumulates and never goes below zero', () => {
+    const timeline = new Timeline({ drift: { rate: -0.1 } });
+    expect(timeline.abundanceModifier(2000)).toBeCloseTo(0.8);
+    expect(timeline.abundanceModifier(50000)).toBe(0);
+  });
+
+  test('scheduled events fire exactly once when due', () => {
+    const timeline = new Timeline({
+      events: [{ type: 'meteor', generation: 2 }, { type: 'plague', frame: 150 }]
+    });
+
+    expect(timeline.takeDueEvents(1, 100)).toEqual([]);
+    expect(timeline.takeDueEvents(1, 150).map(e => e.type)).toEqual(['plague']);
+    expect(timeline.takeDueEvents(2, 200).map(e => e.type)).toEqual(['meteor']);
+    expect(timeline.takeDueEvents(5, 900)).toEqual([]);
+
+    timeline.rewind();
+    expect(timeline.takeDueEvents(5, 900)).toHaveLength(2);
+  });
+
+  test('events need exactly one trigger time', () => {
+    const timeline = new Timeline();
+    expect(() => timeline.addEvent({ type: 'meteor' })).toThrow();
+    expect(() => timeline.addEvent({ type: 'meteor', frame: 1, generation: 1 })).toThrow();
+  });
+
+  test('a simulation runs its timeline and logs the events', () => {
+    const simulation = new Simulation(300, 200, 10, { seed: 1 });
+    simulation.generationLength = 50;
+    simulation.timeline = new Timeline({
+      seasons: { amplitude: 0.9, period: 100 },
+      events: [{ type: 'abundance', generation: 1 }, { type: 'plague', frame: 30 }]
+    });
+
+    simulation.start();
+    for (let i = 0; i < 120; i++) {
+      simulation.update();
+    }
+
+    expect(simulation.stats.events.map(e => [e.type, e.source])).toEqual([
+      ['plague', 'timeline'],
+      ['abundance', 'timeline']
+    ]);
+    expect(simulation.stats.events[1].generation).toBe(1);
+
+    // Reset replays the same schedule
+    simulation.reset();
+    expect(simulation.timeline.events.every(e => !e.fired)).toBe(true);
+    expect(simulation.stats.events).toEqual([]);
+  });
+
+  test('is saved with the run and resumes identically', () => {
+    const simulation = new Simulation(300, 200, 10, { seed: 2 });
+    simulation.generationLength = 50;
+    simulation.timeline = new Timeline({
+      seasons: { amplitude: 0.5, period: 80 },
+      events: [{ type: 'meteor', frame: 60 }]
+    });
+    simulation.start();
+    for (let i = 0; i < 40; i++) simulation.update();
+
+    const restored = Simulation.fromJSON(JSON.parse(JSON.stringify(simulation.toJSON())));
+    restored.start();
+    for (let i = 0; i < 60; i++) {
+      simulation.update();
+      restored.update();
+    }
+    expect(restored.stats).toEqual(simulation.stats);
+    expect(restored.timeline.toJSON()).toEqual(simulation.timeline.toJSON());
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * SIMULATION WORKER
+ * Runs the engine off the main thread so rendering and controls stay
+ * responsive at any speed. See SimulationHost.js for the message protocol.
+ */
+
+import './Extensions.js';
+import { SimulationHost } from './SimulationHost.js';
+
+const host = new SimulationHost(message => self.postMessage(message));
+
+self.onmessage = (e) => host.handle(e.data);